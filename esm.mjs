@@ -5,6 +5,11 @@ export default function(token, options) {
 }
 
 export const {
+  ArgumentError,
+  ArgumentParser,
+  AudioFilter,
+  AudioMixer,
+  AudioQueue,
   Base,
   Bucket,
   Call,
@@ -12,26 +17,43 @@ export const {
   Channel,
   Client,
   Collection,
+  Collector,
   Command,
   CommandClient,
+  CommandContext,
+  CompressorFilter,
   Constants,
+  EqualizerFilter,
+  FadeFilter,
   HelseliaHTTPError,
   HelseliaRESTError,
   ExtendedUser,
+  FileStore,
   GroupChannel,
   Club,
   ClubChannel,
   ClubIntegration,
   ClubPreview,
   Invite,
+  JSONFileStore,
+  Localizer,
+  LoudnessFilter,
   Member,
+  MemoryStore,
   Message,
+  MessageCollector,
   NewsChannel,
+  PanFilter,
+  PartialChannel,
+  PartialClub,
   Permission,
   PermissionOverwrite,
   PrivateChannel,
+  PromptError,
+  ReactionCollector,
   Relationship,
   RequestHandler,
+  ResampleFilter,
   Role,
   SequentialBucket,
   Shard,
@@ -44,5 +66,6 @@ export const {
   VoiceChannel,
   VoiceConnection,
   VoiceConnectionManager,
+  VoiceRecorder,
   VoiceState
 } = Kiera;
@@ -1,3 +1,5 @@
+/// <reference lib="es2018.asynciterable" />
+
 import { EventEmitter } from "events";
 import { Duplex, Readable as ReadableStream, Stream } from "stream";
 import { Agent as HTTPSAgent } from "https";
@@ -20,10 +22,15 @@ declare namespace Kiera {
   type TextableChannel = (ClubTextable & ClubTextableChannel) | (Textable & PrivateChannel);
 
   // Command
+  type CommandArgumentType = "string" | "integer" | "number" | "boolean" | "duration" | "user" | "member" | "role" | "channel";
+  type CommandArgs = string[] | ParsedArguments;
+  type CommandCooldownScope = "user" | "channel" | "club" | "global";
   type CommandGenerator = CommandGeneratorFunction | MessageContent | MessageContent[] | CommandGeneratorFunction[];
-  type CommandGeneratorFunction = (msg: Message, args: string[]) => GeneratorFunctionReturn;
-  type GeneratorFunctionReturn = Promise<MessageContent> | Promise<void> | MessageContent | void;
+  type CommandMiddleware = (ctx: CommandContext, next: () => Promise<void>) => Promise<void> | void;
+  type CommandGeneratorFunction = (msg: Message, args: CommandArgs, flags?: ParsedArguments, ctx?: CommandContext) => GeneratorFunctionReturn;
+  type GeneratorFunctionReturn = Promise<MessageContent> | Promise<PaginatedContent> | Promise<void> | MessageContent | PaginatedContent | void;
   type GenericCheckFunction<T> = (msg: Message) => T;
+  type LocalizedValue = string | LocalizedPlural | { [locale: string]: string | LocalizedPlural } | LocalizedReference;
   type ReactionButtonsFilterFunction = (msg: Message, emoji: Emoji, userID: string) => boolean;
   type ReactionButtonsGeneratorFunction = (msg: Message, args: string[], userID: string) => GeneratorFunctionReturn;
   type ReactionButtonsGenerator = ReactionButtonsGeneratorFunction | MessageContent | MessageContent[] | ReactionButtonsGeneratorFunction[];
@@ -33,6 +40,9 @@ declare namespace Kiera {
   type ReconnectDelayFunction = (lastDelay: number, attempts: number) => number;
   type RequestMethod = "GET" | "PATCH" | "DELETE" | "POST" | "PUT";
 
+  // Cache
+  type CacheStoreOption = boolean | number | "none" | MemoryStoreOptions | FileStoreOptions | ((id?: string) => CacheStore | null);
+
   // Club
   type PossiblyUncachedClub = Club | { id: string };
 
@@ -58,6 +68,8 @@ declare namespace Kiera {
   type Status = "online" | "idle" | "dnd" | "offline";
 
   // Voice
+  type AudioQueueLoopMode = "none" | "one" | "all";
+  type BiquadFilterType = "lowpass" | "highpass" | "bandpass" | "notch" | "peaking" | "lowshelf" | "highshelf";
   type ConverterCommand = "./ffmpeg" | "./avconv" | "ffmpeg" | "avconv";
 
 
@@ -73,6 +85,35 @@ declare namespace Kiera {
     toJSON(props?: string[]): JSONCache;
   }
 
+  // Cache
+  interface CacheOptions {
+    clubs?: CacheStoreOption | CacheStore;
+    members?: CacheStoreOption;
+    messages?: CacheStoreOption;
+    users?: CacheStoreOption | CacheStore;
+  }
+  interface CacheStore {
+    size: number;
+    clear(): void;
+    delete(key: string | number): boolean;
+    entries(): IterableIterator<[string | number, any]>;
+    get(key: string | number): any;
+    has(key: string | number): boolean;
+    keys(): IterableIterator<string | number>;
+    load?(): unknown[];
+    set(key: string | number, value: unknown, raw?: unknown): this;
+    values(): IterableIterator<any>;
+  }
+  interface FileStoreOptions extends MemoryStoreOptions {
+    onError?: (err: Error) => void;
+    path: string;
+    writeDelay?: number;
+  }
+  interface MemoryStoreOptions {
+    limit?: number;
+    ttl?: number;
+  }
+
   // Channel
   interface ChannelFollow {
     channel_id: string;
@@ -111,7 +152,7 @@ declare namespace Kiera {
     removeMessageReactions(messageID: string): Promise<void>;
     sendTyping(): Promise<void>;
   }
-  interface PartialChannel {
+  interface CreateClubChannelOptions {
     bitrate?: number;
     id?: number;
     name?: string;
@@ -129,9 +170,10 @@ declare namespace Kiera {
     /** @deprecated */
     addMessageReaction(messageID: string, reaction: string, userID: string): Promise<void>;
     addMessageReaction(messageID: string, reaction: string): Promise<void>;
+    awaitMessages(filter?: ((message: Message) => boolean) | null, options?: CollectorOptions): Promise<Message[]>;
     createMessage(content: MessageContent, file?: MessageFile | MessageFile[]): Promise<Message>;
     deleteMessage(messageID: string, reason?: string): Promise<void>;
-    editMessage(messageID: string, content: MessageContent): Promise<Message>;
+    editMessage(messageID: string, content: MessageContent, file?: MessageFile | MessageFile[]): Promise<Message>;
     getMessage(messageID: string): Promise<Message>;
     getMessageReaction(
       messageID: string,
@@ -142,6 +184,7 @@ declare namespace Kiera {
     ): Promise<User[]>;
     getMessages(limit?: number, before?: string, after?: string, around?: string): Promise<Message[]>;
     getPins(): Promise<Message[]>;
+    iterateMessages(options?: IterateMessagesOptions): AsyncIterableIterator<Message>;
     pinMessage(messageID: string): Promise<void>;
     removeMessageReaction(messageID: string, reaction: string, userID: string): Promise<void>;
     removeMessageReaction(messageID: string, reaction: string): Promise<void>;
@@ -159,12 +202,14 @@ declare namespace Kiera {
     agent?: HTTPSAgent;
     allowedMentions?: AllowedMentions;
     autoreconnect?: boolean;
+    cache?: CacheOptions;
     compress?: boolean;
     connectionTimeout?: number;
     defaultImageFormat?: string;
     defaultImageSize?: number;
     disableEvents?: { [s: string]: boolean };
     firstShardID?: number;
+    gatewayEncoding?: "json" | "etf";
     getAllUsers?: boolean;
     clubCreateTimeout?: number;
     clubSubscriptions?: boolean;
@@ -182,50 +227,124 @@ declare namespace Kiera {
     reconnectDelay?: ReconnectDelayFunction;
     restMode?: boolean;
     seedVoiceConnections?: boolean;
+    sessionState?: SessionState | null;
+    sweepers?: SweeperOptions;
     ws?: unknown;
   }
+  interface SessionState {
+    shards: ShardSession[];
+    user: JSONCache | null;
+  }
+  interface ShardSession {
+    gatewayURL: string;
+    id: number;
+    seq: number;
+    sessionID: string;
+  }
+  interface SweeperOptions {
+    members?: { filter?: (member: Member) => boolean; interval: number };
+    messages?: { interval: number; lifetime: number };
+    users?: { filter?: (user: User) => boolean; interval: number };
+  }
   interface CommandClientOptions {
     argsSplitter?: (str: string) => string[];
     defaultCommandOptions?: CommandOptions;
     defaultHelpCommand?: boolean;
-    description?: string;
+    deleteResponses?: boolean;
+    description?: LocalizedValue;
+    editWindow?: number;
+    helpFormatter?: (this: CommandClient, msg: Message, help: CommandHelp) => MessageContent | MessageContent[] | Promise<MessageContent | MessageContent[]>;
     ignoreBots?: boolean;
     ignoreSelf?: boolean;
+    localization?: LocalizerOptions;
     name?: string;
     owner?: string;
-    prefix?: string | string[];
+    prefix?: string | string[] | ((msg: Message) => string | string[] | Promise<string | string[]>);
+    prefixCache?: MemoryStoreOptions;
+    prefixOptionalInDMs?: boolean;
+    responseCache?: MemoryStoreOptions;
   }
 
   // Command
+  interface CommandArgument {
+    choices?: string[];
+    default?: any;
+    max?: number;
+    min?: number;
+    name: string;
+    optional?: boolean;
+    rest?: boolean;
+    type?: CommandArgumentType;
+    variadic?: boolean;
+  }
   interface CommandCooldownExclusions {
     channelIDs?: string[];
     clubIDs?: string[];
     userIDs?: string[];
   }
+  interface CommandCooldownResult {
+    allowed: boolean;
+    remaining: number;
+    returns: number;
+  }
+  interface CommandCooldownStore {
+    delete(key: string): unknown;
+    get(key: string): any;
+    set(key: string, value: unknown): unknown;
+    update?(key: string, updater: (value: any) => unknown): unknown;
+  }
+  interface CommandFlag {
+    alias?: string;
+    choices?: string[];
+    default?: any;
+    max?: number;
+    min?: number;
+    name: string;
+    type?: CommandArgumentType;
+  }
   interface CommandOptions {
     aliases?: string[];
+    args?: CommandArgument[];
     argsRequired?: boolean;
+    argumentErrorMessage?: LocalizedValue | ((msg: Message, err: ArgumentError) => string) | false;
     caseInsensitive?: boolean;
+    category?: string | null;
     cooldown?: number;
     cooldownExclusions?: CommandCooldownExclusions;
-    cooldownMessage?: string | GenericCheckFunction<string> | false;
+    cooldownMessage?: LocalizedValue | ((msg: Message, remaining: number) => string) | false;
     cooldownReturns?: number;
+    cooldownScope?: CommandCooldownScope;
+    cooldownStore?: CommandCooldownStore | null;
+    cooldownUses?: number;
     defaultSubcommandOptions?: CommandOptions;
     deleteCommand?: boolean;
-    description?: string;
+    description?: LocalizedValue;
     dmOnly?: boolean;
-    errorMessage?: string | GenericCheckFunction<string>;
-    fullDescription?: string;
+    errorMessage?: LocalizedValue | GenericCheckFunction<string>;
+    flags?: CommandFlag[];
+    fullDescription?: LocalizedValue;
     clubOnly?: boolean;
     hidden?: boolean;
     hooks?: Hooks;
-    invalidUsageMessage?: string | GenericCheckFunction<string> | false;
-    permissionMessage?: string | GenericCheckFunction<string> | false;
+    invalidUsageMessage?: LocalizedValue | ((msg: Message, err?: ArgumentError) => string) | false;
+    middleware?: CommandMiddleware[];
+    permissionMessage?: LocalizedValue | GenericCheckFunction<string> | false;
     reactionButtons?: CommandReactionButtonsOptions[] | null;
     reactionButtonTimeout?: number;
     requirements?: CommandRequirements;
     restartCooldown?: boolean;
-    usage?: string;
+    usage?: LocalizedValue;
+  }
+  interface CommandHelp {
+    categories: { commands: Command[]; name: string | null }[];
+    command: Command | null;
+    label: string | null;
+  }
+  interface CommandModule {
+    generator: CommandGenerator;
+    label?: string;
+    options?: CommandOptions;
+    subcommands?: (CommandModule & { label: string })[];
   }
   interface CommandReactionButtons extends CommandReactionButtonsOptions {
     execute: (msg: Message, args: string[], userID: string) => string | GeneratorFunctionReturn;
@@ -245,11 +364,50 @@ declare namespace Kiera {
     userIDs?: string[] | GenericCheckFunction<string[]>;
   }
   interface Hooks {
-    postCheck?: (msg: Message, args: string[], checksPassed: boolean) => void;
+    postCheck?: (msg: Message, args: CommandArgs, checksPassed: boolean) => void;
     postCommand?: (msg: Message, args: string[], sent?: Message) => void;
-    postExecution?: (msg: Message, args: string[], executionSuccess: boolean) => void;
+    postExecution?: (msg: Message, args: CommandArgs, executionSuccess: boolean) => void;
     preCommand?: (msg: Message, args: string[]) => void;
   }
+  interface LocalizedPlural {
+    few?: string;
+    many?: string;
+    one?: string;
+    other: string;
+    two?: string;
+    zero?: string;
+  }
+  interface LocalizedReference {
+    key: string;
+    params?: { [name: string]: unknown };
+  }
+  interface LocalizerOptions {
+    defaultLocale?: string;
+    fallbacks?: { [locale: string]: string | string[] };
+    locales?: { [locale: string]: { [key: string]: LocalizedValue } };
+    resolver?: (msg: Message) => string | void | Promise<string | void>;
+  }
+  interface PaginatedContent {
+    pages: MessageContent[];
+  }
+  interface ParsedArguments {
+    [name: string]: any;
+  }
+  interface PromptOptions {
+    cancel?: string[];
+    cancelMessage?: LocalizedValue | false;
+    choices?: string[];
+    deletePrompt?: boolean;
+    failedMessage?: LocalizedValue | false;
+    invalidMessage?: LocalizedValue | false;
+    max?: number;
+    min?: number;
+    reactions?: { [emoji: string]: any };
+    retries?: number;
+    timeout?: number;
+    timeoutMessage?: LocalizedValue | false;
+    type?: CommandArgumentType;
+  }
 
   // Embed
   // Omit<T, K> used to override
@@ -502,6 +660,9 @@ declare namespace Kiera {
     (event: "speakingStop", listener: (userID: string) => void): T;
     (event: "end", listener: () => void): T;
     (event: "userDisconnect", listener: (userID: string) => void): T;
+    (event: "trackStart", listener: (track: AudioTrack) => void): T;
+    (event: "trackEnd", listener: (track: AudioTrack, reason: "finished" | "skipped" | "stopped") => void): T;
+    (event: "queueEnd", listener: () => void): T;
   }
 
   // Gateway/REST
@@ -526,7 +687,7 @@ declare namespace Kiera {
   interface RawRESTRequest {
     auth: boolean;
     body: unknown;
-    file?: MessageFile;
+    file?: MessageFile | MessageFile[];
     method: string;
     resp: IncomingMessage;
     route: string;
@@ -538,7 +699,7 @@ declare namespace Kiera {
   interface CreateClubOptions {
     afkChannelID?: string;
     afkTimeout?: number;
-    channels?: PartialChannel[];
+    channels?: CreateClubChannelOptions[];
     defaultNotifications?: number;
     explicitContentFilter?: number;
     icon?: string;
@@ -547,6 +708,11 @@ declare namespace Kiera {
     systemChannelID: string;
     verificationLevel?: number;
   }
+  interface GetClubBansOptions {
+    after?: string;
+    before?: string;
+    limit?: number;
+  }
   interface GetPruneOptions {
     days?: number;
     includeRoles?: string[];
@@ -555,6 +721,16 @@ declare namespace Kiera {
     entries: ClubAuditLogEntry[];
     users: User[];
   }
+  interface IterateAuditLogsOptions {
+    actionType?: number;
+    after?: Date | number | string;
+    before?: Date | number | string;
+    limit?: number;
+  }
+  interface IterateOptions {
+    after?: string;
+    limit?: number;
+  }
   interface Widget {
     channel_id?: string;
     enabled: boolean;
@@ -676,7 +852,10 @@ declare namespace Kiera {
   interface ActiveMessages {
     args: string[];
     command: Command;
+    page: number;
+    pages: MessageContent[] | null;
     timeout: NodeJS.Timer;
+    userID: string;
   }
   interface AllowedMentions {
     everyone?: boolean;
@@ -690,6 +869,20 @@ declare namespace Kiera {
     size: number;
     url: string;
   }
+  interface CollectedReaction {
+    emoji: Emoji;
+    reactor: Member | { id: string };
+  }
+  interface CollectorOptions {
+    idle?: number;
+    max?: number;
+    time?: number;
+  }
+  interface IterateMessagesOptions {
+    after?: Date | number | string;
+    before?: Date | number | string;
+    limit?: number;
+  }
   interface MessageActivity {
     party_id?: string;
     type: Constants["MessageActivityTypes"][keyof Constants["MessageActivityTypes"]];
@@ -702,8 +895,11 @@ declare namespace Kiera {
     name: string;
   }
   interface MessageFile {
-    file: Buffer | string;
+    description?: string;
+    file?: Buffer | string | ReadableStream;
     name: string;
+    path?: string;
+    spoiler?: boolean;
   }
   interface MessageReference {
     channelID: string;
@@ -775,6 +971,77 @@ declare namespace Kiera {
   }
 
   // Voice
+  interface AudioFilterOptions {
+    channels?: number;
+    enabled?: boolean;
+    sampleRate?: number;
+  }
+  interface AudioMixerDuck {
+    amount: number;
+    attack: number;
+    release: number;
+    targets: string[] | null;
+  }
+  interface AudioMixerInput {
+    duck: AudioMixerDuck | null;
+    muted: boolean;
+    name: string | null;
+    source: ReadableStream;
+    volume: number;
+  }
+  interface AudioMixerInputOptions {
+    duck?: Partial<AudioMixerDuck>;
+    encoderArgs?: string[];
+    format?: string;
+    inputArgs?: string[];
+    muted?: boolean;
+    name?: string;
+    volume?: number;
+  }
+  interface AudioMixerOptions {
+    converterCommand?: string;
+    frameDuration?: number;
+    realtime?: boolean;
+  }
+  interface AudioTrack {
+    metadata: unknown;
+    options: VoiceResourceOptions;
+    source: ReadableStream | string;
+  }
+  interface CompressorFilterOptions extends AudioFilterOptions {
+    attack?: number;
+    knee?: number;
+    makeupGain?: number;
+    ratio?: number;
+    release?: number;
+    threshold?: number;
+  }
+  interface EqualizerBand {
+    frequency: number;
+    gain?: number;
+    q?: number;
+    type: BiquadFilterType;
+  }
+  interface EqualizerFilterOptions extends AudioFilterOptions {
+    bands?: EqualizerBand[];
+  }
+  interface FadeFilterOptions extends AudioFilterOptions {
+    fadeIn?: number;
+  }
+  interface LoudnessFilterOptions extends AudioFilterOptions {
+    maxGain?: number;
+    target?: number;
+  }
+  interface PanFilterOptions extends AudioFilterOptions {
+    pan?: number;
+  }
+  interface ResampleFilterOptions extends AudioFilterOptions {
+    rate?: number;
+  }
+  interface UserVoiceStreamOptions {
+    fillSilence?: boolean;
+    jitterBuffer?: number;
+  }
   interface VoiceConnectData {
     channel_id: string;
     endpoint: string;
@@ -782,14 +1049,26 @@ declare namespace Kiera {
     token: string;
     user_id: string;
   }
+  interface VoiceDataMixOptions {
+    frameDuration?: number;
+    jitterBuffer?: number;
+  }
+  interface VoiceRecorderOptions {
+    format?: "ogg" | "wav";
+    jitterBuffer?: number;
+    userID?: string;
+  }
   interface VoiceResourceOptions {
     encoderArgs?: string[];
+    filters?: AudioFilter[];
     format?: string;
     frameDuration?: number;
     frameSize?: number;
     inlineVolume?: boolean;
     inputArgs?: string[];
     sampleRate?: number;
+    seek?: number;
+    seekBuffer?: boolean;
     voiceDataTimeout?: number;
   }
   interface VoiceServerUpdateData extends Omit<VoiceConnectData, "channel_id"> {
@@ -825,7 +1104,7 @@ declare namespace Kiera {
     avatarURL?: string;
     content?: string;
     embeds?: EmbedOptions[];
-    file?: { file: Buffer; name: string } | { file: Buffer; name: string }[];
+    file?: MessageFile | MessageFile[];
     tts?: boolean;
     username?: string;
     wait?: boolean;
@@ -1169,6 +1448,63 @@ declare namespace Kiera {
     toJSON(props?: string[]): JSONCache;
   }
 
+  export class ArgumentError extends Error {
+    argument: CommandArgument | CommandFlag | null;
+    flag: boolean;
+    input: string | null;
+    name: "ArgumentError";
+    reason: string;
+    constructor(argument: CommandArgument | CommandFlag | null, input: string | null, reason: string, flag?: boolean);
+  }
+
+  export class ArgumentParser {
+    args: CommandArgument[] | null;
+    flags: CommandFlag[];
+    usage: string;
+    constructor(args: CommandArgument[] | null, flags?: CommandFlag[]);
+    static tokenize(input: string): { end: number; quoted: boolean; start: number; value: string }[];
+    parse(input: string, msg: Message): Promise<{ args: CommandArgs; flags: ParsedArguments }>;
+    toJSON(): { args: CommandArgument[] | null; flags: CommandFlag[] };
+  }
+
+  export class AudioFilter {
+    channels: number;
+    enabled: boolean;
+    sampleRate: number;
+    constructor(options?: AudioFilterOptions);
+    process(samples: Float32Array): Float32Array;
+  }
+
+  export class AudioMixer extends ReadableStream {
+    channels: number;
+    converterCommand: string;
+    frameDuration: number;
+    inputs: AudioMixerInput[];
+    realtime: boolean;
+    sampleRate: number;
+    constructor(options?: AudioMixerOptions);
+    add(source: ReadableStream | string, options?: AudioMixerInputOptions): AudioMixerInput;
+    close(): void;
+    remove(input: AudioMixerInput): boolean;
+    on(event: "inputEnd", listener: (input: AudioMixerInput, err: Error | null) => void): this;
+    on(event: string, listener: (...args: any[]) => void): this;
+  }
+
+  export class AudioQueue {
+    current: AudioTrack | null;
+    length: number;
+    loop: AudioQueueLoopMode;
+    tracks: AudioTrack[];
+    constructor(player: VoiceConnection | SharedStream);
+    clear(): void;
+    enqueue(source: ReadableStream | string, options?: VoiceResourceOptions, metadata?: unknown): AudioTrack;
+    insert(index: number, source: ReadableStream | string, options?: VoiceResourceOptions, metadata?: unknown): AudioTrack;
+    remove(track: number | AudioTrack): AudioTrack | null;
+    setLoop(mode: AudioQueueLoopMode): void;
+    shuffle(): void;
+    skip(): AudioTrack | null;
+  }
+
   export class Bucket {
     interval: number;
     lastReset: number;
@@ -1406,7 +1742,7 @@ declare namespace Kiera {
     editClubIntegration(clubID: string, integrationID: string, options: IntegrationOptions): Promise<void>;
     editClubMember(clubID: string, memberID: string, options: MemberOptions, reason?: string): Promise<void>;
     editClubWidget(clubID: string, options: Widget): Promise<Widget>
-    editMessage(channelID: string, messageID: string, content: MessageContent): Promise<Message>;
+    editMessage(channelID: string, messageID: string, content: MessageContent, file?: MessageFile | MessageFile[]): Promise<Message>;
     editNickname(clubID: string, nick: string, reason?: string): Promise<void>;
     editRole(clubID: string, roleID: string, options: RoleOptions, reason?: string): Promise<Role>; // TODO not all options are available?
     editRolePosition(clubID: string, roleID: string, position: number): Promise<void>;
@@ -1433,6 +1769,7 @@ declare namespace Kiera {
     executeSlackWebhook(webhookID: string, token: string, options: Record<string, unknown> & { auth?: boolean; wait: true }): Promise<Message<ClubTextableChannel>>;
     executeWebhook(webhookID: string, token: string, options: WebhookPayload & { wait: true }): Promise<Message<ClubTextableChannel>>;
     executeWebhook(webhookID: string, token: string, options: WebhookPayload): Promise<void>;
+    exportSessionState(): SessionState;
     followChannel(channelID: string, webhookChannelID: string): Promise<ChannelFollow>;
     getBotGateway(): Promise<{ session_start_limit: { remaining: number; reset_after: number; total: number }; shards: number; url: string }>; // max_concurrency: number; in session_start_limit?
     getChannel(channelID: string): AnyChannel;
@@ -1442,7 +1779,7 @@ declare namespace Kiera {
     getGateway(): Promise<{ url: string }>;
     getClubAuditLogs(clubID: string, limit?: number, before?: string, actionType?: number): Promise<ClubAuditLog>;
     getClubBan(clubID: string, userID: string): Promise<{ reason?: string; user: User }>;
-    getClubBans(clubID: string): Promise<{ reason?: string; user: User }[]>;
+    getClubBans(clubID: string, options?: GetClubBansOptions): Promise<{ reason?: string; user: User }[]>;
     /** @deprecated */
     getClubEmbed(clubID: string): Promise<Widget>;
     getClubIntegrations(clubID: string): Promise<ClubIntegration[]>;
@@ -1520,6 +1857,11 @@ declare namespace Kiera {
     getUserProfile(userID: string): Promise<UserProfile>;
     getVoiceRegions(clubID?: string): Promise<VoiceRegion[]>;
     getWebhook(webhookID: string, token?: string): Promise<Webhook>;
+    iterateClubAuditLogs(clubID: string, options?: IterateAuditLogsOptions): AsyncIterableIterator<ClubAuditLogEntry>;
+    iterateClubBans(clubID: string, options?: IterateOptions): AsyncIterableIterator<{ reason?: string; user: User }>;
+    iterateClubMembers(clubID: string, options?: IterateOptions): AsyncIterableIterator<Member>;
+    iterateMessageReaction(channelID: string, messageID: string, reaction: string, options?: IterateOptions): AsyncIterableIterator<User>;
+    iterateMessages(channelID: string, options?: IterateMessagesOptions): AsyncIterableIterator<Message>;
     joinVoiceChannel(channelID: string, options?: { opusOnly?: boolean; shared?: boolean }): Promise<VoiceConnection>;
     kickClubMember(clubID: string, userID: string, reason?: string): Promise<void>;
     leaveClub(clubID: string): Promise<void>;
@@ -1546,6 +1888,9 @@ declare namespace Kiera {
     searchClubMembers(clubID: string, query: string, limit?: number): Promise<Member[]>;
     searchClubMessages(clubID: string, query: SearchOptions): Promise<SearchResults>;
     sendChannelTyping(channelID: string): Promise<void>;
+    sweepMembers(filter?: (member: Member) => boolean): number;
+    sweepMessages(lifetime: number): number;
+    sweepUsers(filter?: (user: User) => boolean): number;
     syncClubIntegration(clubID: string, integrationID: string): Promise<void>;
     unbanClubMember(clubID: string, userID: string, reason?: string): Promise<void>;
     unpinMessage(channelID: string, messageID: string): Promise<void>;
@@ -1556,7 +1901,8 @@ declare namespace Kiera {
   export class Collection<T extends { id: string | number }> extends Map<string | number, T> {
     baseObject: new (...args: any[]) => T;
     limit?: number;
-    constructor(baseObject: new (...args: any[]) => T, limit?: number);
+    store: CacheStore | null;
+    constructor(baseObject: new (...args: any[]) => T, limit?: number, store?: CacheStore | null);
     add(obj: T, extra?: unknown, replace?: boolean): T;
     every(func: (i: T) => boolean): boolean;
     filter(func: (i: T) => boolean): T[];
@@ -1565,69 +1911,123 @@ declare namespace Kiera {
     random(): T | undefined;
     reduce<U>(func: (accumulator: U, val: T) => U, initialValue?: U): U;
     remove(obj: T | { id: string }): T | null;
+    restore(extra?: unknown): void;
+    set(key: string | number, value: T, raw?: unknown): this;
     some(func: (i: T) => boolean): boolean;
     update(obj: T, extra?: unknown, replace?: boolean): T;
   }
 
+  export class Collector<T = unknown> extends EventEmitter {
+    client: Client;
+    collected: T[];
+    ended: boolean;
+    endReason: string | null;
+    error: Error | null;
+    filter: ((...args: any[]) => boolean) | null;
+    options: CollectorOptions;
+    constructor(client: Client, filter?: ((...args: any[]) => boolean) | null, options?: CollectorOptions);
+    awaitEnd(): Promise<T[]>;
+    stop(reason?: string): void;
+    on(event: "collect", listener: (item: T) => void): this;
+    on(event: "end", listener: (collected: T[], reason: string) => void): this;
+  }
+
   export class Command implements CommandOptions, SimpleJSON {
     aliases: string[];
     argsRequired: boolean;
+    argumentErrorMessage: LocalizedValue | false | ((msg: Message, err: ArgumentError) => string);
+    argumentParser: ArgumentParser | null;
     caseInsensitive: boolean;
+    category: string | null;
+    clubOnly: boolean;
     cooldown: number;
     cooldownExclusions: CommandCooldownExclusions;
-    cooldownMessage: string | false | GenericCheckFunction<string>;
+    cooldownMessage: LocalizedValue | false | ((msg: Message, remaining: number) => string);
     cooldownReturns: number;
+    cooldownScope: CommandCooldownScope;
+    cooldownStore: CommandCooldownStore | null;
+    cooldownUses: number;
     defaultSubcommandOptions: CommandOptions;
     deleteCommand: boolean;
-    description: string;
+    description: LocalizedValue;
     dmOnly: boolean;
-    errorMessage: string | GenericCheckFunction<string>;
-    fullDescription: string;
+    errorMessage: LocalizedValue | GenericCheckFunction<string>;
+    filePath: string | null;
+    fullDescription: LocalizedValue;
     fullLabel: string;
-    clubOnly: boolean;
     hidden: boolean;
     hooks: Hooks;
-    invalidUsageMessage: string | false | GenericCheckFunction<string>;
+    invalidUsageMessage: LocalizedValue | false | ((msg: Message, err?: ArgumentError) => string);
     label: string;
+    middleware: CommandMiddleware[];
     parentCommand?: Command;
-    permissionMessage: string | false | GenericCheckFunction<string>;
+    permissionMessage: LocalizedValue | false | GenericCheckFunction<string>;
     reactionButtons: null | CommandReactionButtons[];
     reactionButtonTimeout: number;
     requirements: CommandRequirements;
     restartCooldown: boolean;
     subcommandAliases: { [alias: string]: Command };
     subcommands: { [s: string]: Command };
-    usage: string;
+    usage: LocalizedValue;
     constructor(label: string, generate: CommandGenerator, options?: CommandOptions);
     cooldownCheck(msg: Message): boolean;
     cooldownExclusionCheck(msg: Message): boolean;
-    executeCommand(msg: Message, args: string[]): Promise<GeneratorFunctionReturn>;
+    executeCommand(msg: Message, args: string[], ctx?: CommandContext): Promise<GeneratorFunctionReturn>;
     permissionCheck(msg: Message): Promise<boolean>;
-    process(args: string[], msg: Message): Promise<void | GeneratorFunctionReturn>;
+    process(args: string[], msg: Message, ctx?: CommandContext): Promise<void | GeneratorFunctionReturn>;
     registerSubcommand(label: string, generator: CommandGenerator, options?: CommandOptions): Command;
     registerSubcommandAlias(alias: string, label: string): void;
     unregisterSubcommand(label: string): void;
+    use(middleware: CommandMiddleware): this;
+    useCooldown(msg: Message): Promise<CommandCooldownResult>;
     toString(): string;
     toJSON(props?: string[]): JSONCache;
   }
 
   export class CommandClient extends Client {
     activeMessages: { [s: string]: ActiveMessages };
+    clubPrefixes: { [s: string]: string | string[] };
     commandAliases: { [s: string]: string };
     commandOptions: CommandClientOptions;
+    commandResponses: MemoryStore;
     commands: { [s: string]: Command };
-    clubPrefixes: { [s: string]: string | string[] };
+    localizer: Localizer;
+    middleware: CommandMiddleware[];
+    prefixCache: MemoryStore;
     preReady?: true;
     constructor(token: string, options?: ClientOptions, commandOptions?: CommandClientOptions);
-    checkPrefix(msg: Message): string;
+    checkPrefix(msg: Message): Promise<string | null>;
+    formatHelp(msg: Message, help: CommandHelp): MessageContent[];
+    getHelp(msg: Message, labels?: string[]): Promise<CommandHelp | null>;
+    invalidatePrefix(id?: string): void;
+    loadCommands(directory: string): Command[];
     onMessageCreate(msg: Message): Promise<void>;
+    onMessageDelete(msg: PossiblyUncachedMessage): void;
     onMessageReactionEvent(msg: Message, emoji: Emoji, userID: string): Promise<void>
+    onMessageUpdate(msg: Message, oldMessage: OldMessage | null): Promise<void>;
     registerCommand(label: string, generator: CommandGenerator, options?: CommandOptions): Command;
     registerCommandAlias(alias: string, label: string): void;
     registerClubPrefix(clubID: string, prefix: string[] | string): void;
+    reloadCategory(category: string): Command[];
+    reloadCommand(label: string): Command | null;
     resolveCommand(label: string): Command;
+    resolvePrefix(msg: Message): Promise<string | string[]>;
     unregisterCommand(label: string): void;
     unwatchMessage(id: string, channelID: string): void;
+    use(middleware: CommandMiddleware): this;
+    toString(): string;
+  }
+
+  export class CommandContext {
+    args: CommandArgs;
+    client: CommandClient;
+    command: Command;
+    flags: ParsedArguments | null;
+    msg: Message;
+    response: any;
+    state: { [key: string]: any };
+    constructor(msg: Message, command: Command, args: string[]);
+    prompt(question: MessageContent, options?: PromptOptions): Promise<any>;
     toString(): string;
   }
 
@@ -1651,6 +2051,24 @@ declare namespace Kiera {
     flattenErrors(errors: HTTPResponse, keyPrefix?: string): string[];
   }
 
+  export class CompressorFilter extends AudioFilter {
+    attack: number;
+    knee: number;
+    makeupGain: number;
+    ratio: number;
+    reduction: number;
+    release: number;
+    threshold: number;
+    constructor(options?: CompressorFilterOptions);
+  }
+
+  export class EqualizerFilter extends AudioFilter {
+    bands: EqualizerBand[];
+    constructor(options?: EqualizerFilterOptions);
+    setBand(index: number, band: Partial<EqualizerBand>): void;
+    setBands(bands: EqualizerBand[]): void;
+  }
+
   export class ExtendedUser extends User {
     email: string;
     mfaEnabled: boolean;
@@ -1658,6 +2076,23 @@ declare namespace Kiera {
     verified: boolean;
   }
 
+  export class FadeFilter extends AudioFilter {
+    gain: number;
+    constructor(options?: FadeFilterOptions);
+    fadeIn(duration: number): void;
+    fadeOut(duration: number): void;
+    fadeTo(gain: number, duration: number): void;
+  }
+
+  export class FileStore extends MemoryStore {
+    onError: (err: Error) => void;
+    path: string;
+    writeDelay: number;
+    constructor(options: FileStoreOptions);
+    flush(): Promise<void>;
+    load(): unknown[];
+  }
+
   export class GroupChannel extends PrivateChannel {
     icon: string | null;
     iconURL: string | null;
@@ -1758,7 +2193,7 @@ declare namespace Kiera {
     fetchMembers(options?: FetchMembersOptions): Promise<Member[]>;
     getAuditLogs(limit?: number, before?: string, actionType?: number): Promise<ClubAuditLog>;
     getBan(userID: string): Promise<{ reason?: string; user: User }>;
-    getBans(): Promise<{ reason?: string; user: User }[]>;
+    getBans(options?: GetClubBansOptions): Promise<{ reason?: string; user: User }[]>;
     /** @deprecated */
     getEmbed(): Promise<Widget>;
     getIntegrations(): Promise<ClubIntegration>;
@@ -1774,6 +2209,9 @@ declare namespace Kiera {
     getVoiceRegions(): Promise<VoiceRegion[]>;
     getWebhooks(): Promise<Webhook[]>;
     getWidget(): Promise<Widget>;
+    iterateAuditLogs(options?: IterateAuditLogsOptions): AsyncIterableIterator<ClubAuditLogEntry>;
+    iterateBans(options?: IterateOptions): AsyncIterableIterator<{ reason?: string; user: User }>;
+    iterateMembers(options?: IterateOptions): AsyncIterableIterator<Member>;
     kickMember(userID: string, reason?: string): Promise<void>;
     leave(): Promise<void>;
     leaveVoiceChannel(): void;
@@ -1884,6 +2322,34 @@ declare namespace Kiera {
     delete(reason?: string): Promise<void>;
   }
 
+  export class JSONFileStore extends FileStore {
+    constructor(options: FileStoreOptions);
+  }
+
+  export class Localizer {
+    defaultLocale: string;
+    fallbacks: { [locale: string]: string | string[] };
+    locales: { [locale: string]: { [key: string]: LocalizedValue } };
+    resolver: ((msg: Message) => string | void | Promise<string | void>) | null;
+    constructor(options?: LocalizerOptions);
+    addStrings(locale: string, strings: { [key: string]: LocalizedValue }): void;
+    getLocaleChain(locale?: string): string[];
+    isLocalizedValue(value: unknown): value is LocalizedValue;
+    localize(locale: string | undefined, value: LocalizedValue, params?: { [name: string]: unknown }): string | null;
+    resolveLocale(msg: Message): Promise<string>;
+    translate(locale: string | undefined, key: string, params?: { [name: string]: unknown }): string;
+    toString(): string;
+  }
+
+  export class LoudnessFilter extends AudioFilter {
+    gain: number;
+    loudness: number;
+    maxGain: number;
+    target: number;
+    constructor(options?: LoudnessFilterOptions);
+    reset(): void;
+  }
+
   export class Member extends Base implements Presence {
     activities?: Activity[];
     avatar: string | null;
@@ -1910,7 +2376,7 @@ declare namespace Kiera {
     user: User;
     username: string;
     voiceState: VoiceState;
-    constructor(data: BaseData, club?: Club, client?: Client);
+    constructor(data: BaseData, club?: Club | PartialClub, client?: Client);
     addRole(roleID: string, reason?: string): Promise<void>;
     ban(deleteMessageDays?: number, reason?: string): Promise<void>;
     edit(options: MemberOptions, reason?: string): Promise<void>;
@@ -1919,6 +2385,21 @@ declare namespace Kiera {
     unban(reason?: string): Promise<void>;
   }
 
+  export class MemoryStore implements CacheStore {
+    limit?: number;
+    size: number;
+    ttl?: number;
+    constructor(options?: MemoryStoreOptions);
+    clear(): void;
+    delete(key: string | number): boolean;
+    entries(): IterableIterator<[string | number, any]>;
+    get(key: string | number): any;
+    has(key: string | number): boolean;
+    keys(): IterableIterator<string | number>;
+    set(key: string | number, value: unknown, raw?: unknown): this;
+    values(): IterableIterator<any>;
+  }
+
   export class Message<T extends Textable = TextableChannel> extends Base {
     activity?: MessageActivity;
     application?: MessageApplication;
@@ -1937,6 +2418,7 @@ declare namespace Kiera {
     clubID?: string;
     id: string;
     jumpLink: string;
+    locale?: string;
     member: Member | null;
     mentionEveryone: boolean;
     mentions: User[];
@@ -1953,10 +2435,12 @@ declare namespace Kiera {
     /** @deprecated */
     addReaction(reaction: string, userID: string): Promise<void>;
     addReaction(reaction: string): Promise<void>;
+    awaitReactions(filter?: ((emoji: Emoji, reactor: Member | { id: string }) => boolean) | null, options?: CollectorOptions): Promise<CollectedReaction[]>;
     crosspost(): T extends NewsChannel ? Promise<Message<NewsChannel>> : never;
     delete(reason?: string): Promise<void>;
-    edit(content: MessageContent): Promise<Message<T>>;
+    edit(content: MessageContent, file?: MessageFile | MessageFile[]): Promise<Message<T>>;
     getReaction(reaction: string, limit?: number, before?: string, after?: string): Promise<User[]>;
+    iterateReactions(reaction: string, options?: IterateOptions): AsyncIterableIterator<User>;
     pin(): Promise<void>;
     /** @deprecated */
     removeReaction(reaction: string, userID: string): Promise<void>;
@@ -1967,22 +2451,61 @@ declare namespace Kiera {
   }
 
   // News channel rate limit is always 0
+  export class MessageCollector<T extends Textable = TextableChannel> extends Collector<Message<T>> {
+    channel: T;
+    constructor(channel: T, filter?: ((message: Message<T>) => boolean) | null, options?: CollectorOptions);
+  }
+
   export class NewsChannel extends TextChannel {
     messages: Collection<Message<NewsChannel>>;
     rateLimitPerUser: 0;
     type: 5;
+    awaitMessages(filter?: ((message: Message<NewsChannel>) => boolean) | null, options?: CollectorOptions): Promise<Message<NewsChannel>[]>;
     createInvite(options?: CreateInviteOptions, reason?: string): Promise<Invite & InviteWithoutMetadata<null, NewsChannel>>;
     createMessage(content: MessageContent, file?: MessageFile | MessageFile[]): Promise<Message<NewsChannel>>;
     crosspostMessage(messageID: string): Promise<Message<NewsChannel>>;
-    editMessage(messageID: string, content: MessageContent): Promise<Message<NewsChannel>>;
+    editMessage(messageID: string, content: MessageContent, file?: MessageFile | MessageFile[]): Promise<Message<NewsChannel>>;
     follow(webhookChannelID: string): Promise<ChannelFollow>;
     getInvites(): Promise<(Invite & InviteWithMetadata<NewsChannel>)[]>;
     getMessage(messageID: string): Promise<Message<NewsChannel>>;
     getMessages(limit?: number, before?: string, after?: string, around?: string): Promise<Message<NewsChannel>[]>;
     getPins(): Promise<Message<NewsChannel>[]>;
+    iterateMessages(options?: IterateMessagesOptions): AsyncIterableIterator<Message<NewsChannel>>;
     purge(limit: number, filter?: (message: Message<NewsChannel>) => boolean, before?: string, after?: string, reason?: string): Promise<number>;
   }
 
+  export class PanFilter extends AudioFilter {
+    pan: number;
+    constructor(options?: PanFilterOptions);
+  }
+
+  export class PartialChannel extends Base {
+    client: Client;
+    club?: Club | PartialClub;
+    id: string;
+    mention: string;
+    partial: true;
+    constructor(data: BaseData, client: Client);
+    createMessage(content: MessageContent, file?: MessageFile | MessageFile[]): Promise<Message>;
+    fetch(): Promise<AnyChannel>;
+    getMessage(messageID: string): Promise<Message>;
+    getMessages(limit?: number, before?: string, after?: string, around?: string): Promise<Message[]>;
+    iterateMessages(options?: IterateMessagesOptions): AsyncIterableIterator<Message>;
+    sendTyping(): Promise<void>;
+  }
+
+  export class PartialClub extends Base {
+    id: string;
+    members: Collection<Member>;
+    ownerID: string | null;
+    partial: true;
+    roles: Collection<Role>;
+    voiceStates: Collection<VoiceState>;
+    constructor(data: BaseData, client: Client);
+    fetch(withCounts?: boolean): Promise<Club>;
+    permissionsOf(member: Member | { id: string; roles: string[] }): Permission;
+  }
+
   export class Permission extends Base {
     allow: number;
     deny: number;
@@ -2004,6 +2527,7 @@ declare namespace Kiera {
     libopus: boolean;
     opus: OpusScript | null;
     opusFactory: () => OpusScript;
+    position: number;
     volumeLevel: number;
     constructor(converterCommand: string, opusFactory: OpusScript);
     addDataPacket(packet: unknown): void;
@@ -2011,6 +2535,7 @@ declare namespace Kiera {
     getDataPacket(): Buffer;
     reset(): void;
     resetPackets(): void;
+    seek(position: number): boolean;
     setVolume(volume: number): void;
     stop(e: Error, source: Duplex): void;
   }
@@ -2023,9 +2548,10 @@ declare namespace Kiera {
     /** @deprecated */
     addMessageReaction(messageID: string, reaction: string, userID: string): Promise<void>;
     addMessageReaction(messageID: string, reaction: string): Promise<void>;
+    awaitMessages(filter?: ((message: Message<PrivateChannel>) => boolean) | null, options?: CollectorOptions): Promise<Message<PrivateChannel>[]>;
     createMessage(content: MessageContent, file?: MessageFile | MessageFile[]): Promise<Message<PrivateChannel>>;
     deleteMessage(messageID: string, reason?: string): Promise<void>;
-    editMessage(messageID: string, content: MessageContent): Promise<Message<PrivateChannel>>;
+    editMessage(messageID: string, content: MessageContent, file?: MessageFile | MessageFile[]): Promise<Message<PrivateChannel>>;
     getMessage(messageID: string): Promise<Message<PrivateChannel>>;
     getMessageReaction(
       messageID: string,
@@ -2036,6 +2562,7 @@ declare namespace Kiera {
     ): Promise<User[]>;
     getMessages(limit?: number, before?: string, after?: string, around?: string): Promise<Message<PrivateChannel>[]>;
     getPins(): Promise<Message<PrivateChannel>[]>;
+    iterateMessages(options?: IterateMessagesOptions): AsyncIterableIterator<Message<PrivateChannel>>;
     leave(): Promise<void>;
     pinMessage(messageID: string): Promise<void>;
     /** @deprecated */
@@ -2048,6 +2575,17 @@ declare namespace Kiera {
     unsendMessage(messageID: string): Promise<void>;
   }
 
+  export class PromptError extends Error {
+    name: "PromptError";
+    reason: "cancel" | "time" | "invalid";
+    constructor(reason: "cancel" | "time" | "invalid");
+  }
+
+  export class ReactionCollector extends Collector<CollectedReaction> {
+    message: Message;
+    constructor(message: Message, filter?: ((emoji: Emoji, reactor: Member | { id: string }) => boolean) | null, options?: CollectorOptions);
+  }
+
   export class Relationship extends Base implements Presence {
     activities?: Activity[];
     clientStatus?: ClientStatus;
@@ -2070,12 +2608,17 @@ declare namespace Kiera {
     userAgent: string;
     constructor(client: Client, forceQueueing?: boolean);
     globalUnblock(): void;
-    request(method: RequestMethod, url: string, auth?: boolean, body?: { [s: string]: unknown }, file?: MessageFile, _route?: string, short?: boolean): Promise<Record<string, unknown>>;
+    request(method: RequestMethod, url: string, auth?: boolean, body?: { [s: string]: unknown }, file?: MessageFile | MessageFile[], _route?: string, short?: boolean): Promise<Record<string, unknown>>;
     routefy(url: string, method: RequestMethod): string;
     toString(): string;
     toJSON(props?: string[]): JSONCache;
   }
 
+  export class ResampleFilter extends AudioFilter {
+    rate: number;
+    constructor(options?: ResampleFilterOptions);
+  }
+
   export class Role extends Base {
     color: number;
     createdAt: number;
@@ -2089,7 +2632,7 @@ declare namespace Kiera {
     name: string;
     permissions: Permission;
     position: number;
-    constructor(data: BaseData, club: Club);
+    constructor(data: BaseData, club: Club | PartialClub);
     delete(reason?: string): Promise<void>;
     edit(options: RoleOptions, reason?: string): Promise<Role>;
     editPosition(position: number): Promise<void>;
@@ -2116,6 +2659,9 @@ declare namespace Kiera {
     latency: number;
     presence: Presence;
     ready: boolean;
+    resumeURL: string | null;
+    seq: number;
+    sessionID: string | null;
     status: "disconnected" | "connecting" | "handshaking" | "ready" | "resuming";
     constructor(id: number, client: Client);
     checkReady(): void;
@@ -2152,7 +2698,7 @@ declare namespace Kiera {
     lastConnect: number;
     constructor(client: Client);
     connect(shard: Shard): void;
-    spawn(id: number): void;
+    spawn(id: number, session?: ShardSession): void;
     tryConnect(): void;
     toString(): string;
     toJSON(props?: string[]): JSONCache;
@@ -2166,6 +2712,8 @@ declare namespace Kiera {
     frameDuration: number;
     piper: Piper;
     playing: boolean;
+    position: number;
+    queue: AudioQueue;
     samplingRate: number;
     speaking: boolean;
     voiceConnections: Collection<VoiceConnection>;
@@ -2173,6 +2721,7 @@ declare namespace Kiera {
     add(connection: VoiceConnection): void;
     play(resource: ReadableStream | string, options?: VoiceResourceOptions): void;
     remove(connection: VoiceConnection): void;
+    seek(position: number): void;
     setSpeaking(value: boolean): void;
     setVolume(volume: number): void;
     stopPlaying(): void;
@@ -2194,13 +2743,14 @@ declare namespace Kiera {
     /** @deprecated */
     addMessageReaction(messageID: string, reaction: string, userID: string): Promise<void>;
     addMessageReaction(messageID: string, reaction: string): Promise<void>;
+    awaitMessages(filter?: ((message: Message<TextChannel>) => boolean) | null, options?: CollectorOptions): Promise<Message<TextChannel>[]>;
     createInvite(options?: CreateInviteOptions, reason?: string): Promise<Invite & InviteWithoutMetadata<null, TextChannel>>;
     createMessage(content: MessageContent, file?: MessageFile | MessageFile[]): Promise<Message<TextChannel>>;
     createWebhook(options: { name: string; avatar: string }, reason?: string): Promise<Webhook>;
     deleteMessage(messageID: string, reason?: string): Promise<void>;
     deleteMessages(messageIDs: string[], reason?: string): Promise<void>;
     edit(options: Omit<EditChannelOptions, "icon" | "ownerID">, reason?: string): Promise<this>;
-    editMessage(messageID: string, content: MessageContent): Promise<Message<TextChannel>>;
+    editMessage(messageID: string, content: MessageContent, file?: MessageFile | MessageFile[]): Promise<Message<TextChannel>>;
     getInvites(): Promise<(Invite & InviteWithMetadata<TextChannel>)[]>;
     getMessage(messageID: string): Promise<Message<TextChannel>>;
     getMessageReaction(
@@ -2213,6 +2763,7 @@ declare namespace Kiera {
     getMessages(limit?: number, before?: string, after?: string, around?: string): Promise<Message<TextChannel>[]>;
     getPins(): Promise<Message<TextChannel>[]>;
     getWebhooks(): Promise<Webhook[]>;
+    iterateMessages(options?: IterateMessagesOptions): AsyncIterableIterator<Message<TextChannel>>;
     pinMessage(messageID: string): Promise<void>;
     purge(limit: number, filter?: (message: Message<TextChannel>) => boolean, before?: string, after?: string, reason?: string): Promise<number>;
     /** @deprecated */
@@ -2258,6 +2809,15 @@ declare namespace Kiera {
     removeRelationship(): Promise<void>;
   }
 
+  export class UserVoiceStream extends ReadableStream {
+    fillSilence: boolean;
+    jitterBuffer: number;
+    type: "opus" | "pcm";
+    userID: string;
+    constructor(userID: string, type: "opus" | "pcm", options?: UserVoiceStreamOptions);
+    close(): void;
+  }
+
   export class VoiceChannel extends ClubChannel implements Invitable {
     bitrate?: number;
     type: 2;
@@ -2276,6 +2836,8 @@ declare namespace Kiera {
     id: string;
     paused: boolean;
     playing: boolean;
+    position: number;
+    queue: AudioQueue;
     ready: boolean;
     volume: number;
     constructor(id: string, options?: { shard?: Shard; shared?: boolean; opusOnly?: boolean });
@@ -2287,6 +2849,7 @@ declare namespace Kiera {
     receive(type: "opus" | "pcm"): VoiceDataStream;
     registerReceiveEventHandler(): void;
     resume(): void;
+    seek(position: number): void;
     sendWS(op: number, data: Record<string, unknown>): void;
     setSpeaking(value: boolean): void;
     setVolume(volume: number): void;
@@ -2309,9 +2872,22 @@ declare namespace Kiera {
   export class VoiceDataStream extends EventEmitter {
     type: "opus" | "pcm";
     constructor(type: string);
+    mix(options?: VoiceDataMixOptions): AudioMixer;
+    record(path: string, options?: VoiceRecorderOptions): VoiceRecorder;
+    user(userID: string, options?: UserVoiceStreamOptions): UserVoiceStream;
     on(event: "data", listener: (data: Buffer, userID: string, timestamp: number, sequence: number) => void): this;
   }
 
+  export class VoiceRecorder {
+    format: "ogg" | "wav";
+    path: string;
+    source: UserVoiceStream | AudioMixer;
+    startTime: number;
+    userID: string | null;
+    constructor(receiveStream: VoiceDataStream, path: string, options?: VoiceRecorderOptions);
+    stop(): Promise<void>;
+  }
+
   export class VoiceState extends Base {
     channelID?: string;
     createdAt: number;
@@ -6,6 +6,11 @@ function Kiera(token, options) {
     return new Client(token, options);
 }
 
+Kiera.ArgumentError = require("./src/errors/ArgumentError");
+Kiera.ArgumentParser = require("./src/command/ArgumentParser");
+Kiera.AudioFilter = require("./src/voice/streams/AudioFilter");
+Kiera.AudioMixer = require("./src/voice/AudioMixer");
+Kiera.AudioQueue = require("./src/voice/AudioQueue");
 Kiera.Base = require("./src/structures/Base");
 Kiera.Bucket = require("./src/util/Bucket");
 Kiera.Call = require("./src/structures/Call");
@@ -13,26 +18,43 @@ Kiera.CategoryChannel = require("./src/structures/CategoryChannel");
 Kiera.Channel = require("./src/structures/Channel");
 Kiera.Client = Client;
 Kiera.Collection = require("./src/util/Collection");
+Kiera.Collector = require("./src/util/Collector");
 Kiera.Command = require("./src/command/Command");
 Kiera.CommandClient = require("./src/command/CommandClient");
+Kiera.CommandContext = require("./src/command/CommandContext");
+Kiera.CompressorFilter = require("./src/voice/streams/CompressorFilter");
 Kiera.Constants = require("./src/Constants");
+Kiera.EqualizerFilter = require("./src/voice/streams/EqualizerFilter");
+Kiera.FadeFilter = require("./src/voice/streams/FadeFilter");
 Kiera.HelseliaHTTPError = require("./src/errors/HelseliaHTTPError");
 Kiera.HelseliaRESTError = require("./src/errors/HelseliaRESTError");
 Kiera.ExtendedUser = require("./src/structures/ExtendedUser");
+Kiera.FileStore = require("./src/util/FileStore");
 Kiera.GroupChannel = require("./src/structures/GroupChannel");
 Kiera.Club = require("./src/structures/Club");
 Kiera.ClubChannel = require("./src/structures/ClubChannel");
 Kiera.ClubIntegration = require("./src/structures/ClubIntegration");
 Kiera.ClubPreview = require("./src/structures/ClubPreview");
 Kiera.Invite = require("./src/structures/Invite");
+Kiera.JSONFileStore = require("./src/util/JSONFileStore");
+Kiera.Localizer = require("./src/command/Localizer");
+Kiera.LoudnessFilter = require("./src/voice/streams/LoudnessFilter");
 Kiera.Member = require("./src/structures/Member");
+Kiera.MemoryStore = require("./src/util/MemoryStore");
 Kiera.Message = require("./src/structures/Message");
+Kiera.MessageCollector = require("./src/util/MessageCollector");
 Kiera.NewsChannel = require("./src/structures/NewsChannel");
+Kiera.PanFilter = require("./src/voice/streams/PanFilter");
+Kiera.PartialChannel = require("./src/structures/PartialChannel");
+Kiera.PartialClub = require("./src/structures/PartialClub");
 Kiera.Permission = require("./src/structures/Permission");
 Kiera.PermissionOverwrite = require("./src/structures/PermissionOverwrite");
 Kiera.PrivateChannel = require("./src/structures/PrivateChannel");
+Kiera.PromptError = require("./src/errors/PromptError");
+Kiera.ReactionCollector = require("./src/util/ReactionCollector");
 Kiera.Relationship = require("./src/structures/Relationship");
 Kiera.RequestHandler = require("./src/rest/RequestHandler");
+Kiera.ResampleFilter = require("./src/voice/streams/ResampleFilter");
 Kiera.Role = require("./src/structures/Role");
 Kiera.SequentialBucket = require("./src/util/SequentialBucket");
 Kiera.Shard = require("./src/gateway/Shard");
@@ -45,6 +67,7 @@ Kiera.VERSION = require("./package.json").version;
 Kiera.VoiceChannel = require("./src/structures/VoiceChannel");
 Kiera.VoiceConnection = require("./src/voice/VoiceConnection");
 Kiera.VoiceConnectionManager = require("./src/voice/VoiceConnectionManager");
+Kiera.VoiceRecorder = require("./src/voice/VoiceRecorder");
 Kiera.VoiceState = require("./src/structures/VoiceState");
 
 module.exports = Kiera;
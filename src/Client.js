@@ -7,6 +7,7 @@ const Collection = require("./util/Collection");
 const Constants = require("./Constants");
 const Endpoints = require("./rest/Endpoints");
 const ExtendedUser = require("./structures/ExtendedUser");
+const FileStore = require("./util/FileStore");
 const GroupChannel = require("./structures/GroupChannel");
 const Club = require("./structures/Club");
 const ClubAuditLogEntry = require("./structures/ClubAuditLogEntry");
@@ -14,7 +15,10 @@ const ClubIntegration = require("./structures/ClubIntegration");
 const ClubPreview = require("./structures/ClubPreview");
 const Invite = require("./structures/Invite");
 const Member = require("./structures/Member");
+const MemoryStore = require("./util/MemoryStore");
 const Message = require("./structures/Message");
+const PartialClub = require("./structures/PartialClub");
+const Path = require("path");
 const Permission = require("./structures/Permission");
 const PrivateChannel = require("./structures/PrivateChannel");
 const Relationship = require("./structures/Relationship");
@@ -36,15 +40,6 @@ try {
     Erlpack = require("erlpack");
 } catch(err) { // eslint-disable no-empty
 }
-let ZlibSync;
-try {
-    ZlibSync = require("zlib-sync");
-} catch(err) {
-    try {
-        ZlibSync = require("pako");
-    } catch(err) { // eslint-disable no-empty
-    }
-}
 const sleep = (ms) => new Promise((res) => setTimeout(res, ms));
 
 /**
@@ -84,12 +79,18 @@ class Client extends EventEmitter {
     * @arg {Boolean | Array<String>} [options.allowedMentions.roles] Whether or not to allow all role mentions, or an array of specific role mentions to allow.
     * @arg {Boolean | Array<String>} [options.allowedMentions.users] Whether or not to allow all user mentions, or an array of specific user mentions to allow.
     * @arg {Boolean} [options.autoreconnect=true] Have Kiera autoreconnect when connection is lost
-    * @arg {Boolean} [options.compress=false] Whether to request WebSocket data to be compressed or not
+    * @arg {Object} [options.cache] Options for the stores backing the user, club, member and message caches. Each cache can be set to `true` to use a plain Collection (default), `false` or "none" to disable it, a number to limit its size, an object of MemoryStore options (`{limit, ttl}`), an object of FileStore options (`{path, limit, ttl, writeDelay}`), or a function that returns a store. Member and message caches exist once per club/channel, so their function is called with the club/channel ID and their FileStore `path` is a directory
+    * @arg {Boolean | Number | Object | String | Function} [options.cache.clubs=true] The store for client.clubs
+    * @arg {Boolean | Number | Object | String | Function} [options.cache.members=true] The store for each club.members
+    * @arg {Boolean | Number | Object | String | Function} [options.cache.messages=true] The store for each channel.messages. When set, options.messageLimit is ignored in favor of the store's limit
+    * @arg {Boolean | Number | Object | String | Function} [options.cache.users=true] The store for client.users
+    * @arg {Boolean} [options.compress=true] Whether to request WebSocket data to be compressed or not. zlib-sync is used for decompression if it is installed, and Node's built-in zlib otherwise. Compression is always disabled in the browser
     * @arg {Number} [options.connectionTimeout=30000] How long in milliseconds to wait for the connection to handshake with the server
     * @arg {String} [options.defaultImageFormat="jpg"] The default format to provide user avatars, club icons, and group icons in. Can be "jpg", "png", "gif", or "webp"
     * @arg {Number} [options.defaultImageSize=128] The default size to return user avatars, club icons, banners, splashes, and group icons. Can be any power of two between 16 and 2048. If the height and width are different, the width will be the value specified, and the height relative to that
     * @arg {Object} [options.disableEvents] If disableEvents[eventName] is true, the WS event will not be processed. This can cause significant performance increase on large bots. [A full list of the WS event names can be found on the docs reference page](/Kiera/docs/reference#ws-event-names)
     * @arg {Number} [options.firstShardID=0] The ID of the first shard to run for this client
+    * @arg {String} [options.gatewayEncoding] The encoding of gateway messages, either "json" or "etf". ETF messages are smaller and are decoded with erlpack if it is installed, or a built-in decoder otherwise. Defaults to "etf" if erlpack is installed and "json" otherwise
     * @arg {Boolean} [options.getAllUsers=false] Get all the users in every club. Ready time will be severely delayed
     * @arg {Number} [options.clubCreateTimeout=2000] How long in milliseconds to wait for a CLUB_CREATE before "ready" is fired. Increase this value if you notice missing clubs
     * @arg {Boolean} [options.clubSubscriptions=true] If false, disables some club subscription events, including typing and presence events. This will reduce processing load, but will also result in inconsistent member caching
@@ -105,8 +106,19 @@ class Client extends EventEmitter {
     * @arg {Number} [options.ratelimiterOffset=0] A number of milliseconds to offset the ratelimit timing calculations by
     * @arg {Number} [options.requestTimeout=15000] A number of milliseconds before requests are considered timed out
     * @arg {Function} [options.reconnectDelay] A function which returns how long the bot should wait until reconnecting to Helselia.
-    * @arg {Boolean} [options.restMode=false] Whether to enable getting objects over REST. This should only be enabled if you are not connecting to the gateway. Bot tokens must be prefixed manually in REST mode
+    * @arg {Boolean} [options.restMode=false] Whether to enable getting objects over REST. This should only be enabled if you are not connecting to the gateway. Bot tokens must be prefixed manually in REST mode. Uncached clubs and channels referenced by REST structures are represented by PartialClub and PartialChannel objects, which can be fetched on demand
+    * @arg {Object} [options.sessionState] Session state previously returned by `exportSessionState()`. Shards with a saved session attempt to resume it instead of identifying, falling back to identifying if the session is no longer valid. Resuming does not resend clubs, so this works best together with persistent cache stores
     * @arg {Boolean} [options.seedVoiceConnections=false] Whether to populate bot.voiceConnections with existing connections the bot account has during startup. Note that this will disconnect connections from other bot sessions
+    * @arg {Object} [options.sweepers] Options for periodically evicting stale objects from the cache. Sweepers start when the client connects and stop when it is disconnected without reconnecting
+    * @arg {Object} [options.sweepers.members] Evict club members. See Client.sweepMembers()
+    * @arg {Function} [options.sweepers.members.filter] A function that returns true for members that should be evicted. Defaults to offline members that are not in a voice channel
+    * @arg {Number} options.sweepers.members.interval How often (in ms) to sweep members
+    * @arg {Object} [options.sweepers.messages] Evict messages from channel message caches. See Client.sweepMessages()
+    * @arg {Number} options.sweepers.messages.interval How often (in ms) to sweep messages
+    * @arg {Number} options.sweepers.messages.lifetime How old (in ms) a message must be since it was created or last edited to be evicted
+    * @arg {Object} [options.sweepers.users] Evict users. See Client.sweepUsers()
+    * @arg {Function} [options.sweepers.users.filter] A function that returns true for users that should be evicted. Defaults to users that share no club with the bot
+    * @arg {Number} options.sweepers.users.interval How often (in ms) to sweep users
     * @arg {Object} [options.ws] An object of WebSocket options to pass to the shard WebSocket constructors
     */
     constructor(token, options) {
@@ -119,12 +131,14 @@ class Client extends EventEmitter {
                 roles: true
             },
             autoreconnect: true,
-            compress: false,
+            cache: {},
+            compress: true,
             connectionTimeout: 30000,
             defaultImageFormat: "jpg",
             defaultImageSize: 128,
             disableEvents: {},
             firstShardID: 0,
+            gatewayEncoding: Erlpack ? "etf" : "json",
             getAllUsers: false,
             clubCreateTimeout: 2000,
             clubSubscriptions: true,
@@ -139,6 +153,7 @@ class Client extends EventEmitter {
             requestTimeout: 15000,
             restMode: false,
             seedVoiceConnections: false,
+            sweepers: {},
             ws: {},
             reconnectDelay: (lastDelay, attempts) => Math.pow(attempts + 1, 0.7) * 20000
         }, options);
@@ -146,8 +161,17 @@ class Client extends EventEmitter {
         if(this.options.lastShardID === undefined && this.options.maxShards !== "auto") {
             this.options.lastShardID = this.options.maxShards - 1;
         }
-        if(typeof window !== "undefined" || !ZlibSync) {
-            this.options.compress = false; // zlib does not like Blobs, Pako is not here
+        if(typeof window !== "undefined") {
+            this.options.compress = false; // zlib does not like Blobs
+        }
+        if(this.options.gatewayEncoding !== "json" && this.options.gatewayEncoding !== "etf") {
+            throw new TypeError(`Invalid gateway encoding "${this.options.gatewayEncoding}", expected "json" or "etf"`);
+        }
+        for(const name of ["members", "messages"]) {
+            const cacheOption = this.options.cache[name];
+            if(cacheOption && typeof cacheOption === "object" && typeof cacheOption.get === "function") {
+                throw new TypeError(`options.cache.${name} must be a function that returns a new store, since there is one ${name} cache per ${name === "members" ? "club" : "channel"}`);
+            }
         }
         if(!Constants.ImageFormats.includes(this.options.defaultImageFormat.toLowerCase())) {
             throw new TypeError(`Invalid default image format: ${this.options.defaultImageFormat}`);
@@ -191,13 +215,14 @@ class Client extends EventEmitter {
         this.channelClubMap = {};
         this.shards = new ShardManager(this);
         this.groupChannels = new Collection(GroupChannel);
-        this.clubs = new Collection(Club);
+        this.clubs = new Collection(Club, undefined, this._createCacheStore("clubs"));
         this.privateChannelMap = {};
         this.privateChannels = new Collection(PrivateChannel);
         this.clubShardMap = {};
         this.unavailableClubs = new Collection(UnavailableClub);
         this.relationships = new Collection(Relationship);
-        this.users = new Collection(User);
+        this.users = new Collection(User, undefined, this._createCacheStore("users"));
+        this.users.restore(this);
         this.presence = {
             game: null,
             status: "offline"
@@ -210,6 +235,7 @@ class Client extends EventEmitter {
         this.connect = this.connect.bind(this);
         this.lastReconnectDelay = 0;
         this.reconnectAttempts = 0;
+        this._sweepIntervals = [];
     }
 
     get uptime() {
@@ -331,6 +357,7 @@ class Client extends EventEmitter {
     * @returns {Promise} Resolves when all shards are initialized
     */
     async connect() {
+        this._startSweepers();
         try {
             const data = await (this.options.maxShards === "auto" ? this.getBotGateway() : this.getGateway());
             if(!data.url || (this.options.maxShards === "auto" && !data.shards)) {
@@ -342,7 +369,7 @@ class Client extends EventEmitter {
             if(!data.url.endsWith("/")) {
                 data.url += "/";
             }
-            this.gatewayURL = `${data.url}?v=${Constants.GATEWAY_VERSION}&encoding=${Erlpack ? "etf" : "json"}`;
+            this.gatewayURL = `${data.url}?v=${Constants.GATEWAY_VERSION}&encoding=${this.options.gatewayEncoding}`;
 
             if(this.options.compress) {
                 this.gatewayURL += "&compress=zlib-stream";
@@ -358,8 +385,21 @@ class Client extends EventEmitter {
                 }
             }
 
+            const sessionState = this.options.sessionState;
+            if(sessionState) {
+                // Resumed sessions do not receive READY, so restore the user it would have provided
+                if(sessionState.user && !this.user) {
+                    this.user = this.users.update(new ExtendedUser(sessionState.user, this), this);
+                    this.bot = !!this.user.bot;
+                    if(this.bot && !this.token.startsWith("Bot ")) {
+                        this.token = "Bot " + this.token;
+                    }
+                }
+                this.options.sessionState = null; // Sessions can only be restored once
+            }
+
             for(let i = this.options.firstShardID; i <= this.options.lastShardID; ++i) {
-                this.shards.spawn(i);
+                this.shards.spawn(i, sessionState && sessionState.shards.find((session) => session.id === i));
             }
         } catch(err) {
             if(!this.options.autoreconnect) {
@@ -529,8 +569,11 @@ class Client extends EventEmitter {
     * @arg {Object} [content.embed] An embed object. See [the official Helselia API documentation entry](https://helselia.com/developers/docs/resources/channel#embed-object) for object structure
     * @arg {Boolean} [content.tts] Set the message TTS flag
     * @arg {Object | Array<Object>} [file] A file object (or an Array of them)
-    * @arg {Buffer} file.file A buffer containing file data
+    * @arg {Buffer | ReadableStream} [file.file] A buffer or readable stream containing file data
+    * @arg {String} [file.path] The path of a file to read the data from, if `file.file` is not set
     * @arg {String} file.name What to name the file
+    * @arg {String} [file.description] A description (alt text) for the file
+    * @arg {Boolean} [file.spoiler] Whether the file should be marked as a spoiler
     * @returns {Promise<Message>}
     */
     createMessage(channelID, content, file) {
@@ -576,7 +619,7 @@ class Client extends EventEmitter {
             if(club) {
                 return club.roles.add(role, club);
             } else {
-                return new Role(role);
+                return new Role(role, new PartialClub({id: clubID}, this));
             }
         });
     }
@@ -784,6 +827,9 @@ class Client extends EventEmitter {
             shard.disconnect(options);
         });
         this.shards.connectQueue = [];
+        if(!options || !options.reconnect) {
+            this._stopSweepers();
+        }
     }
 
     /**
@@ -1006,9 +1052,15 @@ class Client extends EventEmitter {
     * @arg {String} content.content A content string
     * @arg {Object} [content.embed] An embed object. See [the official Helselia API documentation entry](https://helselia.com/developers/docs/resources/channel#embed-object) for object structure
     * @arg {Number} [content.flags] A number representing the flags to apply to the message. See [the official Helselia API documentation entry](https://helselia.com/developers/docs/resources/channel#message-object-message-flags) for flags reference
+    * @arg {Object | Array<Object>} [file] A file object (or an Array of them) to attach to the message
+    * @arg {Buffer | ReadableStream} [file.file] A buffer or readable stream containing file data
+    * @arg {String} [file.path] The path of a file to read the data from, if `file.file` is not set
+    * @arg {String} file.name What to name the file
+    * @arg {String} [file.description] A description (alt text) for the file
+    * @arg {Boolean} [file.spoiler] Whether the file should be marked as a spoiler
     * @returns {Promise<Message>}
     */
-    editMessage(channelID, messageID, content) {
+    editMessage(channelID, messageID, content, file) {
         if(content !== undefined) {
             if(typeof content !== "object" || content === null) {
                 content = {
@@ -1016,12 +1068,12 @@ class Client extends EventEmitter {
                 };
             } else if(content.content !== undefined && typeof content.content !== "string") {
                 content.content = "" + content.content;
-            } else if(content.content === undefined && !content.embed && content.flags === undefined) {
-                return Promise.reject(new Error("No content, embed or flags"));
+            } else if(content.content === undefined && !content.embed && content.flags === undefined && !file) {
+                return Promise.reject(new Error("No content, embed, flags or file"));
             }
             content.allowed_mentions = this._formatAllowedMentions(content.allowedMentions);
         }
-        return this.requestHandler.request("PATCH", Endpoints.CHANNEL_MESSAGE(channelID, messageID), true, content).then((message) => new Message(message, this));
+        return this.requestHandler.request("PATCH", Endpoints.CHANNEL_MESSAGE(channelID, messageID), true, content, file).then((message) => new Message(message, this));
     }
 
     /**
@@ -1053,7 +1105,7 @@ class Client extends EventEmitter {
     */
     editRole(clubID, roleID, options, reason) {
         options.reason = reason;
-        return this.requestHandler.request("PATCH", Endpoints.CLUB_ROLE(clubID, roleID), true, options).then((role) => new Role(role, this.clubs.get(clubID)));
+        return this.requestHandler.request("PATCH", Endpoints.CLUB_ROLE(clubID, roleID), true, options).then((role) => new Role(role, this.clubs.get(clubID) || new PartialClub({id: clubID}, this)));
     }
 
     /**
@@ -1279,8 +1331,11 @@ class Client extends EventEmitter {
     * @arg {String} [options.content=""] A content string
     * @arg {Array<Object>} [options.embeds] An array of Helselia embeds
     * @arg {Object | Array<Object>} [options.file] A file object (or an Array of them)
-    * @arg {Buffer} options.file.file A buffer containing file data
+    * @arg {Buffer | ReadableStream} [options.file.file] A buffer or readable stream containing file data
+    * @arg {String} [options.file.path] The path of a file to read the data from, if `options.file.file` is not set
     * @arg {String} options.file.name What to name the file
+    * @arg {String} [options.file.description] A description (alt text) for the file
+    * @arg {Boolean} [options.file.spoiler] Whether the file should be marked as a spoiler
     * @arg {Boolean} [options.tts=false] Whether the message should be a TTS message or not
     * @arg {String} [options.username] A custom username, defaults to webhook default username if not specified
     * @arg {Boolean} [options.wait=false] Whether to wait for the server to confirm the message create or not
@@ -1300,6 +1355,28 @@ class Client extends EventEmitter {
         }, options.file).then((response) => options.wait ? new Message(response, this) : undefined);
     }
 
+    /**
+    * Export the state of the shards' gateway sessions, so they can be resumed by a new client using `options.sessionState`, e.g. after a restart. Disconnect with `{reconnect: true}` beforehand, since disconnecting otherwise closes the sessions
+    * @returns {Object} The session state, as {shards: Array<{gatewayURL: String, id: Number, seq: Number, sessionID: String}>, user: Object?}. It only contains JSON-serializable data
+    */
+    exportSessionState() {
+        const shards = [];
+        for(const shard of this.shards.values()) {
+            if(shard.sessionID) {
+                shards.push({
+                    gatewayURL: shard.resumeURL || this.gatewayURL,
+                    id: shard.id,
+                    seq: shard.seq,
+                    sessionID: shard.sessionID
+                });
+            }
+        }
+        return {
+            shards: shards,
+            user: this.user ? this.user.toJSON() : null
+        };
+    }
+
     /**
      * Follow a NewsChannel in another channel. This creates a webhook in the target channel
      * @param {String} channelID The ID of the NewsChannel
@@ -1392,7 +1469,7 @@ class Client extends EventEmitter {
             before: before,
             action_type: actionType
         }).then((data) => {
-            const club = this.clubs.get(clubID);
+            const club = this.clubs.get(clubID) || new PartialClub({id: clubID}, this);
             return {
                 users: data.users.map((user) => this.users.add(user, this)),
                 entries: data.audit_log_entries.map((entry) => new ClubAuditLogEntry(entry, club))
@@ -1416,10 +1493,18 @@ class Client extends EventEmitter {
     /**
     * Get the ban list of a club
     * @arg {String} clubID The ID of the club
+    * @arg {Object} [options] Options for paginating the ban list
+    * @arg {String} [options.after] Get bans after this user ID
+    * @arg {String} [options.before] Get bans before this user ID
+    * @arg {Number} [options.limit] The maximum number of bans to return (1 to 1000)
     * @returns {Promise<Array<Object>>} Resolves with an array of {reason: String, user: User}
     */
-    getClubBans(clubID) {
-        return this.requestHandler.request("GET", Endpoints.CLUB_BANS(clubID), true).then((bans) => {
+    getClubBans(clubID, options = {}) {
+        return this.requestHandler.request("GET", Endpoints.CLUB_BANS(clubID), true, {
+            after: options.after,
+            before: options.before,
+            limit: options.limit
+        }).then((bans) => {
             bans.forEach((ban) => {
                 ban.user = new User(ban.user, this);
             });
@@ -1442,7 +1527,7 @@ class Client extends EventEmitter {
     * @returns {Promise<ClubIntegration[]>}
     */
     getClubIntegrations(clubID) {
-        const club = this.clubs.get(clubID);
+        const club = this.clubs.get(clubID) || new PartialClub({id: clubID}, this);
         return this.requestHandler.request("GET", Endpoints.CLUB_INTEGRATIONS(clubID), true).then((integrations) => integrations.map((integration) => new ClubIntegration(integration, club)));
     }
 
@@ -1690,7 +1775,7 @@ class Client extends EventEmitter {
         if(!this.options.restMode) {
             return Promise.reject(new Error("Kiera REST mode is not enabled"));
         }
-        return this.requestHandler.request("GET", Endpoints.CLUB_MEMBER(clubID, memberID), true).then((member) => new Member(member, this.clubs.get(clubID), this));
+        return this.requestHandler.request("GET", Endpoints.CLUB_MEMBER(clubID, memberID), true).then((member) => new Member(member, this.clubs.get(clubID) || new PartialClub({id: clubID}, this), this));
     }
 
     /**
@@ -1707,7 +1792,10 @@ class Client extends EventEmitter {
         return this.requestHandler.request("GET", Endpoints.CLUB_MEMBERS(clubID), true, {
             limit,
             after
-        }).then((members) => members.map((member) => new Member(member, this.clubs.get(clubID), this)));
+        }).then((members) => {
+            const club = this.clubs.get(clubID) || new PartialClub({id: clubID}, this);
+            return members.map((member) => new Member(member, club, this));
+        });
     }
 
     /**
@@ -1719,7 +1807,10 @@ class Client extends EventEmitter {
         if(!this.options.restMode) {
             return Promise.reject(new Error("Kiera REST mode is not enabled"));
         }
-        return this.requestHandler.request("GET", Endpoints.CLUB_ROLES(clubID), true).then((roles) => roles.map((role) => new Role(role, null)));
+        return this.requestHandler.request("GET", Endpoints.CLUB_ROLES(clubID), true).then((roles) => {
+            const club = new PartialClub({id: clubID}, this);
+            return roles.map((role) => new Role(role, club));
+        });
     }
 
     /**
@@ -1833,6 +1924,162 @@ class Client extends EventEmitter {
         return this.requestHandler.request("GET", token ? Endpoints.WEBHOOK_TOKEN(webhookID, token) : Endpoints.WEBHOOK(webhookID), !token);
     }
 
+    /**
+    * Iterate over the audit log entries of a club, newest first, fetching more pages as needed
+    * @arg {String} clubID The ID of the club
+    * @arg {Object} [options] Iteration options
+    * @arg {Number} [options.actionType] Filter entries by action type
+    * @arg {Date | Number | String} [options.after] Stop at entries created at or before this entry ID, Date or timestamp
+    * @arg {Date | Number | String} [options.before] Start from entries created before this entry ID, Date or timestamp
+    * @arg {Number} [options.limit=Infinity] The maximum number of entries to iterate over
+    * @returns {AsyncIterableIterator<ClubAuditLogEntry>}
+    */
+    async *iterateClubAuditLogs(clubID, options = {}) {
+        let remaining = options.limit === undefined ? Infinity : options.limit;
+        let before = this._toSnowflake(options.before);
+        const after = this._toSnowflake(options.after);
+        while(remaining > 0) {
+            const {entries} = await this.getClubAuditLogs(clubID, Math.min(remaining, 100), before, options.actionType);
+            for(const entry of entries) {
+                if(after && this._compareSnowflakes(entry.id, after) <= 0) {
+                    return;
+                }
+                yield entry;
+                if(--remaining <= 0) {
+                    return;
+                }
+            }
+            if(entries.length < 100) {
+                return;
+            }
+            before = entries[entries.length - 1].id;
+        }
+    }
+
+    /**
+    * Iterate over the ban list of a club, fetching more pages as needed
+    * @arg {String} clubID The ID of the club
+    * @arg {Object} [options] Iteration options
+    * @arg {String} [options.after] Start from bans after this user ID
+    * @arg {Number} [options.limit=Infinity] The maximum number of bans to iterate over
+    * @returns {AsyncIterableIterator<Object>} Yields objects of {reason: String, user: User}
+    */
+    async *iterateClubBans(clubID, options = {}) {
+        let remaining = options.limit === undefined ? Infinity : options.limit;
+        let after = options.after;
+        while(remaining > 0) {
+            const bans = await this.getClubBans(clubID, {
+                after: after,
+                limit: Math.min(remaining, 1000)
+            });
+            for(const ban of bans) {
+                yield ban;
+                if(--remaining <= 0) {
+                    return;
+                }
+            }
+            if(bans.length < 1000 || bans[bans.length - 1].user.id === after) {
+                return;
+            }
+            after = bans[bans.length - 1].user.id;
+        }
+    }
+
+    /**
+    * Iterate over the members of a club via the REST API, fetching more pages as needed. REST mode is required to use this endpoint.
+    * @arg {String} clubID The ID of the club
+    * @arg {Object} [options] Iteration options
+    * @arg {String} [options.after] Start from members after this user ID
+    * @arg {Number} [options.limit=Infinity] The maximum number of members to iterate over
+    * @returns {AsyncIterableIterator<Member>}
+    */
+    async *iterateClubMembers(clubID, options = {}) {
+        let remaining = options.limit === undefined ? Infinity : options.limit;
+        let after = options.after;
+        while(remaining > 0) {
+            const members = await this.getRESTClubMembers(clubID, Math.min(remaining, 1000), after);
+            for(const member of members) {
+                yield member;
+                if(--remaining <= 0) {
+                    return;
+                }
+            }
+            if(members.length < 1000 || members[members.length - 1].id === after) {
+                return;
+            }
+            after = members[members.length - 1].id;
+        }
+    }
+
+    /**
+    * Iterate over the users who reacted with a specific reaction, fetching more pages as needed
+    * @arg {String} channelID The ID of the channel
+    * @arg {String} messageID The ID of the message
+    * @arg {String} reaction The reaction (Unicode string if Unicode emoji, `emojiName:emojiID` if custom emoji)
+    * @arg {Object} [options] Iteration options
+    * @arg {String} [options.after] Start from users after this user ID
+    * @arg {Number} [options.limit=Infinity] The maximum number of users to iterate over
+    * @returns {AsyncIterableIterator<User>}
+    */
+    async *iterateMessageReaction(channelID, messageID, reaction, options = {}) {
+        let remaining = options.limit === undefined ? Infinity : options.limit;
+        let after = options.after;
+        while(remaining > 0) {
+            const users = await this.getMessageReaction(channelID, messageID, reaction, Math.min(remaining, 100), undefined, after);
+            for(const user of users) {
+                yield user;
+                if(--remaining <= 0) {
+                    return;
+                }
+            }
+            if(users.length < 100 || users[users.length - 1].id === after) {
+                return;
+            }
+            after = users[users.length - 1].id;
+        }
+    }
+
+    /**
+    * Iterate over the messages in a channel, fetching more pages as needed. Messages are iterated newest first, unless only `options.after` is given, in which case they are iterated oldest first
+    * @arg {String} channelID The ID of the channel
+    * @arg {Object} [options] Iteration options
+    * @arg {Date | Number | String} [options.after] Only iterate over messages created after this message ID, Date or timestamp
+    * @arg {Date | Number | String} [options.before] Only iterate over messages created before this message ID, Date or timestamp
+    * @arg {Number} [options.limit=Infinity] The maximum number of messages to iterate over
+    * @returns {AsyncIterableIterator<Message>}
+    */
+    async *iterateMessages(channelID, options = {}) {
+        let remaining = options.limit === undefined ? Infinity : options.limit;
+        let before = this._toSnowflake(options.before);
+        let after = this._toSnowflake(options.after);
+        const ascending = !!after && !before;
+        while(remaining > 0) {
+            let messages = await this.getMessages(channelID, Math.min(remaining, 100), ascending ? undefined : before, ascending ? after : undefined);
+            const pageSize = messages.length;
+            messages = messages.filter((message) => message);
+            if(ascending) {
+                messages.sort((a, b) => this._compareSnowflakes(a.id, b.id));
+            }
+            for(const message of messages) {
+                if(!ascending && after && this._compareSnowflakes(message.id, after) <= 0) {
+                    return;
+                }
+                yield message;
+                if(--remaining <= 0) {
+                    return;
+                }
+            }
+            if(pageSize < 100 || messages.length === 0) {
+                return;
+            }
+            if(ascending) {
+                after = messages[messages.length - 1].id;
+            } else {
+                before = messages[messages.length - 1].id;
+            }
+        }
+    }
+
     /**
     * Join a voice channel. If joining a group call, the voice connection ID will be stored in voiceConnections as "call". Otherwise, it will be the club ID
     * @arg {String} channelID The ID of the voice channel
@@ -2129,7 +2376,7 @@ class Client extends EventEmitter {
             query,
             limit
         }).then((members) => {
-            const club = this.clubs.get(clubID);
+            const club = this.clubs.get(clubID) || new PartialClub({id: clubID}, this);
             return members.map((member) => new Member(member, club, this));
         });
     }
@@ -2199,6 +2446,82 @@ class Client extends EventEmitter {
         return this.requestHandler.request("POST", Endpoints.CHANNEL_TYPING(channelID), true);
     }
 
+    /**
+    * Evict club members from the cache. Members in a voice channel, the bot's own members and club owners are never evicted
+    * @arg {Function} [filter] A function that returns true for members that should be evicted. Defaults to offline members
+    * @returns {Number} The number of members evicted
+    */
+    sweepMembers(filter = (member) => !member.status || member.status === "offline") {
+        // Before READY, there is no self user to keep
+        const selfID = this.user && this.user.id;
+        let swept = 0;
+        for(const club of this.clubs.values()) {
+            const members = club.members.filter((member) => member.id !== selfID
+                && member.id !== club.ownerID
+                && !(member.voiceState && member.voiceState.channelID)
+                && filter(member));
+            for(const member of members) {
+                club.members.remove(member);
+            }
+            swept += members.length;
+        }
+        this.emit("debug", `Swept ${swept} members from ${this.clubs.size} clubs`);
+        return swept;
+    }
+
+    /**
+    * Evict messages from the message caches of all channels
+    * @arg {Number} lifetime How old (in ms) a message must be since it was created or last edited to be evicted
+    * @returns {Number} The number of messages evicted
+    */
+    sweepMessages(lifetime) {
+        const cutoff = Date.now() - lifetime;
+        let swept = 0;
+        let channels = 0;
+        const sweepChannel = (channel) => {
+            if(!channel.messages) {
+                return;
+            }
+            const messages = channel.messages.filter((message) => (message.editedTimestamp || message.timestamp) < cutoff);
+            for(const message of messages) {
+                channel.messages.remove(message);
+            }
+            swept += messages.length;
+            ++channels;
+        };
+        for(const club of this.clubs.values()) {
+            club.channels.forEach(sweepChannel);
+        }
+        this.privateChannels.forEach(sweepChannel);
+        this.groupChannels.forEach(sweepChannel);
+        this.emit("debug", `Swept ${swept} messages older than ${lifetime}ms from ${channels} channels`);
+        return swept;
+    }
+
+    /**
+    * Evict users from the cache. The bot user is never evicted
+    * @arg {Function} [filter] A function that returns true for users that should be evicted. Defaults to users that share no club with the bot
+    * @returns {Number} The number of users evicted
+    */
+    sweepUsers(filter) {
+        if(!filter) {
+            const memberIDs = new Set();
+            for(const club of this.clubs.values()) {
+                for(const id of club.members.keys()) {
+                    memberIDs.add(id);
+                }
+            }
+            filter = (user) => !memberIDs.has(user.id);
+        }
+        const selfID = this.user && this.user.id;
+        const users = this.users.filter((user) => user.id !== selfID && filter(user));
+        for(const user of users) {
+            this.users.remove(user);
+        }
+        this.emit("debug", `Swept ${users.length} users, ${this.users.size} remaining`);
+        return users.length;
+    }
+
     /**
     * Force a club integration to sync
     * @arg {String} clubID The ID of the club
@@ -2232,6 +2555,35 @@ class Client extends EventEmitter {
         return this.requestHandler.request("DELETE", Endpoints.CHANNEL_PIN(channelID, messageID), true);
     }
 
+    _compareSnowflakes(a, b) {
+        return a.length - b.length || (a < b ? -1 : a > b ? 1 : 0);
+    }
+
+    _createCacheStore(name, id) {
+        const option = this.options.cache[name];
+        if(option === undefined || option === null || option === true) {
+            return null;
+        }
+        if(option === false || option === "none") {
+            return new MemoryStore({limit: 0});
+        }
+        if(typeof option === "number") {
+            return new MemoryStore({limit: option});
+        }
+        if(typeof option === "function") {
+            return option(id);
+        }
+        if(typeof option.get === "function") {
+            return option;
+        }
+        if(option.path) {
+            return new FileStore(Object.assign({}, option, {
+                path: id ? Path.join(option.path, `${id}.json`) : option.path
+            }));
+        }
+        return new MemoryStore(option);
+    }
+
     _formatAllowedMentions(allowed) {
         if(!allowed) {
             return this.options.allowedMentions;
@@ -2271,6 +2623,51 @@ class Client extends EventEmitter {
         return `${Endpoints.CDN_URL}${url}.${format}?size=${size}`;
     }
 
+    _startSweepers() {
+        if(this._sweepIntervals.length) {
+            return;
+        }
+        const {members, messages, users} = this.options.sweepers;
+        const schedule = (interval, sweep) => {
+            const timer = setInterval(() => {
+                if(this.user) { // Nothing is cached before the first READY
+                    sweep();
+                }
+            }, interval);
+            if(timer.unref) {
+                timer.unref();
+            }
+            this._sweepIntervals.push(timer);
+        };
+        if(members) {
+            schedule(members.interval, () => this.sweepMembers(members.filter));
+        }
+        if(messages) {
+            schedule(messages.interval, () => this.sweepMessages(messages.lifetime));
+        }
+        if(users) {
+            schedule(users.interval, () => this.sweepUsers(users.filter));
+        }
+    }
+
+    _stopSweepers() {
+        for(const timer of this._sweepIntervals) {
+            clearInterval(timer);
+        }
+        this._sweepIntervals = [];
+    }
+
+    _toSnowflake(value) {
+        if(value instanceof Date) {
+            value = value.getTime();
+        }
+        if(typeof value === "number") {
+            // Only the timestamp bits matter here, so losing precision in the lower bits is fine
+            return String(Math.max(0, value - 1420070400000) * 4194304);
+        }
+        return value;
+    }
+
     toString() {
         return `[Client ${this.user.id}]`;
     }
@@ -0,0 +1,415 @@
+"use strict";
+
+const ArgumentError = require("../errors/ArgumentError");
+
+const BOOLEANS = {
+    "true": true,
+    "yes": true,
+    "y": true,
+    "on": true,
+    "1": true,
+    "false": false,
+    "no": false,
+    "n": false,
+    "off": false,
+    "0": false
+};
+const DURATION_UNITS = {
+    ms: 1,
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+const QUOTES = {
+    "\"": "\"",
+    "'": "'",
+    "“": "”",
+    "‘": "’"
+};
+const TYPES = ["string", "integer", "number", "boolean", "duration", "user", "member", "role", "channel"];
+
+/**
+* Parses command arguments and flags according to an argument schema
+* @prop {Array<Object>?} args The argument definitions, or null if positional arguments are passed as they are
+* @prop {Array<Object>} flags The flag definitions
+* @prop {String} usage A usage string generated from the argument and flag definitions, e.g. `<user> [reason...] [--silent]`
+*/
+class ArgumentParser {
+    /**
+    * Construct an ArgumentParser
+    * @arg {Array<Object>?} args The argument definitions, in the order they are given. If null, positional arguments are passed as an array of strings
+    * @arg {String} args[].name The argument name. Parsed values are keyed by this name
+    * @arg {String} [args[].type="string"] The argument type. Can be "string", "integer", "number", "boolean", "duration", "user", "member", "role", or "channel"
+    * @arg {Array<String>} [args[].choices] A list of accepted values. Matching is case insensitive, and the value is given as it is written in this list
+    * @arg {any} [args[].default] The value to use when an optional argument is not given. If a function is passed, it is called with the Message object
+    * @arg {Number} [args[].max] The maximum value for integer, number and duration arguments
+    * @arg {Number} [args[].min] The minimum value for integer, number and duration arguments
+    * @arg {Boolean} [args[].optional=false] Whether the argument can be left out
+    * @arg {Boolean} [args[].rest=false] Whether the argument takes the rest of the input as a single string. Only the last argument can be a rest argument, and it must be a string
+    * @arg {Boolean} [args[].variadic=false] Whether the argument takes every remaining value as an array. Only the last argument can be variadic
+    * @arg {Array<Object>} [flags] The flag definitions. Flags can be given anywhere in the input, e.g. `--silent`, `--reason "spam bot"`, `--reason=spam` or `-n 50`. Everything after `--` is treated as positional arguments
+    * @arg {String} flags[].name The flag name, used as `--name`. Parsed values are keyed by this name
+    * @arg {String} [flags[].alias] A single letter alias, used as `-a`
+    * @arg {String} [flags[].type="boolean"] The flag type. Boolean flags do not take a value and are true when given. Other flags take the same types as arguments
+    * @arg {Array<String>} [flags[].choices] A list of accepted values
+    * @arg {any} [flags[].default] The value to use when the flag is not given. If a function is passed, it is called with the Message object. Boolean flags default to false
+    * @arg {Number} [flags[].max] The maximum value for integer, number and duration flags
+    * @arg {Number} [flags[].min] The minimum value for integer, number and duration flags
+    */
+    constructor(args, flags = []) {
+        if(args != null && !Array.isArray(args)) {
+            throw new TypeError("Command args must be an array");
+        }
+        if(!Array.isArray(flags)) {
+            throw new TypeError("Command flags must be an array");
+        }
+        this.args = args ? args.map((arg, index) => {
+            if(!arg || typeof arg.name !== "string" || !arg.name) {
+                throw new TypeError(`Command argument at index ${index} has no name`);
+            }
+            arg = Object.assign({
+                type: "string",
+                optional: false,
+                rest: false,
+                variadic: false
+            }, arg);
+            if(!TYPES.includes(arg.type)) {
+                throw new TypeError(`Invalid type "${arg.type}" for command argument "${arg.name}"`);
+            }
+            if((arg.rest || arg.variadic) && index !== args.length - 1) {
+                throw new Error(`Command argument "${arg.name}" must be the last argument to be ${arg.rest ? "rest" : "variadic"}`);
+            }
+            if(arg.rest && arg.type !== "string") {
+                throw new Error(`Rest command argument "${arg.name}" must be a string`);
+            }
+            if(!arg.optional && index > 0 && args[index - 1].optional) {
+                throw new Error(`Required command argument "${arg.name}" cannot follow an optional argument`);
+            }
+            return arg;
+        }) : null;
+        this.flags = flags.map((flag, index) => {
+            if(!flag || typeof flag.name !== "string" || !/^[^\s=-][^\s=]*$/.test(flag.name)) {
+                throw new TypeError(`Command flag at index ${index} has no valid name`);
+            }
+            flag = Object.assign({
+                type: "boolean"
+            }, flag);
+            if(!TYPES.includes(flag.type)) {
+                throw new TypeError(`Invalid type "${flag.type}" for command flag "${flag.name}"`);
+            }
+            if(flag.alias !== undefined && !/^[a-zA-Z]$/.test(flag.alias)) {
+                throw new TypeError(`Alias for command flag "${flag.name}" must be a single letter`);
+            }
+            if(flags.some((other, otherIndex) => otherIndex < index && (other.name === flag.name || flag.alias && other.alias === flag.alias))) {
+                throw new Error(`Command flag "${flag.name}" is already defined`);
+            }
+            return flag;
+        });
+        this.usage = (this.args || []).map((arg) => {
+            const label = (arg.choices ? arg.choices.join("|") : arg.name) + (arg.rest || arg.variadic ? "..." : "");
+            return arg.optional ? `[${label}]` : `<${label}>`;
+        }).concat(this.flags.map((flag) => {
+            const label = (flag.alias ? `-${flag.alias}|` : "") + "--" + flag.name;
+            return flag.type === "boolean" ? `[${label}]` : `[${label} <${flag.choices ? flag.choices.join("|") : flag.name}>]`;
+        })).join(" ");
+    }
+
+    /**
+    * Parse a string according to the argument and flag definitions
+    * @arg {String} input The arguments of the command, without the prefix and label
+    * @arg {Message} msg The command message, used to resolve users, members, roles and channels
+    * @returns {Promise<{args: Array<String> | Object, flags: Object}>} Resolves with the positional arguments and an object mapping flag names to their values. If there are argument definitions, the arguments are an object mapping argument names to their values. Rejects with an ArgumentError if an argument or flag is missing or invalid
+    */
+    async parse(input, msg) {
+        const tokens = ArgumentParser.tokenize(input);
+        const positional = [];
+        const flags = {};
+        for(const flag of this.flags) {
+            flags[flag.name] = typeof flag.default === "function" ? await flag.default(msg) : flag.default;
+            if(flags[flag.name] === undefined && flag.type === "boolean") {
+                flags[flag.name] = false;
+            }
+        }
+        for(let i = 0; i < tokens.length; ++i) {
+            const token = tokens[i];
+            // Quoted arguments and negative numbers are never flags
+            if(!this.flags.length || token.quoted || !/^-[a-zA-Z-]/.test(token.value)) {
+                positional.push(token);
+                continue;
+            }
+            if(token.value === "--") {
+                positional.push(...tokens.slice(i + 1));
+                break;
+            }
+            let match;
+            if((match = token.value.match(/^--([^=]+)(?:=([\s\S]*))?$/))) {
+                const flag = this.flags.find((flag) => flag.name === match[1]);
+                if(!flag) {
+                    throw new ArgumentError(null, token.value, "unknown flag", true);
+                }
+                if(flag.type === "boolean" && match[2] === undefined) {
+                    flags[flag.name] = true;
+                } else if(match[2] !== undefined) {
+                    flags[flag.name] = this._resolveFlag(flag, match[2], msg);
+                } else if(i + 1 < tokens.length) {
+                    flags[flag.name] = this._resolveFlag(flag, tokens[++i].value, msg);
+                } else {
+                    throw new ArgumentError(flag, null, "this flag needs a value", true);
+                }
+                continue;
+            }
+            // Short flags can be grouped (-ab), and the last one can be followed by its value (-n50)
+            let letters = token.value.substring(1);
+            while(letters) {
+                const flag = this.flags.find((flag) => flag.alias === letters[0]);
+                if(!flag) {
+                    throw new ArgumentError(null, "-" + letters[0], "unknown flag", true);
+                }
+                letters = letters.substring(1);
+                if(flag.type === "boolean") {
+                    flags[flag.name] = true;
+                } else if(letters) {
+                    flags[flag.name] = this._resolveFlag(flag, letters, msg);
+                    letters = "";
+                } else if(i + 1 < tokens.length) {
+                    flags[flag.name] = this._resolveFlag(flag, tokens[++i].value, msg);
+                } else {
+                    throw new ArgumentError(flag, null, "this flag needs a value", true);
+                }
+            }
+        }
+        if(!this.args) {
+            return {
+                args: positional.map((token) => token.value),
+                flags: flags
+            };
+        }
+        const values = {};
+        let index = 0;
+        for(const arg of this.args) {
+            if(index >= positional.length) {
+                if(!arg.optional) {
+                    throw new ArgumentError(arg, null, "this argument is required");
+                }
+                values[arg.name] = typeof arg.default === "function" ? await arg.default(msg) : arg.default;
+                if(values[arg.name] === undefined && arg.variadic) {
+                    values[arg.name] = [];
+                }
+                continue;
+            }
+            if(arg.rest) {
+                // A single quoted argument has its quotes removed. Anything else is taken as it was written, unless flags were mixed in
+                const first = tokens.indexOf(positional[index]);
+                const last = tokens.indexOf(positional[positional.length - 1]);
+                let value;
+                if(index === positional.length - 1) {
+                    value = positional[index].value;
+                } else if(last - first === positional.length - 1 - index) {
+                    value = input.substring(positional[index].start, positional[positional.length - 1].end);
+                } else {
+                    value = positional.slice(index).map((token) => token.value).join(" ");
+                }
+                values[arg.name] = this._resolve(arg, value, msg);
+                index = positional.length;
+            } else if(arg.variadic) {
+                values[arg.name] = positional.slice(index).map((token) => this._resolve(arg, token.value, msg));
+                index = positional.length;
+            } else {
+                values[arg.name] = this._resolve(arg, positional[index++].value, msg);
+            }
+        }
+        if(index < positional.length) {
+            throw new ArgumentError(null, positional[index].value, "too many arguments");
+        }
+        return {
+            args: values,
+            flags: flags
+        };
+    }
+
+    /**
+    * Split a string into arguments. Whitespace separates arguments, except inside quotes
+    * @arg {String} input The string to split
+    * @returns {Array<{end: Number, quoted: Boolean, start: Number, value: String}>} The arguments, with the indexes they start and end at in the input, and whether they were quoted
+    */
+    static tokenize(input) {
+        const tokens = [];
+        let index = 0;
+        while(index < input.length) {
+            while(index < input.length && /\s/.test(input[index])) {
+                ++index;
+            }
+            if(index >= input.length) {
+                break;
+            }
+            const start = index;
+            const closing = QUOTES[input[index]];
+            let value = "";
+            if(closing) {
+                ++index;
+                while(index < input.length && input[index] !== closing) {
+                    if(input[index] === "\\" && input[index + 1] === closing) {
+                        ++index;
+                    }
+                    value += input[index++];
+                }
+                if(index < input.length) {
+                    ++index;
+                    tokens.push({
+                        end: index,
+                        quoted: true,
+                        start: start,
+                        value: value
+                    });
+                    continue;
+                }
+                // No closing quote, so treat the opening quote as part of a normal argument
+                index = start;
+                value = "";
+            }
+            while(index < input.length && !/\s/.test(input[index])) {
+                value += input[index++];
+            }
+            tokens.push({
+                end: index,
+                quoted: false,
+                start: start,
+                value: value
+            });
+        }
+        return tokens;
+    }
+
+    _parseDuration(value) {
+        // A plain number is taken as seconds
+        if(/^\d+(?:\.\d+)?$/.test(value)) {
+            return Math.round(parseFloat(value) * 1000);
+        }
+        const pattern = /(\d+(?:\.\d+)?)(ms|s|m|h|d|w)/gy;
+        value = value.toLowerCase();
+        let duration = 0;
+        let match;
+        while((match = pattern.exec(value)) !== null) {
+            duration += parseFloat(match[1]) * DURATION_UNITS[match[2]];
+            if(pattern.lastIndex === value.length) {
+                return Math.round(duration);
+            }
+        }
+        return null;
+    }
+
+    _resolve(arg, value, msg) {
+        const club = msg.channel.club;
+        let match;
+        let result;
+        switch(arg.type) {
+            case "integer": {
+                if(!/^[+-]?\d+$/.test(value) || !Number.isSafeInteger(result = parseInt(value))) {
+                    throw new ArgumentError(arg, value, "expected a whole number");
+                }
+                break;
+            }
+            case "number": {
+                result = Number(value);
+                if(!value || !isFinite(result)) {
+                    throw new ArgumentError(arg, value, "expected a number");
+                }
+                break;
+            }
+            case "boolean": {
+                result = BOOLEANS[value.toLowerCase()];
+                if(result === undefined) {
+                    throw new ArgumentError(arg, value, "expected yes or no");
+                }
+                return result;
+            }
+            case "duration": {
+                result = this._parseDuration(value);
+                if(result === null) {
+                    throw new ArgumentError(arg, value, "expected a duration such as 1h30m");
+                }
+                break;
+            }
+            case "user": {
+                match = value.match(/^(?:<@!?(\d+)>|(\d+))$/);
+                result = match && msg._client.users.get(match[1] || match[2]);
+                if(!result) {
+                    throw new ArgumentError(arg, value, "expected a user mention or ID");
+                }
+                return result;
+            }
+            case "member": {
+                if(!club) {
+                    throw new ArgumentError(arg, value, "members can only be given in a club");
+                }
+                match = value.match(/^(?:<@!?(\d+)>|(\d+))$/);
+                result = match && club.members.get(match[1] || match[2]);
+                if(!result) {
+                    throw new ArgumentError(arg, value, "expected a member mention or ID");
+                }
+                return result;
+            }
+            case "role": {
+                if(!club) {
+                    throw new ArgumentError(arg, value, "roles can only be given in a club");
+                }
+                match = value.match(/^(?:<@&(\d+)>|(\d+))$/);
+                result = match && club.roles.get(match[1] || match[2]);
+                if(!result) {
+                    throw new ArgumentError(arg, value, "expected a role mention or ID");
+                }
+                return result;
+            }
+            case "channel": {
+                match = value.match(/^(?:<#(\d+)>|(\d+))$/);
+                if(match) {
+                    result = club ? club.channels.get(match[1] || match[2]) : msg._client.getChannel(match[1] || match[2]);
+                }
+                if(!result) {
+                    throw new ArgumentError(arg, value, "expected a channel mention or ID");
+                }
+                return result;
+            }
+            case "string":
+            default: {
+                if(arg.choices) {
+                    result = arg.choices.find((choice) => String(choice).toLowerCase() === value.toLowerCase());
+                    if(result === undefined) {
+                        throw new ArgumentError(arg, value, `expected one of ${arg.choices.join(", ")}`);
+                    }
+                    return result;
+                }
+                return value;
+            }
+        }
+        if(arg.min !== undefined && result < arg.min) {
+            throw new ArgumentError(arg, value, `must be at least ${arg.type === "duration" ? arg.min + "ms" : arg.min}`);
+        }
+        if(arg.max !== undefined && result > arg.max) {
+            throw new ArgumentError(arg, value, `must be at most ${arg.type === "duration" ? arg.max + "ms" : arg.max}`);
+        }
+        if(arg.choices && !arg.choices.includes(result)) {
+            throw new ArgumentError(arg, value, `expected one of ${arg.choices.join(", ")}`);
+        }
+        return result;
+    }
+
+    _resolveFlag(flag, value, msg) {
+        try {
+            return this._resolve(flag, value, msg);
+        } catch(err) {
+            throw new ArgumentError(flag, value, err.reason, true);
+        }
+    }
+
+    toJSON() {
+        return {
+            args: this.args,
+            flags: this.flags
+        };
+    }
+}
+
+module.exports = ArgumentParser;
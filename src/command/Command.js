@@ -1,37 +1,51 @@
 "use strict";
 
+const ArgumentError = require("../errors/ArgumentError");
+const ArgumentParser = require("./ArgumentParser");
 const Base = require("../structures/Base");
+const CommandContext = require("./CommandContext");
+const MemoryStore = require("../util/MemoryStore");
+
+const COOLDOWN_SCOPES = ["channel", "club", "global", "user"];
 
 /**
 * Represents an command framework command
 * @prop {Array<String>} aliases An array of command aliases
+* @prop {Function | String | Object} argumentErrorMessage A string or a function that returns a string to show when an argument is missing or invalid.
+* @prop {ArgumentParser?} argumentParser The parser for the command's arguments and flags, or null if the command has neither
 * @prop {Boolean} argsRequired If arguments are required or not
 * @prop {Boolean} caseInsensitive Whether the command label (and aliases) is case insensitive or not
-* @prop {Number} cooldown The cooldown between command usage in milliseconds
+* @prop {String?} category The category the command is listed under in the default help command
+* @prop {Number} cooldown The cooldown between command usage in milliseconds. With `cooldownUses`, this is the window the uses are spread over
 * @prop {Object} cooldownExclusions A set of factors that limit where cooldowns are active
-* @prop {Function | String} cooldownMessage A string or a function that returns a string to show when the command is on cooldown.
+* @prop {Function | String | Object} cooldownMessage A string or a function that returns a string to show when the command is on cooldown.
 * @prop {Number} cooldownReturns Number of times to return a message when the command is used during it's cooldown.
+* @prop {String} cooldownScope What the cooldown is tracked per, either "user", "channel", "club" or "global"
+* @prop {Object?} cooldownStore The store cooldown usage is kept in, or null if the command has no cooldown. It replaces the `usersOnCooldown`, `cooldownAmounts` and `cooldownTimeouts` properties of earlier versions
+* @prop {Number} cooldownUses How many times the command can be used per cooldown
 * @prop {Object} defaultSubcommandOptions Default subcommand options.
 * @prop {Boolean} deleteCommand Whether to delete the user command message or not
-* @prop {String} description A short description of the command
+* @prop {String | Object} description A short description of the command
 * @prop {Boolean} dmOnly Whether the command is prevented from being used in clubs or not
-* @prop {Function | String} errorMessage A string or a function that returns a string to show if the execution of the command handler somehow fails.  The function is passed the Message object as a parameter.
-* @prop {String} fullDescription A detailed description of the command
+* @prop {Function | String | Object} errorMessage A string or a function that returns a string to show if the execution of the command handler somehow fails.  The function is passed the Message object as a parameter.
+* @prop {String?} filePath The path of the module the command was loaded from, if it was loaded with `CommandClient#loadCommands()`
+* @prop {String | Object} fullDescription A detailed description of the command
 * @prop {String} fullLabel The full command label
 * @prop {Boolean} clubOnly Whether the command is prevented from being used in Direct Messages or not
 * @prop {Boolean} hidden Whether or not the command is hidden from the default help command list.
 * @prop {Object} hooks A set of functions to be executed at different times throughout the command's processing
-* @prop {Function | String} invalidUsageMessage A string or a function that returns a string to show when a command was improperly used.
+* @prop {Function | String | Object} invalidUsageMessage A string or a function that returns a string to show when a command was improperly used.
 * @prop {String} label The command label
+* @prop {Array<Function>} middleware The middleware that runs around the processing of the command
 * @prop {Command?} parentCommand If this command is also a subcommand, this will refer to its parent Command
-* @prop {Function | String} permissionMessage A string or a function that returns a string to show when the user doesn't have permissions to use the command.
+* @prop {Function | String | Object} permissionMessage A string or a function that returns a string to show when the user doesn't have permissions to use the command.
 * @prop {Object?} reactionButtons An array of objects specifying reaction buttons, or null if no reaction buttons.
 * @prop {Number} reactionButtonTimeout Time (in milliseconds) to wait before invalidating the command's reaction buttons
 * @prop {Object} requirements A set of factors that limit who can call the command
 * @prop {Boolean} restartCooldown Whether or not to restart a command's cooldown every time it's used
 * @prop {Object} subcommands Object mapping subcommand labels to Command objects
 * @prop {Object} subcommandAliases Object mapping subcommand aliases to Command objects
-* @prop {String} usage Details on how to call the command to show in the default help command
+* @prop {String | Object} usage Details on how to call the command to show in the default help command
 */
 class Command {
     /**
@@ -39,24 +53,33 @@ class Command {
     * @arg {String} label The command label
     * @arg {Function | String | Array<Function | String>} generator A response string, array of functions or strings, or function that generates a string or array of strings when called.
     * If a function is passed, the function will be passed a Message object and an array of command arguments. The Message object will have an additional property `prefix`, which is the prefix used in the command.
-    * `generator(msg, args)`
-    * @arg {Object} [options] Command options
+    * The function can also return an object with a `pages` array of message contents. The first page is sent, and the user that used the command can turn the pages with reaction buttons.
+    * The function is also passed the parsed flags (if the command has any) and the CommandContext, which can be used to ask the user for more input with `prompt()`.
+    * `generator(msg, args, flags, ctx)`
+    * @arg {Object} [options] Command options. Descriptions, usage and messages can be localized values (see Localizer), which are resolved for the locale of each message. Other objects given as messages, such as message content with an embed, are sent as they are
     * @arg {Array<String>} [options.aliases] An array of command aliases
+    * @arg {Function | String | Object} [options.argumentErrorMessage] A string or a function that returns a string to show when an argument is missing or invalid. `%argument%` is replaced with the argument name, `%reason%` with why it is invalid, and `%usage%` with the command usage. The function is passed the Message object and the ArgumentError as parameters. If not given, argument errors are shown with the invalidUsageMessage, as flag errors always are
+    * @arg {Array<Object>} [options.args] The argument schema. If given, the arguments are parsed, validated and passed to the generator as an object mapping argument names to their values. See the ArgumentParser constructor for the options of each argument
     * @arg {Boolean} [options.argsRequired=false] If arguments are required or not
     * @arg {Boolean} [options.caseInsensitive=false] Whether the command label (and aliases) is case insensitive or not
+    * @arg {String} [options.category] The category the command is listed under in the default help command. Subcommands inherit the category of their parent command
     * @arg {Number} [options.cooldown] The cooldown between command usage in milliseconds
     * @arg {Object} [options.cooldownExclusions={}] A set of factors that limit where cooldowns are active
     * @arg {Array<String>} [options.cooldownExclusions.userIDs] An array of user IDs representing users that are not affected by cooldowns.
     * @arg {Array<String>} [options.cooldownExclusions.clubIDs] An array of club IDs representing clubs that are not affected by cooldowns.
     * @arg {Array<String>} [options.cooldownExclusions.channelIDs] An array of channel IDs representing channels that are not affected by cooldowns.
-    * @arg {Function | String} [options.cooldownMessage] A string or a function that returns a string to show when the command is on cooldown.  The function is passed the Message object as a parameter.
+    * @arg {Function | String | Object} [options.cooldownMessage] A string or a function that returns a string to show when the command is on cooldown. `%remaining%` (and `%count%`, which picks the plural form) is replaced with the number of seconds until the command can be used again. The function is passed the Message object and the remaining time in milliseconds as parameters.
     * @arg {Number} [option.cooldownReturns=0] Number of times to return a message when the command is used during it's cooldown.  Once the cooldown expires this is reset.  Set this to 0 to always return a message.
+    * @arg {String} [options.cooldownScope="user"] What the cooldown is tracked per, either "user", "channel", "club" or "global". In Direct Messages, "club" cooldowns are tracked per channel
+    * @arg {Object} [options.cooldownStore] The store to keep cooldown usage in. Any object with `get(key)`, `set(key, value)` and `delete(key)` methods can be used, and the methods may return Promises, so cooldowns can be persisted (e.g. with a JSONFileStore, which is for a single process) or shared between processes (e.g. with a Redis-backed store). Stored values are plain JSON objects. Uses of the same key are applied one at a time within a process. A store shared between processes should also have an `update(key, updater)` method that atomically replaces the value of the key with `updater(value)` and returns (or resolves once it has done so), otherwise two processes can take the last use at the same time. Defaults to a MemoryStore for the command
+    * @arg {Number} [options.cooldownUses=1] How many times the command can be used per cooldown. Uses are refilled gradually, so a cooldown of 60000 with 5 uses allows a burst of 5 uses, then 1 use every 12 seconds
     * @arg {Object} [options.defaultSubcommandOptions={}] Default subcommand options. This object takes the same options as a normal Command
     * @arg {Boolean} [options.deleteCommand=false] Whether to delete the user command message or not
-    * @arg {String} [options.description="No description"] A short description of the command to show in the default help command
+    * @arg {String | Object} [options.description="No description"] A short description of the command to show in the default help command
     * @arg {Boolean} [options.dmOnly=false] Whether to prevent the command from being used in clubs or not
-    * @arg {Function | String} [options.errorMessage] A string or a function that returns a string to show if the execution of the command handler somehow fails.  The function is passed the Message object as a parameter.
-    * @arg {String} [options.fullDescription="No full description"] A detailed description of the command to show in the default help command
+    * @arg {Function | String | Object} [options.errorMessage] A string or a function that returns a string to show if the execution of the command handler somehow fails.  The function is passed the Message object as a parameter.
+    * @arg {Array<Object>} [options.flags] The flags the command accepts, such as `--silent` or `-n 50`. If given, flags are removed from the arguments and passed to the generator as a third parameter, an object mapping flag names to their values. See the ArgumentParser constructor for the options of each flag
+    * @arg {String | Object} [options.fullDescription="No full description"] A detailed description of the command to show in the default help command
     * @arg {Boolean} [options.clubOnly=false] Whether to prevent the command from being used in Direct Messages or not
     * @arg {Boolean} [options.hidden=false] Whether or not the command should be hidden from the default help command list.
     * @arg {Object} [options.hooks] A set of functions to be executed at different times throughout the command's processing
@@ -64,8 +87,9 @@ class Command {
     * @arg {Function} [options.hooks.postCheck] A function that is executed after all checks have cleared, but before the command is executed. The function is passed the command message, arguments, and if command checks were passed as parameters.
     * @arg {Function} [options.hooks.postExecution] A function that is executed after the command is executed, regardless of the final failed state of the command. The function is passed the command message, arguments, and if execution succeeded as parameters.
     * @arg {Function} [options.hooks.postCommand] A function that is executed after a response has been posted, and the command has finished processing. The function is passed the command message, arguments, and the response message (if applicable) as parameters.
-    * @arg {Function | String} [options.invalidUsageMessage] A string or a function that returns a string to show when a command was improperly used.  The function is passed the Message object as a parameter.
-    * @arg {Function | String} [options.permissionMessage] A string or a function that returns a string to show when the user doesn't have permissions to use the command.  The function is passed the Message object as a parameter.
+    * @arg {Function | String | Object} [options.invalidUsageMessage] A string or a function that returns a string to show when a command was improperly used.  The function is passed the Message object as a parameter. It is also shown for invalid or unknown flags (and for invalid arguments if there is no argumentErrorMessage), with the same placeholders as argumentErrorMessage, and the function is then also passed the ArgumentError
+    * @arg {Array<Function>} [options.middleware] Middleware that runs around the processing of the command. See `Command#use()`
+    * @arg {Function | String | Object} [options.permissionMessage] A string or a function that returns a string to show when the user doesn't have permissions to use the command.  The function is passed the Message object as a parameter.
     * @arg {Array<{emoji: String, type: String, response: (Function | String | Array<Function | String>), filter: Function}>} [options.reactionButtons] An array of objects specifying reaction buttons
     * `emoji` specifies the button emoji. Custom emojis should be in format `emojiName:emojiID`
     * `type` specifies the type of the reaction button, either "edit" or "cancel"
@@ -87,16 +111,19 @@ class Command {
     * @arg {Function | Array<String>} [options.requirements.roleNames] An array or a function that returns an array of role names that would allow a user to use the command.  The function is passed the Message object as a parameter.
     * @arg {Function} [options.requirements.custom] A function that accepts a message and returns true if the command should be run
     * @arg {Boolean} [option.restartCooldown=false] Whether or not to restart a command's cooldown every time it's used.
-    * @arg {String} [options.usage] Details on how to call the command to show in the default help command
+    * @arg {String | Object} [options.usage] Details on how to call the command to show in the default help command. Defaults to a usage generated from `options.args` and `options.flags`, if given
     */
     constructor(label, generator, options, parentCommand) {
         this.parentCommand = parentCommand;
         this.label = label;
         this.description = options.description || "No description";
         this.fullDescription = options.fullDescription || "No full description";
-        this.usage = options.usage || "";
+        this.argumentParser = options.args || options.flags ? new ArgumentParser(options.args, options.flags) : null;
+        this.usage = options.usage || (this.argumentParser ? this.argumentParser.usage : "");
         this.aliases = options.aliases || [];
         this.caseInsensitive = !!options.caseInsensitive;
+        this.category = options.category || (parentCommand ? parentCommand.category : null);
+        this.filePath = null;
         this.hooks = options.hooks || {};
         this.requirements = options.requirements || {};
         if(!this.requirements.userIDs) {
@@ -123,7 +150,13 @@ class Command {
         this.restartCooldown = !!options.restartCooldown;
         this.cooldownReturns = options.cooldownReturns || 0;
         this.cooldownMessage = options.cooldownMessage || false;
+        this.cooldownScope = options.cooldownScope || "user";
+        if(!COOLDOWN_SCOPES.includes(this.cooldownScope)) {
+            throw new Error(`Invalid cooldown scope "${this.cooldownScope}"`);
+        }
+        this.cooldownUses = options.cooldownUses || 1;
         this.invalidUsageMessage = options.invalidUsageMessage || false;
+        this.argumentErrorMessage = options.argumentErrorMessage || false;
         this.permissionMessage = options.permissionMessage || false;
         this.errorMessage = options.errorMessage || "";
         this.reactionButtons = options.reactionButtons ? options.reactionButtons.map((button, index) => {
@@ -152,15 +185,9 @@ class Command {
             }
         }) : null;
         this.reactionButtonTimeout = options.reactionButtonTimeout || 60000;
-        if(this.cooldown !== 0) {
-            this.usersOnCooldown = new Set();
-            if(this.restartCooldown) {
-                this.cooldownTimeouts = {};
-            }
-            if(this.cooldownReturns) {
-                this.cooldownAmounts = {};
-            }
-        }
+        // A bucket that has gone unused for a whole cooldown is full again, so it can be forgotten
+        this.cooldownStore = this.cooldown !== 0 ? options.cooldownStore || new MemoryStore({ttl: this.cooldown}) : null;
+        this._cooldownQueue = {};
         if(typeof generator === "string") {
             this.response = generator;
             this.execute = () => this.response;
@@ -185,52 +212,74 @@ class Command {
         this.subcommands = {};
         this.subcommandAliases = {};
         this.hidden = !!options.hidden;
+        this.middleware = [];
+        if(options.middleware) {
+            options.middleware.forEach((middleware) => this.use(middleware));
+        }
     }
 
     get fullLabel() {
         return `${this.parentCommand ? this.parentCommand.fullLabel + " " : ""}${this.label}`;
     }
 
+    /**
+    * Use the cooldown of the command for a message, if it isn't on cooldown. This needs a cooldown store that returns values synchronously, like the default MemoryStore. Use `useCooldown()` with other stores
+    * @arg {Message} msg The message
+    * @returns {Boolean} Whether the command can be used
+    */
     cooldownCheck(msg) {
-        // Verify the msg isn't excluded from cooldown checks
-        if(this.cooldownExclusionCheck(msg)) {
+        if(this.cooldown === 0 || this.cooldownExclusionCheck(msg)) {
             return true;
         }
-
-        const userID = msg.author.id;
-        if(this.usersOnCooldown.has(userID)) {
-            if(this.cooldownReturns) {
-                this.cooldownAmounts[userID]++;
-            }
-            if(this.restartCooldown) {
-                clearTimeout(this.cooldownTimeouts[userID]);
-                this.cooldownTimeouts[userID] = setTimeout(() => {
-                    this.usersOnCooldown.delete(userID);
-                }, this.cooldown);
-            }
-            return false;
-        }
-        if(this.cooldownReturns) {
-            this.cooldownAmounts[userID] = 0;
+        const key = this._cooldownKey(msg);
+        const bucket = this.cooldownStore.get(key);
+        if(bucket && typeof bucket.then === "function") {
+            throw new TypeError("cooldownCheck() can't use an asynchronous cooldown store. Use useCooldown() instead");
         }
-        this.usersOnCooldown.add(userID);
-        if(this.restartCooldown) {
-            this.cooldownTimeouts[userID] = setTimeout(() => {
-                this.usersOnCooldown.delete(userID);
-            }, this.cooldown);
-        } else {
-            setTimeout(() => {
-                this.usersOnCooldown.delete(userID);
-            }, this.cooldown);
-        }
-        return true;
+        const token = this._takeCooldownToken(bucket);
+        this.cooldownStore.set(key, token.bucket);
+        return token.result.allowed;
     }
 
     cooldownExclusionCheck(msg) {
         return this.cooldownExclusions.channelIDs.includes(msg.channel.id) || this.cooldownExclusions.userIDs.includes(msg.author.id) || (msg.channel.club && this.cooldownExclusions.clubIDs.includes(msg.channel.club.id));
     }
 
-    async executeCommand(msg, args) {
+    async executeCommand(msg, args, ctx) {
+        let flags;
+        if(this.argumentParser) {
+            try {
+                // Quotes and rest arguments keep the newlines and spacing of the message, unless the args were changed by a hook or middleware
+                const input = ctx && typeof ctx._input === "string" && ctx._input.split(/\s+/g).join(" ") === args.join(" ") ? ctx._input : args.join(" ");
+                ({args, flags} = await this.argumentParser.parse(input, msg));
+                if(ctx) {
+                    ctx.args = args; // eslint-disable-line require-atomic-updates
+                    ctx.flags = flags; // eslint-disable-line require-atomic-updates
+                }
+            } catch(err) {
+                if(!(err instanceof ArgumentError)) {
+                    throw err;
+                }
+                if(this.hooks.postCheck) {
+                    const response = await Promise.resolve(this.hooks.postCheck(msg, args, false));
+                    if(response) {
+                        msg = response.msg || msg;
+                    }
+                }
+                // Flag errors are invalid usage, like argument errors when there is no argumentErrorMessage
+                const message = err.flag || !this.argumentErrorMessage ? this.invalidUsageMessage : this.argumentErrorMessage;
+                const reply = this._message(msg, message, {
+                    argument: err.argument ? (err.flag ? "--" : "") + err.argument.name : err.input,
+                    reason: err.reason,
+                    usage: this._message(msg, this.usage)
+                }, err);
+                if(reply) {
+                    msg.channel.createMessage(reply);
+                }
+                return;
+            }
+        }
+
         if(this.hooks.postCheck) {
             const response = await Promise.resolve(this.hooks.postCheck(msg, args, true));
             if(response) {
@@ -239,7 +288,7 @@ class Command {
             }
         }
 
-        const ret = this.execute(msg, args);
+        const ret = this.execute(msg, args, flags, ctx);
 
         if(this.hooks.postExecution) {
             this.hooks.postExecution(msg, args, true);
@@ -311,83 +360,20 @@ class Command {
         return true;
     }
 
-    async process(args, msg) {
-        const shouldDelete = this.deleteCommand && msg.channel.club && msg.channel.permissionsOf(msg._client.user.id).has("manageMessages");
-
-        if(this.hooks.preCommand) {
-            const response = await Promise.resolve(this.hooks.preCommand(msg, args));
-            if(response) {
-                msg = response.msg || msg;
-                args = response.args || args;
-            }
-        }
-
-        let reply;
-        if(this.cooldown !== 0 && !this.cooldownCheck(msg)) {
-            if(this.hooks.postCheck) {
-                const response = await Promise.resolve(this.hooks.postCheck(msg, args, true));
-                if(response) {
-                    msg = response.msg || msg;
-                    args = response.args || args;
-                }
-            }
-            if(this.cooldownMessage && (!this.cooldownReturns || this.cooldownAmounts[msg.author.id] <= this.cooldownReturns)) {
-                reply = typeof this.cooldownMessage === "function" ? this.cooldownMessage(msg) : this.cooldownMessage;
-                if(reply) {
-                    msg.channel.createMessage(reply);
-                }
-            }
-            return;
-        }
-        if(!await this.permissionCheck(msg)) {
-            if(this.hooks.postCheck) {
-                const response = await Promise.resolve(this.hooks.postCheck(msg, args, false));
-                if(response) {
-                    msg = response.msg || msg;
-                    args = response.args || args;
-                }
-            }
-
-            if(shouldDelete) {
-                msg.delete();
-            }
-            reply = typeof this.permissionMessage === "function" ? this.permissionMessage(msg) : this.permissionMessage;
-            if(reply) {
-                msg.channel.createMessage(reply);
-            }
-            return;
-        }
-        if(args.length === 0) {
-            if(shouldDelete) {
-                msg.delete();
-            }
-            if(this.argsRequired) {
-                if(this.hooks.postCheck) {
-                    const response = await Promise.resolve(this.hooks.postCheck(msg, args, true));
-                    if(response) {
-                        msg = response.msg || msg;
-                        args = response.args || args;
-                    }
-                }
-                reply = typeof this.invalidUsageMessage === "function" ? this.invalidUsageMessage(msg) : this.invalidUsageMessage;
-                if(reply) {
-                    msg.channel.createMessage(reply.replace(/%prefix%/g, msg.prefix).replace(/%label%/g, this.fullLabel));
-                }
-                return;
-            }
-            return this.executeCommand(msg, args);
-        }
-        const label = this.subcommandAliases[args[0]] || args[0];
-        let subcommand;
-        if((subcommand = this.subcommands[label]) !== undefined || ((subcommand = this.subcommands[label.toLowerCase()]) !== undefined && subcommand.caseInsensitive)) {
-            msg.command = subcommand; // eslint-disable-line require-atomic-updates
-            return subcommand.process(args.slice(1), msg);
-        } else {
-            if(shouldDelete) {
-                msg.delete();
-            }
-            return this.executeCommand(msg, args);
-        }
+    /**
+    * Process a command message, running the command's middleware around it
+    * @arg {Array<String>} args The command arguments
+    * @arg {Message} msg The command message
+    * @arg {CommandContext} [ctx] The context shared by the middleware. A new context is created if not given
+    * @returns {Promise<any>} Resolves with the response of the command
+    */
+    async process(args, msg, ctx = new CommandContext(msg, this, args)) {
+        ctx.command = this;
+        ctx.args = args;
+        await ctx._run(this.middleware, async () => {
+            ctx.response = await this._process(ctx.args, ctx.msg, ctx); // eslint-disable-line require-atomic-updates
+        });
+        return ctx.response;
     }
 
     /**
@@ -395,24 +381,33 @@ class Command {
     * @arg {String} label The subcommand label
     * @arg {Function | String | Array<Function | String>} generator A response string, array of functions or strings, or function that generates a string or array of strings when called.
     * If a function is passed, the function will be passed a Message object and an array of subcommand arguments. The Message object will have an additional property `prefix`, which is the prefix used in the subcommand.
-    * `generator(msg, args)`
-    * @arg {Object} [options] Command options
+    * The function can also return an object with a `pages` array of message contents. The first page is sent, and the user that used the command can turn the pages with reaction buttons.
+    * The function is also passed the parsed flags (if the command has any) and the CommandContext, which can be used to ask the user for more input with `prompt()`.
+    * `generator(msg, args, flags, ctx)`
+    * @arg {Object} [options] Command options. Descriptions, usage and messages can be localized values (see Localizer), which are resolved for the locale of each message. Other objects given as messages, such as message content with an embed, are sent as they are
     * @arg {Array<String>} [options.aliases] An array of command aliases
+    * @arg {Function | String | Object} [options.argumentErrorMessage] A string or a function that returns a string to show when an argument is missing or invalid. `%argument%` is replaced with the argument name, `%reason%` with why it is invalid, and `%usage%` with the command usage. The function is passed the Message object and the ArgumentError as parameters. If not given, argument errors are shown with the invalidUsageMessage, as flag errors always are
+    * @arg {Array<Object>} [options.args] The argument schema. If given, the arguments are parsed, validated and passed to the generator as an object mapping argument names to their values. See the ArgumentParser constructor for the options of each argument
     * @arg {Boolean} [options.argsRequired=false] If arguments are required or not
     * @arg {Boolean} [options.caseInsensitive=false] Whether the command label (and aliases) is case insensitive or not
+    * @arg {String} [options.category] The category the command is listed under in the default help command. Subcommands inherit the category of their parent command
     * @arg {Number} [options.cooldown] The cooldown between command usage in milliseconds
     * @arg {Object} [options.cooldownExclusions={}] A set of factors that limit where cooldowns are active
     * @arg {Array<String>} [options.cooldownExclusions.userIDs] An array of user IDs representing users that are not affected by cooldowns.
     * @arg {Array<String>} [options.cooldownExclusions.clubIDs] An array of club IDs representing clubs that are not affected by cooldowns.
     * @arg {Array<String>} [options.cooldownExclusions.channelIDs] An array of channel IDs representing channels that are not affected by cooldowns.
-    * @arg {Function | String} [options.cooldownMessage] A string or a function that returns a string to show when the command is on cooldown
+    * @arg {Function | String | Object} [options.cooldownMessage] A string or a function that returns a string to show when the command is on cooldown. `%remaining%` is replaced with the number of seconds until the command can be used again. The function is passed the Message object and the remaining time in milliseconds as parameters
     * @arg {Number} [option.cooldownReturns=0] Number of times to return a message when the command is used during it's cooldown.  Once the cooldown expires this is reset.  Set this to 0 to always return a message.
+    * @arg {String} [options.cooldownScope="user"] What the cooldown is tracked per, either "user", "channel", "club" or "global"
+    * @arg {Object} [options.cooldownStore] The store to keep cooldown usage in, such as a JSONFileStore to keep cooldowns across restarts. See the Command constructor for details
+    * @arg {Number} [options.cooldownUses=1] How many times the command can be used per cooldown
     * @arg {Object} [options.defaultSubcommandOptions={}] Default subcommand options. This object takes the same options as a normal Command
     * @arg {Boolean} [options.deleteCommand=false] Whether to delete the user command message or not
-    * @arg {String} [options.description="No description"] A short description of the command to show in the default help command
+    * @arg {String | Object} [options.description="No description"] A short description of the command to show in the default help command
     * @arg {Boolean} [options.dmOnly=false] Whether to prevent the command from being used in clubs or not
-    * @arg {Function | String} [options.errorMessage] A string or a function that returns a string to show if the execution of the command handler somehow fails.
-    * @arg {String} [options.fullDescription="No full description"] A detailed description of the command to show in the default help command
+    * @arg {Function | String | Object} [options.errorMessage] A string or a function that returns a string to show if the execution of the command handler somehow fails.
+    * @arg {Array<Object>} [options.flags] The flags the command accepts, such as `--silent` or `-n 50`. If given, flags are removed from the arguments and passed to the generator as a third parameter, an object mapping flag names to their values. See the ArgumentParser constructor for the options of each flag
+    * @arg {String | Object} [options.fullDescription="No full description"] A detailed description of the command to show in the default help command
     * @arg {Boolean} [options.clubOnly=false] Whether to prevent the command from being used in Direct Messages or not
     * @arg {Boolean} [options.hidden=false] Whether or not the command should be hidden from the default help command list
     * @arg {Object} [options.hooks] A set of functions to be executed at different times throughout the command's processing
@@ -420,8 +415,9 @@ class Command {
     * @arg {Function} [options.hooks.postCheck] A function that is executed after all checks have cleared, but before the command is executed. The function is passed the command message, arguments, and if command checks were passed as parameters.
     * @arg {Function} [options.hooks.postExecution] A function that is executed after the command is executed, regardless of the final failed state of the command. The function is passed the command message, arguments, and if execution succeeded as parameters.
     * @arg {Function} [options.hooks.postCommand] A function that is executed after a response has been posted, and the command has finished processing. The function is passed the command message, arguments, and the response message (if applicable) as parameters.
-    * @arg {Function | String} [options.invalidUsageMessage] A string or a function that returns a string to show when a command was improperly used
-    * @arg {Function | String} [options.permissionMessage] A string or a function that returns a string to show when the user doesn't have permissions to use the command
+    * @arg {Function | String | Object} [options.invalidUsageMessage] A string or a function that returns a string to show when a command was improperly used, including invalid or unknown flags. See the Command constructor for details
+    * @arg {Array<Function>} [options.middleware] Middleware that runs around the processing of the command. See `Command#use()`
+    * @arg {Function | String | Object} [options.permissionMessage] A string or a function that returns a string to show when the user doesn't have permissions to use the command
     * @arg {Array<{emoji: String, type: String, response: (Function | String | Array<Function | String>)}>} [options.reactionButtons] An array of objects specifying reaction buttons
     * `emoji` specifies the button emoji. Custom emojis should be in format `emojiName:emojiID`
     * `type` specifies the type of the reaction button, either "edit" or "cancel"
@@ -443,7 +439,7 @@ class Command {
     * @arg {Function | Array<String>} [options.requirements.roleNames] An array or a function that returns an array of role names that would allow a user to use the command
     * @arg {Function} [options.requirements.custom] A function that accepts a message and returns true if the command should be run
     * @arg {Boolean} [option.restartCooldown=false] Whether or not to restart a command's cooldown every time it's used.
-    * @arg {String} [options.usage] Details on how to call the command to show in the default help command
+    * @arg {String | Object} [options.usage] Details on how to call the command to show in the default help command. Defaults to a usage generated from `options.args` and `options.flags`, if given
     * @returns {Command}
     */
     registerSubcommand(label, generator, options = {}) {
@@ -500,6 +496,193 @@ class Command {
         }
     }
 
+    /**
+    * Add middleware that runs around the processing of the command, after the global middleware of the CommandClient
+    * @arg {Function} middleware A function that is passed the CommandContext and a `next` function, which processes the command (and any further middleware) and returns a Promise. Middleware that doesn't call `next` stops the command from being processed
+    * @returns {Command} The command
+    */
+    use(middleware) {
+        if(typeof middleware !== "function") {
+            throw new TypeError("Middleware must be a function");
+        }
+        this.middleware.push(middleware);
+        return this;
+    }
+
+    /**
+    * Use the cooldown of the command for a message, if it isn't on cooldown. Unlike `cooldownCheck()`, this works with any cooldown store
+    * @arg {Message} msg The message
+    * @returns {Promise<Object>} Resolves with an object with `allowed` (whether the command can be used), `remaining` (how long, in ms, until it can be used again) and `returns` (how many times it has been used while on cooldown)
+    */
+    async useCooldown(msg) {
+        if(this.cooldown === 0 || this.cooldownExclusionCheck(msg)) {
+            return {allowed: true, remaining: 0, returns: 0};
+        }
+        const key = this._cooldownKey(msg);
+        let result;
+        const take = (bucket) => {
+            const token = this._takeCooldownToken(bucket);
+            result = token.result;
+            return token.bucket;
+        };
+        if(typeof this.cooldownStore.update === "function") {
+            await Promise.resolve(this.cooldownStore.update(key, take));
+            return result;
+        }
+        // Without an atomic update, uses of the same key wait for each other, so two uses in this process can't both take the last token
+        const queued = (this._cooldownQueue[key] || Promise.resolve()).then(async () => {
+            const bucket = await Promise.resolve(this.cooldownStore.get(key));
+            await Promise.resolve(this.cooldownStore.set(key, take(bucket)));
+        });
+        const settled = queued.catch(() => {});
+        this._cooldownQueue[key] = settled;
+        try {
+            await queued;
+        } finally {
+            if(this._cooldownQueue[key] === settled) {
+                delete this._cooldownQueue[key];
+            }
+        }
+        return result;
+    }
+
+    _cooldownKey(msg) {
+        let id = msg.author.id;
+        if(this.cooldownScope === "channel") {
+            id = msg.channel.id;
+        } else if(this.cooldownScope === "club") {
+            id = msg.channel.club ? msg.channel.club.id : msg.channel.id;
+        } else if(this.cooldownScope === "global") {
+            id = "global";
+        }
+        return `${this.fullLabel}:${this.cooldownScope}:${id}`;
+    }
+
+    _message(msg, message, params, ...args) {
+        if(typeof message === "function") {
+            message = message(msg, ...args);
+            // Functions can return message content other than strings, which is sent as it is
+            if(typeof message !== "string") {
+                return message;
+            }
+        }
+        // Message content objects (e.g. with an embed) are sent as they are
+        if(!message || !msg._client.localizer.isLocalizedValue(message)) {
+            return message;
+        }
+        return msg._client.localizer.localize(msg.locale, message, Object.assign({label: this.fullLabel, prefix: msg.prefix}, params));
+    }
+
+    async _process(args, msg, ctx) {
+        const shouldDelete = this.deleteCommand && msg.channel.club && msg.channel.permissionsOf(msg._client.user.id).has("manageMessages");
+
+        if(this.hooks.preCommand) {
+            const response = await Promise.resolve(this.hooks.preCommand(msg, args));
+            if(response) {
+                msg = response.msg || msg;
+                args = response.args || args;
+            }
+        }
+
+        let reply;
+        // Edited command messages are processed again, but only use the cooldown of each command once
+        const used = msg._usedCooldowns && msg._usedCooldowns.includes(this.fullLabel);
+        const cooldown = this.cooldown !== 0 && !used ? await this.useCooldown(msg) : null;
+        if(cooldown && cooldown.allowed) {
+            msg._usedCooldowns = (msg._usedCooldowns || []).concat(this.fullLabel); // eslint-disable-line require-atomic-updates
+        }
+        if(cooldown && !cooldown.allowed) {
+            if(this.hooks.postCheck) {
+                const response = await Promise.resolve(this.hooks.postCheck(msg, args, true));
+                if(response) {
+                    msg = response.msg || msg;
+                    args = response.args || args;
+                }
+            }
+            if(this.cooldownMessage && (!this.cooldownReturns || cooldown.returns <= this.cooldownReturns)) {
+                const remaining = Math.ceil(cooldown.remaining / 1000);
+                reply = this._message(msg, this.cooldownMessage, {count: remaining, remaining: remaining}, cooldown.remaining);
+                if(reply) {
+                    msg.channel.createMessage(reply);
+                }
+            }
+            return;
+        }
+        if(!await this.permissionCheck(msg)) {
+            if(this.hooks.postCheck) {
+                const response = await Promise.resolve(this.hooks.postCheck(msg, args, false));
+                if(response) {
+                    msg = response.msg || msg;
+                    args = response.args || args;
+                }
+            }
+
+            if(shouldDelete) {
+                msg.delete();
+            }
+            reply = this._message(msg, this.permissionMessage);
+            if(reply) {
+                msg.channel.createMessage(reply);
+            }
+            return;
+        }
+        if(args.length === 0) {
+            if(shouldDelete) {
+                msg.delete();
+            }
+            if(this.argsRequired) {
+                if(this.hooks.postCheck) {
+                    const response = await Promise.resolve(this.hooks.postCheck(msg, args, true));
+                    if(response) {
+                        msg = response.msg || msg;
+                        args = response.args || args;
+                    }
+                }
+                reply = this._message(msg, this.invalidUsageMessage);
+                if(reply) {
+                    msg.channel.createMessage(reply);
+                }
+                return;
+            }
+            return this.executeCommand(msg, args, ctx);
+        }
+        const label = this.subcommandAliases[args[0]] || args[0];
+        let subcommand;
+        if((subcommand = this.subcommands[label]) !== undefined || ((subcommand = this.subcommands[label.toLowerCase()]) !== undefined && subcommand.caseInsensitive)) {
+            msg.command = subcommand; // eslint-disable-line require-atomic-updates
+            if(ctx._input !== null) {
+                ctx._input = ctx._input.replace(/^\S+\s*/, "");
+            }
+            return subcommand.process(args.slice(1), msg, ctx);
+        } else {
+            if(shouldDelete) {
+                msg.delete();
+            }
+            return this.executeCommand(msg, args, ctx);
+        }
+    }
+
+    _takeCooldownToken(bucket) {
+        // A token bucket holding cooldownUses tokens, refilled over the cooldown
+        const now = Date.now();
+        const rate = this.cooldownUses / this.cooldown;
+        let tokens = bucket ? Math.min(this.cooldownUses, bucket.tokens + (now - bucket.updatedAt) * rate) : this.cooldownUses;
+        if(tokens >= 1) {
+            return {
+                bucket: {returns: 0, tokens: tokens - 1, updatedAt: now},
+                result: {allowed: true, remaining: 0, returns: 0}
+            };
+        }
+        if(this.restartCooldown) {
+            tokens = 0;
+        }
+        const returns = bucket.returns + 1;
+        return {
+            bucket: {returns: returns, tokens: tokens, updatedAt: now},
+            result: {allowed: false, remaining: Math.ceil((1 - tokens) / rate), returns: returns}
+        };
+    }
+
     toString() {
         return `[Command ${this.label}]`;
     }
@@ -513,10 +696,14 @@ class Command {
             "usage",
             "aliases",
             "caseInsensitive",
+            "category",
+            "filePath",
             "hooks",
             "requirements",
             "deleteCommand",
             "argsRequired",
+            "argumentErrorMessage",
+            "argumentParser",
             "clubOnly",
             "dmOnly",
             "cooldown",
@@ -524,6 +711,8 @@ class Command {
             "restartCooldown",
             "cooldownReturns",
             "cooldownMessage",
+            "cooldownScope",
+            "cooldownUses",
             "invalidUsageMessage",
             "permissionMessage",
             "errorMessage",
@@ -534,6 +723,7 @@ class Command {
             "subcommands",
             "subcommandAliases",
             "hidden",
+            "middleware",
             ...props
         ]);
     }
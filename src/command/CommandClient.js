@@ -2,7 +2,20 @@
 
 const Client = require("../Client");
 const Command = require("./Command");
+const CommandContext = require("./CommandContext");
+const FS = require("fs");
+const Localizer = require("./Localizer");
+const MemoryStore = require("../util/MemoryStore");
 const Message = require("../structures/Message");
+const Path = require("path");
+const PromptError = require("../errors/PromptError");
+
+const DEFAULT_ARGS_SPLITTER = (str) => str.split(/\s+/g);
+const HELP_PAGE_LINES = 15;
+const PAGE_BUTTONS = {
+    "⬅": -1,
+    "➡": 1
+};
 
 /**
 * Represents an Kiera client with the command framework
@@ -11,6 +24,10 @@ const Message = require("../structures/Message");
 * @prop {Object} commandAliases Object mapping command label aliases to command labels
 * @prop {Object} commandOptions Command options
 * @prop {Object} clubPrefixes Object mapping club IDs to club specific prefix or arrays of club-specific prefixes
+* @prop {MemoryStore} commandResponses Cache of the responses to command messages, mapping command message IDs to objects with the `channelID` and `responseID` of the response. Only used if `editWindow` or `deleteResponses` is enabled
+* @prop {Localizer} localizer The localizer for the built-in strings of the command framework and the localized values of commands
+* @prop {Array<Function>} middleware The global middleware that runs around the processing of every command
+* @prop {MemoryStore} prefixCache Cache of prefixes resolved by the prefix function, mapping club IDs (or channel IDs for DMs) to promises of prefixes
 */
 class CommandClient extends Client {
     /**
@@ -18,30 +35,49 @@ class CommandClient extends Client {
     * @arg {String} token Bot token
     * @arg {Object} [options] Kiera options (same as Client)
     * @arg {Object} [commandOptions] Command options
-    * @arg {Function} [argsSplitter] The function used to split args. The function is given a string with the contents of the command message (without the prefix) and should return an array of strings. By default, args are split by consecutive whitespace
+    * @arg {Function} [argsSplitter] The function used to split args. The function is given a string with the contents of the command message (without the prefix) and should return an array of strings. By default, args are split by consecutive whitespace, and commands with argument schemas parse the content as it was written, so quoted and rest arguments keep their newlines and spacing. With a custom splitter, the args are joined by spaces before they are parsed
     * @arg {Boolean} [commandOptions.defaultHelpCommand=true] Whether to register the default help command or not
-    * @arg {String} [commandOptions.description="An Kiera-based Helselia bot"] The description to show in the default help command
+    * @arg {Boolean} [commandOptions.deleteResponses=false] Whether to delete the response to a command when the command message is deleted
+    * @arg {String | Object} [commandOptions.description="An Kiera-based Helselia bot"] The description to show in the default help command
+    * @arg {Number} [commandOptions.editWindow=0] How long (in ms) after a command message is sent that editing it processes the command again. The previous response is edited instead of sending a new one, and the cooldown of the command isn't used again. 0 disables this
+    * @arg {Function} [commandOptions.helpFormatter] A function that formats the default help command's output, instead of `formatHelp()`. It is passed the Message object and the help returned by `getHelp()`, and should return (or resolve with) a message content or an array of pages
     * @arg {Boolean} [commandOptions.ignoreBots=true] Whether to ignore bot accounts or not
     * @arg {Boolean} [commandOptions.ignoreSelf=true] Whether to ignore the bot's own account or not
+    * @arg {Object} [commandOptions.localization] Localization options, as in the Localizer constructor. The locale of each command message is resolved before the command is processed, and set as the `locale` property of the message
     * @arg {String} [commandOptions.name="<Bot username>"] The bot name to show in the default help command
     * @arg {String} [commandOptions.owner="an unknown user"] The owner to show in the default help command
-    * @arg {String | Array<String>} [commandOptions.prefix="@mention "] The bot prefix. Can be either an array of prefixes or a single prefix. "@mention" will be automatically replaced with the bot's actual mention
+    * @arg {String | Array<String> | Function} [commandOptions.prefix="@mention "] The bot prefix. Can be either an array of prefixes, a single prefix, or a function that is passed the Message object and returns (or resolves with) either of those. Results of the function are cached per club until `invalidatePrefix()` is called. "@mention" will be automatically replaced with the bot's actual mention. A mention prefix matches with or without a nickname, and with any amount of whitespace after it
+    * @arg {Object} [commandOptions.prefixCache] Options for the cache of prefixes resolved by the prefix function, as in the MemoryStore constructor (`limit` and `ttl`)
+    * @arg {Boolean} [commandOptions.prefixOptionalInDMs=false] Whether commands in Direct Messages can be used without a prefix
+    * @arg {Object} [commandOptions.responseCache={limit: 1000}] Options for the cache of command responses used by `editWindow` and `deleteResponses`, as in the MemoryStore constructor (`limit` and `ttl`)
     * @arg {Object} [commandOptions.defaultCommandOptions={}] Default command options. This object takes the same options as a normal Command
     */
     constructor(token, options, commandOptions) {
         super(token, options);
         this.commandOptions = Object.assign({
-            argsSplitter: (str) => str.split(/\s+/g),
+            argsSplitter: DEFAULT_ARGS_SPLITTER,
             defaultHelpCommand: true,
+            deleteResponses: false,
             description: "An Kiera-based Helselia bot",
+            editWindow: 0,
+            helpFormatter: null,
             ignoreBots: true,
             ignoreSelf: true,
+            localization: {},
             name: null,
             owner: "an unknown user",
             prefix: "@mention ",
+            prefixCache: {},
+            prefixOptionalInDMs: false,
+            responseCache: {limit: 1000},
             defaultCommandOptions: {}
         }, commandOptions);
         this.clubPrefixes = {};
+        this.middleware = [];
+        this._commandModuleCategories = {};
+        this.localizer = new Localizer(this.commandOptions.localization);
+        this.prefixCache = new MemoryStore(this.commandOptions.prefixCache);
+        this.commandResponses = new MemoryStore(this.commandOptions.responseCache);
         this.commands = {};
         this.commandAliases = {};
         this.activeMessages = {};
@@ -55,7 +91,7 @@ class CommandClient extends Client {
                 for(let i = 0; i < this.commandOptions.prefix.length; ++i) {
                     this.commandOptions.prefix[i] = this.commandOptions.prefix[i].replace(/@mention/g, this.user.mention);
                 }
-            } else {
+            } else if(typeof this.commandOptions.prefix === "string") {
                 this.commandOptions.prefix = this.commandOptions.prefix.replace(/@mention/g, this.user.mention);
             }
             for(const key of Object.keys(this.clubPrefixes)) {
@@ -70,76 +106,245 @@ class CommandClient extends Client {
         });
 
         this.on("messageCreate", this.onMessageCreate);
+        this.on("messageUpdate", this.onMessageUpdate);
+        this.on("messageDelete", this.onMessageDelete);
+        this.on("messageDeleteBulk", (messages) => messages.forEach((msg) => this.onMessageDelete(msg)));
 
         this.on("messageReactionAdd", this.onMessageReactionEvent);
         this.on("messageReactionRemove", this.onMessageReactionEvent);
 
+        this.on("clubDelete", (club) => this.invalidatePrefix(club.id));
+
+        const customInvalidUsage = !!this.commandOptions.defaultCommandOptions.invalidUsageMessage;
         if(this.commandOptions.defaultHelpCommand) {
-            this.registerCommand("help", (msg, args) => {
-                let result = "";
-                if(args.length > 0) {
-                    let cur = this.commands[this.commandAliases[args[0]] || args[0]];
-                    if(!cur) {
-                        return "Command not found";
-                    }
-                    let {label} = cur;
-                    for(let i = 1; i < args.length; ++i) {
-                        cur = cur.subcommands[cur.subcommandAliases[args[i]] || args[i]];
-                        if(!cur) {
-                            return "Command not found";
-                        }
-                        label += ` ${cur.label}`;
-                    }
-                    result += `**${msg.prefix}${label}** ${cur.usage}\n${cur.fullDescription}`;
-                    if(cur.aliases.length > 0) {
-                        result += `\n\n**Aliases:** ${cur.aliases.join(", ")}`;
-                    }
-                    const subcommands = Object.keys(cur.subcommands);
-                    if(subcommands.length > 0) {
-                        result += "\n\n**Subcommands:**";
-                        for(const subLabel of subcommands) {
-                            if(cur.subcommands.hasOwnProperty(subLabel) && cur.subcommands[subLabel].permissionCheck(msg)) {
-                                result += `\n  **${subLabel}** - ${cur.subcommands[subLabel].description}`;
-                            }
-                        }
-                    }
-                } else {
-                    result += `${this.commandOptions.name} - ${this.commandOptions.description}\n`;
-                    if(this.commandOptions.owner) {
-                        result += `by ${this.commandOptions.owner}\n`;
-                    }
-                    result += "\n**Commands:**\n";
-                    for(const label in this.commands) {
-                        if(this.commands.hasOwnProperty(label) && this.commands[label] && this.commands[label].permissionCheck(msg) && !this.commands[label].hidden) {
-                            result += `  **${msg.prefix}${label}** - ${this.commands[label].description}\n`;
-                        }
-                    }
-                    result += `\nType ${msg.prefix}help <command> for more info on a command.`;
+            this.registerCommand("help", async (msg, args) => {
+                const help = await this.getHelp(msg, args);
+                if(!help) {
+                    return this.localizer.translate(msg.locale, "commandNotFound");
                 }
-                return result;
+                const result = await (this.commandOptions.helpFormatter || this.formatHelp).call(this, msg, help);
+                return Array.isArray(result) ? {pages: result} : result;
             }, {
-                description: "This help text",
-                fullDescription: "This command is used to view information of different bot commands, including this one."
+                description: {key: "help.description"},
+                fullDescription: {key: "help.fullDescription"}
             });
             if(!this.commandOptions.defaultCommandOptions.invalidUsageMessage) {
-                this.commandOptions.defaultCommandOptions.invalidUsageMessage = "Invalid usage. Do `%prefix%help %label%` to view proper usage.";
+                this.commandOptions.defaultCommandOptions.invalidUsageMessage = {key: "invalidUsageHelp"};
             }
         } else if(!this.commandOptions.defaultCommandOptions.invalidUsageMessage) {
-            this.commandOptions.defaultCommandOptions.invalidUsageMessage = "Invalid usage.";
+            this.commandOptions.defaultCommandOptions.invalidUsageMessage = {key: "invalidUsage"};
+        }
+        // Argument errors fall back on a custom invalidUsageMessage, unless there is a custom argumentErrorMessage too
+        if(!this.commandOptions.defaultCommandOptions.argumentErrorMessage && !customInvalidUsage) {
+            this.commandOptions.defaultCommandOptions.argumentErrorMessage = {key: "argumentError"};
         }
     }
 
-    checkPrefix(msg) {
+    /**
+    * Find the prefix a message starts with
+    * @arg {Message} msg The message
+    * @returns {Promise<String?>} Resolves with the prefix as it appears in the message (with nickname mentions replaced by normal mentions), an empty string for a Direct Message without a prefix if `prefixOptionalInDMs` is enabled, or null if the message doesn't start with a prefix
+    */
+    async checkPrefix(msg) {
         let prefixes = this.commandOptions.prefix;
         if(msg.channel.club !== undefined && this.clubPrefixes[msg.channel.club.id] !== undefined) {
             prefixes = this.clubPrefixes[msg.channel.club.id];
+        } else if(typeof prefixes === "function") {
+            try {
+                prefixes = await this.resolvePrefix(msg);
+            } catch(err) {
+                this.emit("error", err);
+                return null;
+            }
         }
         if(typeof prefixes === "string") {
-            return msg.content.replace(/<@!/g, "<@").startsWith(prefixes) && prefixes;
-        } else if(Array.isArray(prefixes)) {
-            return prefixes.find((prefix) => msg.content.replace(/<@!/g, "<@").startsWith(prefix));
+            prefixes = [prefixes];
+        } else if(!Array.isArray(prefixes)) {
+            throw new Error(`Unsupported prefix format | ${prefixes}`);
+        }
+        const content = msg.content.replace(/<@!/g, "<@");
+        for(let prefix of prefixes) {
+            prefix = prefix.replace(/@mention/g, this.user.mention).replace(/<@!/g, "<@");
+            if(prefix.startsWith(this.user.mention) && !prefix.substring(this.user.mention.length).trim()) {
+                const match = content.match(new RegExp(`^${this.user.mention}\\s*`));
+                if(match) {
+                    return match[0];
+                }
+            } else if(content.startsWith(prefix)) {
+                return prefix;
+            }
+        }
+        if(msg.channel.club === undefined && this.commandOptions.prefixOptionalInDMs) {
+            return "";
+        }
+        return null;
+    }
+
+    /**
+    * The default help formatter, which renders help as embeds, split into pages of 15 commands
+    * @arg {Message} msg The help command message
+    * @arg {Object} help The help to format, as returned by `getHelp()`
+    * @returns {Array<Object>} The message content of each page
+    */
+    formatHelp(msg, help) {
+        const t = (key, params) => this.localizer.translate(msg.locale, key, Object.assign({prefix: msg.prefix}, params));
+        const localize = (value) => this.localizer.localize(msg.locale, value, {prefix: msg.prefix}) || "";
+        const fields = [];
+        const footer = t("help.footer");
+        let title;
+        let description;
+        if(help.command) {
+            const command = help.command;
+            title = `${msg.prefix}${help.label} ${localize(command.usage)}`.trim();
+            description = localize(command.fullDescription);
+            if(command.aliases.length > 0) {
+                fields.push({name: t("help.aliases"), value: command.aliases.join(", "), inline: true});
+            }
+            if(command.category) {
+                fields.push({name: t("help.category"), value: command.category, inline: true});
+            }
+            if(command.cooldown) {
+                const cooldown = t("help.cooldownSeconds", {count: command.cooldown / 1000});
+                fields.push({name: t("help.cooldown"), value: command.cooldownUses > 1 ? t("help.cooldownUses", {count: command.cooldownUses, cooldown: cooldown}) : cooldown, inline: true});
+            }
+            if(command.clubOnly || command.dmOnly) {
+                fields.push({name: t("help.availability"), value: t(command.clubOnly ? "help.clubOnly" : "help.dmOnly"), inline: true});
+            }
+            const permissions = typeof command.requirements.permissions === "object" ? Object.keys(command.requirements.permissions).filter((permission) => command.requirements.permissions[permission]) : [];
+            if(permissions.length > 0) {
+                fields.push({name: t("help.permissions"), value: permissions.join(", "), inline: true});
+            }
+            if(Array.isArray(command.requirements.roleNames) && command.requirements.roleNames.length > 0) {
+                fields.push({name: t("help.roles"), value: command.requirements.roleNames.join(", "), inline: true});
+            }
+        } else {
+            title = this.commandOptions.name.replace(/\*\*/g, "");
+            description = localize(this.commandOptions.description) + (this.commandOptions.owner ? "\n" + t("help.owner", {owner: this.commandOptions.owner}) : "");
         }
-        throw new Error(`Unsupported prefix format | ${prefixes}`);
+
+        const pages = [fields];
+        let lines = 0;
+        for(const category of help.categories) {
+            const name = category.name || t(help.command ? "help.subcommands" : "help.commands");
+            let field = null;
+            let started = false;
+            for(const command of category.commands) {
+                const line = (help.command ? `**${command.label}**` : `**${msg.prefix}${command.label}**`) + ` - ${localize(command.description)}`;
+                if(lines >= HELP_PAGE_LINES) {
+                    pages.push([]);
+                    lines = 0;
+                    field = null;
+                }
+                // Field values are limited to 1024 characters
+                if(!field || field.value.length + line.length >= 1024) {
+                    field = {
+                        name: started ? t("help.continued", {name}) : name,
+                        value: ""
+                    };
+                    pages[pages.length - 1].push(field);
+                    started = true;
+                }
+                field.value += (field.value ? "\n" : "") + line.substring(0, 1024);
+                ++lines;
+            }
+        }
+
+        return pages.map((pageFields, index) => ({
+            embed: {
+                title: title,
+                description: description,
+                fields: pageFields,
+                footer: {
+                    text: pages.length > 1 ? t("help.page", {footer: footer, page: index + 1, pages: pages.length}) : footer
+                }
+            }
+        }));
+    }
+
+    /**
+    * Find the commands to show in the help for a message. Commands that are hidden or that the user doesn't have permission to use are left out
+    * @arg {Message} msg The help command message
+    * @arg {Array<String>} [labels] The labels of the command (and subcommands) to get help for. If empty, help for every command is returned
+    * @returns {Promise<Object?>} Resolves with an object containing the command (`command`, null for every command), its full label as it was given (`label`) and an array of categories (`categories`), each with a `name` (null for uncategorized commands) and the `commands` in it. For a single command, there is one uncategorized category containing its subcommands. Resolves with null if the command doesn't exist
+    */
+    async getHelp(msg, labels = []) {
+        let command = null;
+        let label = null;
+        let commands;
+        if(labels.length > 0) {
+            command = this.resolveCommand(labels[0]);
+            if(!command) {
+                return null;
+            }
+            label = command.label;
+            for(let i = 1; i < labels.length; ++i) {
+                command = command.subcommands[command.subcommandAliases[labels[i]] || labels[i]];
+                if(!command) {
+                    return null;
+                }
+                label += ` ${command.label}`;
+            }
+            commands = Object.keys(command.subcommands).map((label) => command.subcommands[label]);
+        } else {
+            commands = Object.keys(this.commands).map((label) => this.commands[label]);
+        }
+
+        const categories = new Map();
+        for(const cur of commands) {
+            if(cur.hidden || !(await cur.permissionCheck(msg))) {
+                continue;
+            }
+            const name = command ? null : cur.category;
+            if(!categories.has(name)) {
+                categories.set(name, []);
+            }
+            categories.get(name).push(cur);
+        }
+        return {
+            categories: Array.from(categories, ([name, commands]) => ({name, commands})).sort((a, b) => (a.name !== null) - (b.name !== null) || (a.name !== null && a.name.localeCompare(b.name))),
+            command: command,
+            label: label
+        };
+    }
+
+    /**
+    * Remove prefixes resolved by the prefix function from the cache, so they are resolved again for the next message
+    * @arg {String} [id] The ID of the club (or DM channel) to remove the prefix of. If not given, every cached prefix is removed
+    */
+    invalidatePrefix(id) {
+        if(id === undefined) {
+            this.prefixCache.clear();
+        } else {
+            this.prefixCache.delete(id);
+        }
+    }
+
+    /**
+    * Load every command module in a directory. Modules in subdirectories are put in a category named after the subdirectory they are in, unless they set their own category.
+    * A command module exports an object with a `generator` and optionally a `label` (defaults to the file name), `options` (the same options as `registerCommand()`) and `subcommands` (an array of objects in the same format).
+    * Modules that fail to load, and aliases that conflict with existing commands or aliases, are skipped and reported with the `error` event
+    * @arg {String} directory The path of the directory
+    * @returns {Array<Command>} The commands that were loaded
+    */
+    loadCommands(directory) {
+        directory = Path.resolve(directory);
+        const commands = [];
+        const loadDirectory = (path, category) => {
+            for(const name of FS.readdirSync(path).sort()) {
+                const entryPath = Path.join(path, name);
+                const stats = FS.statSync(entryPath);
+                if(stats.isDirectory()) {
+                    loadDirectory(entryPath, category || name);
+                } else if(stats.isFile() && name.endsWith(".js")) {
+                    const command = this._loadCommandModule(entryPath, category);
+                    if(command) {
+                        commands.push(command);
+                    }
+                }
+            }
+        };
+        loadDirectory(directory, null);
+        return commands;
     }
 
     /**
@@ -154,63 +359,32 @@ class CommandClient extends Client {
             this.emit("warn", `Message ${msg.id} has author=${msg.author} | Channel ${msg.channel.id}, timestamp ${Date.now()}`);
             return;
         }
+        await this._processCommandMessage(msg, false);
+    }
 
-        msg.command = false;
-        if((!this.commandOptions.ignoreSelf || msg.author.id !== this.user.id) && (!this.commandOptions.ignoreBots || !msg.author.bot) && (msg.prefix = this.checkPrefix(msg))) {
-            const args = this.commandOptions.argsSplitter(msg.content.replace(/<@!/g, "<@").substring(msg.prefix.length).trim());
-            const label = args.shift();
-            const command = this.resolveCommand(label);
-            if(command !== undefined) {
-                msg.command = command;
-                try {
-                    let resp = await msg.command.process(args, msg);
-                    if(resp != null) {
-                        if(!(resp instanceof Message)) {
-                            resp = await this.createMessage(msg.channel.id, resp); // eslint-disable-line require-atomic-updates
-                        }
-                        if(msg.command.reactionButtons) {
-                            msg.command.reactionButtons.forEach((button) => resp.addReaction(button.emoji));
-                            this.activeMessages[resp.id] = {
-                                args: args,
-                                command: msg.command,
-                                timeout: setTimeout(() => {
-                                    this.unwatchMessage(resp.id, resp.channel.id);
-                                }, msg.command.reactionButtonTimeout)
-                            };
-                        }
-                    }
-                    if(msg.command.hooks.postCommand) {
-                        msg.command.hooks.postCommand(msg, args, resp);
-                    }
-                } catch(err) {
-                    this.emit("error", err);
-                    if(msg.command.hooks.postExecution) {
-                        msg.command.hooks.postExecution(msg, args, false);
-                    }
-                    let newMsg;
-                    if(msg.command.errorMessage) {
-                        try {
-                            if(typeof msg.command.errorMessage === "function") {
-                                const reply = msg.command.errorMessage(msg, err);
-                                if(reply !== undefined) {
-                                    newMsg = await this.createMessage(msg.channel.id, reply);
-                                }
-                            } else {
-                                newMsg = await this.createMessage(msg.channel.id, msg.command.errorMessage);
-                            }
-                        } catch(err) {
-                            this.emit("error", err);
-                        }
-                    }
-                    if(msg.command.hooks.postCommand) {
-                        msg.command.hooks.postCommand(msg, args, newMsg);
-                    }
-                }
-            }
+    /**
+    * Deletes the tracked response to a deleted command message, if `deleteResponses` is enabled
+    * @arg {Message | Object} msg The message object from the message delete event
+    */
+    onMessageDelete(msg) {
+        if(!this.commandOptions.deleteResponses) {
+            return;
+        }
+        const response = this.commandResponses.get(msg.id);
+        if(response === undefined) {
+            return;
+        }
+        this.commandResponses.delete(msg.id);
+        if(this.activeMessages[response.responseID]) {
+            clearTimeout(this.activeMessages[response.responseID].timeout);
+            delete this.activeMessages[response.responseID];
         }
+        this.deleteMessage(response.channelID, response.responseID).catch(() => {});
     }
 
     async onMessageReactionEvent(msg, emoji, userID) {
+        // Reaction adds give the member (or an object with an ID), and reaction removes give the user ID
+        userID = userID.id || userID;
         if(!this.ready || userID === this.user.id || !(msg.content || msg.embeds || msg.attachments)) {
             return;
         }
@@ -218,6 +392,18 @@ class CommandClient extends Client {
         emoji = emoji.id ? `${emoji.name}:${emoji.id}` : emoji.name;
 
         const activeMessage = this.activeMessages[msg.id];
+        const pageButton = PAGE_BUTTONS[emoji.replace(/\uFE0F/g, "")];
+        if(activeMessage && activeMessage.pages && pageButton) {
+            // Only the user that used the command can turn the pages
+            if(userID !== activeMessage.userID) {
+                return;
+            }
+            activeMessage.page = (activeMessage.page + pageButton + activeMessage.pages.length) % activeMessage.pages.length;
+            try {
+                await this.editMessage(msg.channel.id, msg.id, activeMessage.pages[activeMessage.page]);
+            } catch(err) {} // eslint-disable-line no-empty
+            return;
+        }
         if(activeMessage && activeMessage.command.reactionButtons) {
             const action = activeMessage.command.reactionButtons.find((button) => button.emoji === emoji);
             if(!action) {
@@ -253,29 +439,54 @@ class CommandClient extends Client {
         }
     }
 
+    /**
+    * Processes a command message again if it was edited within the `editWindow`, editing the previous response instead of sending a new one
+    * @arg {Message} msg The message object from the message update event
+    * @arg {Object?} oldMessage The old message data from the message update event
+    */
+    async onMessageUpdate(msg, oldMessage) {
+        // Uncached messages without a timestamp are partial, and updates without an edit timestamp are embeds being added, not edits
+        if(!this.ready || !this.commandOptions.editWindow || !(msg instanceof Message) || !msg.author || !msg.editedTimestamp) {
+            return;
+        }
+        if((oldMessage && oldMessage.content === msg.content) || Date.now() - msg.timestamp > this.commandOptions.editWindow) {
+            return;
+        }
+        await this._processCommandMessage(msg, true);
+    }
+
     /**
     * Register a command
     * @arg {String} label The command label
     * @arg {Function | String | Array<Function | String>} generator A response string, array of functions or strings, or function that generates a string or array of strings when called.
     * If a function is passed, the function will be passed a Message object and an array of command arguments. The Message object will have an additional property `prefix`, which is the prefix used in the command.
-    * `generator(msg, args)`
-    * @arg {Object} [options] Command options
+    * The function can also return an object with a `pages` array of message contents. The first page is sent, and the user that used the command can turn the pages with reaction buttons.
+    * The function is also passed the parsed flags (if the command has any) and the CommandContext, which can be used to ask the user for more input with `prompt()`.
+    * `generator(msg, args, flags, ctx)`
+    * @arg {Object} [options] Command options. Descriptions, usage and messages can be localized values (see Localizer), which are resolved for the locale of each message
     * @arg {Array<String>} [options.aliases] An array of command aliases
+    * @arg {Function | String | Object} [options.argumentErrorMessage] A string or a function that returns a string to show when an argument is missing or invalid. `%argument%` is replaced with the argument name, `%reason%` with why it is invalid, and `%usage%` with the command usage. The function is passed the Message object and the ArgumentError as parameters. If not given, argument errors are shown with the invalidUsageMessage, as flag errors always are
+    * @arg {Array<Object>} [options.args] The argument schema. If given, the arguments are parsed, validated and passed to the generator as an object mapping argument names to their values. See the ArgumentParser constructor for the options of each argument
     * @arg {Boolean} [options.argsRequired=false] If arguments are required or not
     * @arg {Boolean} [options.caseInsensitive=false] Whether the command label (and aliases) is case insensitive or not
+    * @arg {String} [options.category] The category the command is listed under in the default help command
     * @arg {Number} [options.cooldown] The cooldown between command usage in milliseconds
     * @arg {Object} [options.cooldownExclusions={}] A set of factors that limit where cooldowns are active
     * @arg {Array<String>} [options.cooldownExclusions.userIDs] An array of user IDs representing users that are not affected by cooldowns.
     * @arg {Array<String>} [options.cooldownExclusions.clubIDs] An array of club IDs representing clubs that are not affected by cooldowns.
     * @arg {Array<String>} [options.cooldownExclusions.channelIDs] An array of channel IDs representing channels that are not affected by cooldowns.
-    * @arg {Function | String} [options.cooldownMessage] A string or a function that returns a string to show when the command is on cooldown
+    * @arg {Function | String | Object} [options.cooldownMessage] A string or a function that returns a string to show when the command is on cooldown. `%remaining%` is replaced with the number of seconds until the command can be used again. The function is passed the Message object and the remaining time in milliseconds as parameters
     * @arg {Number} [option.cooldownReturns=0] Number of times to return a message when the command is used during it's cooldown.  Once the cooldown expires this is reset.  Set this to 0 to always return a message.
+    * @arg {String} [options.cooldownScope="user"] What the cooldown is tracked per, either "user", "channel", "club" or "global"
+    * @arg {Object} [options.cooldownStore] The store to keep cooldown usage in, such as a JSONFileStore to keep cooldowns across restarts. See the Command constructor for details
+    * @arg {Number} [options.cooldownUses=1] How many times the command can be used per cooldown
     * @arg {Object} [options.defaultSubcommandOptions={}] Default subcommand options. This object takes the same options as a normal Command
     * @arg {Boolean} [options.deleteCommand=false] Whether to delete the user command message or not
-    * @arg {String} [options.description="No description"] A short description of the command to show in the default help command
+    * @arg {String | Object} [options.description="No description"] A short description of the command to show in the default help command
     * @arg {Boolean} [options.dmOnly=false] Whether to prevent the command from being used in clubs or not
-    * @arg {Function | String} [options.errorMessage] A string or a function that returns a string to show if the execution of the command handler somehow fails. The function is passed the command message and the error as parameters.
-    * @arg {String} [options.fullDescription="No full description"] A detailed description of the command to show in the default help command
+    * @arg {Function | String | Object} [options.errorMessage] A string or a function that returns a string to show if the execution of the command handler somehow fails. The function is passed the command message and the error as parameters.
+    * @arg {Array<Object>} [options.flags] The flags the command accepts, such as `--silent` or `-n 50`. If given, flags are removed from the arguments and passed to the generator as a third parameter, an object mapping flag names to their values. See the ArgumentParser constructor for the options of each flag
+    * @arg {String | Object} [options.fullDescription="No full description"] A detailed description of the command to show in the default help command
     * @arg {Boolean} [options.clubOnly=false] Whether to prevent the command from being used in Direct Messages or not
     * @arg {Boolean} [options.hidden=false] Whether or not the command should be hidden from the default help command list
     * @arg {Object} [options.hooks] A set of functions to be executed at different times throughout the command's processing
@@ -283,8 +494,9 @@ class CommandClient extends Client {
     * @arg {Function} [options.hooks.postCheck] A function that is executed after all checks have cleared, but before the command is executed. The function is passed the command message, arguments, and if command checks were passed as parameters.
     * @arg {Function} [options.hooks.postExecution] A function that is executed after the command is executed, regardless of the final failed state of the command. The function is passed the command message, arguments, and if execution succeeded as parameters.
     * @arg {Function} [options.hooks.postCommand] A function that is executed after a response has been posted, and the command has finished processing. The function is passed the command message, arguments, and the response message (if applicable) as parameters.
-    * @arg {Function | String} [options.invalidUsageMessage] A string or a function that returns a string to show when a command was improperly used
-    * @arg {Function | String} [options.permissionMessage] A string or a function that returns a string to show when the user doesn't have permissions to use the command
+    * @arg {Function | String | Object} [options.invalidUsageMessage] A string or a function that returns a string to show when a command was improperly used, including invalid or unknown flags. See the Command constructor for details
+    * @arg {Array<Function>} [options.middleware] Middleware that runs around the processing of the command. See `Command#use()`
+    * @arg {Function | String | Object} [options.permissionMessage] A string or a function that returns a string to show when the user doesn't have permissions to use the command
     * @arg {Array<{emoji: String, type: String, response: (Function | String | Array<Function | String>)}>} [options.reactionButtons] An array of objects specifying reaction buttons
     * `emoji` specifies the button emoji. Custom emojis should be in format `emojiName:emojiID`
     * `type` specifies the type of the reaction button, either "edit" or "cancel"
@@ -306,7 +518,7 @@ class CommandClient extends Client {
     * @arg {Function | Array<String>} [options.requirements.roleNames] An array or a function that returns an array of role names that would allow a user to use the command
     * @arg {Function} [options.requirements.custom] A function that accepts a message and returns true if the command should be run
     * @arg {Boolean} [option.restartCooldown=false] Whether or not to restart a command's cooldown every time it's used.
-    * @arg {String} [options.usage] Details on how to call the command to show in the default help command
+    * @arg {String | Object} [options.usage] Details on how to call the command to show in the default help command. Defaults to a usage generated from `options.args` and `options.flags`, if given
     * @returns {Command}
     */
     registerCommand(label, generator, options = {}) {
@@ -317,7 +529,6 @@ class CommandClient extends Client {
         if(this.commands[label] || (this.commands[lowercaseCommand] && this.commands[lowercaseCommand].caseInsensitive)) {
             throw new Error(`You have already registered a command for ${label}`);
         }
-        // Aliases are not deleted when deleting commands
         let command = this.commandAliases[label]; // Just to make the following if statement less messy
         lowercaseCommand = this.commandAliases[label.toLowerCase()];
         if(this.commands[command] || (this.commands[lowercaseCommand] && this.commands[lowercaseCommand].caseInsensitive)) {
@@ -400,6 +611,52 @@ class CommandClient extends Client {
         }
     }
 
+    /**
+    * Reload the module of every command in a category. Commands that fail to reload are kept as they were
+    * @arg {String} category The category
+    * @returns {Array<Command>} The commands that were reloaded
+    */
+    reloadCategory(category) {
+        const commands = [];
+        for(const label of Object.keys(this.commands)) {
+            if(this.commands[label].category === category && this.commands[label].filePath) {
+                const command = this.reloadCommand(label);
+                if(command) {
+                    commands.push(command);
+                }
+            }
+        }
+        return commands;
+    }
+
+    /**
+    * Reload the module of a command loaded with `loadCommands()`. Only the command module itself is removed from the require cache, not the modules it requires.
+    * If the module fails to load, the error is reported with the `error` event and the command is kept as it was
+    * @arg {String} label The command label or alias
+    * @returns {Command?} The reloaded command, or null if it failed to reload
+    */
+    reloadCommand(label) {
+        const command = this.resolveCommand(label);
+        if(!command) {
+            throw new Error(`No command registered for ${label}`);
+        }
+        if(!command.filePath) {
+            throw new Error(`Command ${command.label} was not loaded from a module`);
+        }
+        const category = this._commandModuleCategories[command.filePath];
+        const aliases = command.aliases.slice();
+        this.unregisterCommand(command.label);
+        const reloaded = this._loadCommandModule(command.filePath, category);
+        if(!reloaded) {
+            this.commands[command.label] = command;
+            this._commandModuleCategories[command.filePath] = category;
+            for(const alias of aliases) {
+                this.commandAliases[alias] = command.label;
+            }
+        }
+        return reloaded;
+    }
+
     resolveCommand(label) {
         label = this.commandAliases[label] || label;
         let command = this.commands[label];
@@ -415,15 +672,46 @@ class CommandClient extends Client {
     }
 
     /**
-    * Unregister a command
-    * @arg {String} label The command label
+    * Resolve the prefixes for a message with the prefix function, using the cache if possible
+    * @arg {Message} msg The message
+    * @returns {Promise<String | Array<String>>}
+    */
+    resolvePrefix(msg) {
+        const id = msg.channel.club ? msg.channel.club.id : msg.channel.id;
+        let prefix = this.prefixCache.get(id);
+        if(prefix === undefined) {
+            // Cache the promise so messages received while the prefix is resolving don't resolve it again
+            prefix = Promise.resolve().then(() => this.commandOptions.prefix(msg));
+            this.prefixCache.set(id, prefix);
+            prefix.catch(() => {
+                // Don't keep failures cached, unless the prefix was invalidated and resolved again in the meantime
+                if(this.prefixCache.get(id) === prefix) {
+                    this.invalidatePrefix(id);
+                }
+            });
+        }
+        return prefix;
+    }
+
+    /**
+    * Unregister a command, along with its aliases. If the command was loaded from a module, the module is removed from the require cache
+    * @arg {String} label The command label, or an alias to unregister only that alias
     */
     unregisterCommand(label) {
         const original = this.commandAliases[label];
         if(original) {
             this.commands[original].aliases.splice(this.commands[original].aliases.indexOf(label), 1);
             delete this.commandAliases[label];
-        } else {
+        } else if(this.commands[label]) {
+            for(const alias in this.commandAliases) {
+                if(this.commandAliases[alias] === label) {
+                    delete this.commandAliases[alias];
+                }
+            }
+            if(this.commands[label].filePath) {
+                delete require.cache[this.commands[label].filePath];
+                delete this._commandModuleCategories[this.commands[label].filePath];
+            }
             delete this.commands[label];
         }
     }
@@ -435,6 +723,188 @@ class CommandClient extends Client {
         }
     }
 
+    /**
+    * Add global middleware that runs around the processing of every command, before the command's own middleware.
+    * Middleware can be used to implement logging, blacklists or error reporting for every command at once
+    * @arg {Function} middleware A function that is passed the CommandContext and a `next` function, which processes the command (and any further middleware) and returns a Promise. Middleware that doesn't call `next` stops the command from being processed. Errors thrown by `next` can be caught
+    * @returns {CommandClient} The client
+    */
+    use(middleware) {
+        if(typeof middleware !== "function") {
+            throw new TypeError("Middleware must be a function");
+        }
+        this.middleware.push(middleware);
+        return this;
+    }
+
+    _loadCommandModule(filePath, category) {
+        let command;
+        try {
+            delete require.cache[filePath];
+            const commandModule = require(filePath);
+            if(!commandModule || typeof commandModule !== "object") {
+                throw new Error("Command modules must export an object");
+            }
+            const label = commandModule.label || Path.basename(filePath, ".js");
+            const options = Object.assign({}, commandModule.options);
+            options.category = options.category || category;
+            if(this.resolveCommand(label)) {
+                throw new Error(`You have already registered a command for ${label}`);
+            }
+            if(options.aliases) {
+                options.aliases = options.aliases.filter((alias) => {
+                    const existing = this.resolveCommand(alias);
+                    if(existing) {
+                        this.emit("error", new Error(`Alias ${alias} of command ${label} in ${filePath} is already registered for command ${existing.label}`));
+                        return false;
+                    }
+                    return true;
+                });
+            }
+            command = this.registerCommand(label, commandModule.generator, options);
+            this._registerSubcommandModules(command, commandModule.subcommands);
+        } catch(err) {
+            if(command) {
+                this.unregisterCommand(command.label);
+            }
+            delete require.cache[filePath];
+            this.emit("error", new Error(`Failed to load command module ${filePath}: ${err.message}`, {cause: err}));
+            return null;
+        }
+        command.filePath = filePath;
+        this._commandModuleCategories[filePath] = category;
+        return command;
+    }
+
+    async _processCommandMessage(msg, edit) {
+        msg.command = false;
+        if((!this.commandOptions.ignoreSelf || msg.author.id !== this.user.id) && (!this.commandOptions.ignoreBots || !msg.author.bot) && (msg.prefix = await this.checkPrefix(msg)) !== null) { // eslint-disable-line require-atomic-updates
+            const content = msg.content.replace(/<@!/g, "<@").substring(msg.prefix.length).trim();
+            const args = this.commandOptions.argsSplitter(content);
+            const label = args.shift();
+            const command = this.resolveCommand(label);
+            if(command !== undefined) {
+                const previous = edit ? this.commandResponses.get(msg.id) : undefined;
+                msg.command = command; // eslint-disable-line require-atomic-updates
+                try {
+                    msg.locale = await this.localizer.resolveLocale(msg); // eslint-disable-line require-atomic-updates
+                } catch(err) {
+                    this.emit("error", err);
+                    msg.locale = this.localizer.defaultLocale; // eslint-disable-line require-atomic-updates
+                }
+                try {
+                    const ctx = new CommandContext(msg, command, args);
+                    // Argument schemas are parsed from the content as it was written. Args from a custom splitter are joined instead, since they may not be split by whitespace
+                    if(this.commandOptions.argsSplitter === DEFAULT_ARGS_SPLITTER) {
+                        ctx._input = content.replace(/^\S+\s*/, "");
+                    }
+                    await ctx._run(this.middleware, async () => {
+                        ctx.response = await command.process(ctx.args, ctx.msg, ctx); // eslint-disable-line require-atomic-updates
+                    });
+                    let resp = ctx.response;
+                    let pages = null;
+                    if(resp != null && Array.isArray(resp.pages)) {
+                        pages = resp.pages.length > 1 ? resp.pages : null;
+                        resp = resp.pages[0];
+                    }
+                    if(resp != null) {
+                        // The reaction buttons of an edited response are set up again if they are still needed
+                        const watched = previous && this.activeMessages[previous.responseID];
+                        if(watched) {
+                            clearTimeout(watched.timeout);
+                            delete this.activeMessages[previous.responseID];
+                        }
+                        if(!(resp instanceof Message)) {
+                            resp = await this._sendResponse(msg, resp, previous); // eslint-disable-line require-atomic-updates
+                        } else {
+                            this._trackResponse(msg, resp);
+                        }
+                        if(msg.command.reactionButtons || pages) {
+                            if(pages) {
+                                Object.keys(PAGE_BUTTONS).forEach((emoji) => resp.addReaction(emoji));
+                            }
+                            if(msg.command.reactionButtons) {
+                                msg.command.reactionButtons.forEach((button) => resp.addReaction(button.emoji));
+                            }
+                            this.activeMessages[resp.id] = {
+                                args: args,
+                                command: msg.command,
+                                page: 0,
+                                pages: pages,
+                                userID: msg.author.id,
+                                timeout: setTimeout(() => {
+                                    this.unwatchMessage(resp.id, resp.channel.id);
+                                }, msg.command.reactionButtonTimeout)
+                            };
+                        } else if(watched && resp.id === previous.responseID) {
+                            this.unwatchMessage(resp.id, resp.channel.club && resp.channel.id);
+                        }
+                    }
+                    if(msg.command.hooks.postCommand) {
+                        msg.command.hooks.postCommand(msg, args, resp);
+                    }
+                } catch(err) {
+                    // The prompt has already told the user why it ended, so the command just stops
+                    if(err instanceof PromptError) {
+                        if(msg.command.hooks.postCommand) {
+                            msg.command.hooks.postCommand(msg, args);
+                        }
+                        return;
+                    }
+                    this.emit("error", err);
+                    if(msg.command.hooks.postExecution) {
+                        msg.command.hooks.postExecution(msg, args, false);
+                    }
+                    let newMsg;
+                    if(msg.command.errorMessage) {
+                        try {
+                            const reply = msg.command._message(msg, msg.command.errorMessage, {}, err);
+                            if(reply !== undefined && reply !== null) {
+                                newMsg = await this._sendResponse(msg, reply, previous);
+                            }
+                        } catch(err) {
+                            this.emit("error", err);
+                        }
+                    }
+                    if(msg.command.hooks.postCommand) {
+                        msg.command.hooks.postCommand(msg, args, newMsg);
+                    }
+                }
+            }
+        }
+    }
+
+    _registerSubcommandModules(command, subcommands) {
+        if(!subcommands) {
+            return;
+        }
+        for(const subcommand of subcommands) {
+            if(!subcommand || !subcommand.label) {
+                throw new Error(`Subcommands of ${command.fullLabel} must have a label`);
+            }
+            this._registerSubcommandModules(command.registerSubcommand(subcommand.label, subcommand.generator, Object.assign({}, subcommand.options)), subcommand.subcommands);
+        }
+    }
+
+    async _sendResponse(msg, content, previous) {
+        let resp = null;
+        if(previous) {
+            // The previous response may have been deleted in the meantime, in which case a new one is sent
+            resp = await this.editMessage(previous.channelID, previous.responseID, content).catch(() => null);
+        }
+        if(!resp) {
+            resp = await this.createMessage(msg.channel.id, content);
+        }
+        this._trackResponse(msg, resp);
+        return resp;
+    }
+
+    _trackResponse(msg, resp) {
+        if(this.commandOptions.editWindow || this.commandOptions.deleteResponses) {
+            this.commandResponses.set(msg.id, {channelID: resp.channel.id, responseID: resp.id});
+        }
+    }
+
     toString() {
         return `[CommandClient ${this.user.id}]`;
     }
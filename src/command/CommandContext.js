@@ -0,0 +1,189 @@
+"use strict";
+
+const ArgumentError = require("../errors/ArgumentError");
+const ArgumentParser = require("./ArgumentParser");
+const MessageCollector = require("../util/MessageCollector");
+const PromptError = require("../errors/PromptError");
+const ReactionCollector = require("../util/ReactionCollector");
+
+/**
+* The context of a command execution, shared by its middleware and passed to the command generator
+* @prop {Array<String> | Object} args The command arguments. Once the command's argument schema has been parsed, this is the object of parsed arguments
+* @prop {CommandClient} client The command client
+* @prop {Command} command The command being executed. This changes to the subcommand when a subcommand is used
+* @prop {Object?} flags The parsed flags, or null if they have not been parsed or the command has no flags
+* @prop {Message} msg The command message
+* @prop {any} response The response of the command, once it has been executed. Middleware can set this to reply without executing the command
+* @prop {Object} state An object for middleware to share arbitrary data
+*/
+class CommandContext {
+    /**
+    * Construct a CommandContext
+    * @arg {Message} msg The command message
+    * @arg {Command} command The command being executed
+    * @arg {Array<String>} args The command arguments
+    */
+    constructor(msg, command, args) {
+        this.args = args;
+        this.client = msg._client;
+        this.command = command;
+        this.flags = null;
+        this.msg = msg;
+        this.response = undefined;
+        this.state = {};
+
+        this._input = null;
+    }
+
+    /**
+    * Ask the user that used the command a question, and wait for their next message in the same channel (or their reaction to the question, if reactions are given).
+    * Invalid responses are answered with the reason they are invalid, and the user can respond again until they run out of retries. The collectors are stopped whenever the prompt ends
+    * @arg {String | Object} question The message content of the question
+    * @arg {Object} [options] Prompt options. The messages are localized values (see Localizer), or false to send nothing
+    * @arg {Array<String>} [options.cancel=["cancel"]] Responses that cancel the prompt. Matching is case insensitive
+    * @arg {String | Object | Boolean} [options.cancelMessage] The message to send when the prompt is cancelled
+    * @arg {Array<String>} [options.choices] A list of accepted responses, as in the ArgumentParser constructor
+    * @arg {Boolean} [options.deletePrompt=false] Whether to delete the question, and the messages sent about invalid responses, when the prompt ends
+    * @arg {String | Object | Boolean} [options.failedMessage] The message to send when the user runs out of retries
+    * @arg {String | Object | Boolean} [options.invalidMessage] The message to send when a response is invalid. `%reason%` is replaced with why it is invalid, and `%cancel%` with the first cancel keyword
+    * @arg {Number} [options.max] The maximum value for integer, number and duration responses
+    * @arg {Number} [options.min] The minimum value for integer, number and duration responses
+    * @arg {Object} [options.reactions] Object mapping emojis to values. The emojis are added to the question as reactions, and reacting with one of them answers the prompt with its value. Custom emojis should be in format `emojiName:emojiID`. Defaults to ✅ (true) and ❌ (false) for boolean prompts
+    * @arg {Number} [options.retries=2] How many invalid responses are answered before the prompt fails
+    * @arg {Number} [options.timeout=30000] How long (in ms) to wait for each response
+    * @arg {String | Object | Boolean} [options.timeoutMessage] The message to send when the user doesn't respond in time
+    * @arg {String} [options.type="string"] The argument type to parse the response as, as in the ArgumentParser constructor
+    * @returns {Promise<any>} Resolves with the parsed response. Rejects with a PromptError if the prompt is cancelled, times out, or the user runs out of retries. The command client ignores PromptErrors, so they end the command without it being treated as a failure
+    */
+    async prompt(question, options = {}) {
+        const msg = this.msg;
+        const type = options.type || "string";
+        const cancel = (options.cancel || ["cancel"]).map((keyword) => keyword.toLowerCase());
+        const reactions = options.reactions || (type === "boolean" ? {"✅": true, "❌": false} : null);
+        const retries = options.retries === undefined ? 2 : options.retries;
+        const parser = new ArgumentParser([{
+            name: "response",
+            type: type,
+            choices: options.choices,
+            max: options.max,
+            min: options.min,
+            rest: type === "string"
+        }]);
+        const sent = [];
+        const send = async (message, key, params) => {
+            const content = this.client.localizer.localize(msg.locale, message === undefined ? {key} : message, params);
+            if(content) {
+                sent.push(await msg.channel.createMessage(content));
+            }
+        };
+
+        const promptMessage = await msg.channel.createMessage(question);
+        sent.push(promptMessage);
+        if(reactions) {
+            for(const emoji of Object.keys(reactions)) {
+                await promptMessage.addReaction(emoji);
+            }
+        }
+
+        let reason = null;
+        let result;
+        try {
+            for(let attempt = 0; ; ++attempt) {
+                const response = await this._awaitResponse(promptMessage, reactions, options.timeout || 30000);
+                if(!response) {
+                    reason = "time";
+                    break;
+                }
+                if(response.emoji !== undefined) {
+                    result = reactions[response.emoji];
+                    break;
+                }
+                const content = response.message.content.trim();
+                if(cancel.includes(content.toLowerCase())) {
+                    reason = "cancel";
+                    break;
+                }
+                try {
+                    result = (await parser.parse(content, response.message)).args.response;
+                    break;
+                } catch(err) {
+                    if(!(err instanceof ArgumentError)) {
+                        throw err;
+                    }
+                    if(attempt >= retries) {
+                        reason = "invalid";
+                        break;
+                    }
+                    await send(options.invalidMessage, "prompt.invalid", {cancel: cancel[0], reason: err.reason});
+                }
+            }
+        } finally {
+            if(reactions && msg.channel.club) {
+                promptMessage.removeReactions().catch(() => {});
+            }
+            if(options.deletePrompt) {
+                sent.forEach((message) => message.delete().catch(() => {}));
+            }
+        }
+        if(reason) {
+            if(reason === "cancel") {
+                await send(options.cancelMessage, "prompt.cancelled");
+            } else if(reason === "time") {
+                await send(options.timeoutMessage, "prompt.timeout");
+            } else {
+                await send(options.failedMessage, "prompt.failed");
+            }
+            throw new PromptError(reason);
+        }
+        return result;
+    }
+
+    _awaitResponse(promptMessage, reactions, timeout) {
+        const userID = this.msg.author.id;
+        const emojiKey = (emoji) => (emoji.id ? `${emoji.name}:${emoji.id}` : emoji.name).replace(/\uFE0F/g, "");
+        const collectors = [new MessageCollector(this.msg.channel, (message) => message.author.id === userID, {max: 1, time: timeout})];
+        if(reactions) {
+            const emojis = Object.keys(reactions).map((emoji) => emoji.replace(/\uFE0F/g, ""));
+            collectors.push(new ReactionCollector(promptMessage, (emoji, reactor) => reactor.id === userID && emojis.includes(emojiKey(emoji)), {max: 1, time: timeout}));
+        }
+        return new Promise((resolve) => {
+            for(const collector of collectors) {
+                collector.once("end", (collected) => {
+                    if(collected.length === 0) {
+                        resolve(null);
+                    } else if(collector instanceof ReactionCollector) {
+                        const key = emojiKey(collected[0].emoji);
+                        resolve({emoji: Object.keys(reactions).find((emoji) => emoji.replace(/\uFE0F/g, "") === key)});
+                    } else {
+                        resolve({message: collected[0]});
+                    }
+                    // Resolve before stopping the other collector, since stopping it ends it without a response
+                    collectors.forEach((other) => other.stop());
+                });
+            }
+        });
+    }
+
+    _run(middleware, handler) {
+        let index = -1;
+        const dispatch = (i) => {
+            if(i <= index) {
+                return Promise.reject(new Error("next() called multiple times"));
+            }
+            index = i;
+            const fn = i === middleware.length ? handler : middleware[i];
+            try {
+                return Promise.resolve(fn(this, () => dispatch(i + 1)));
+            } catch(err) {
+                return Promise.reject(err);
+            }
+        };
+        return dispatch(0);
+    }
+
+    toString() {
+        return `[CommandContext ${this.command.fullLabel}]`;
+    }
+}
+
+module.exports = CommandContext;
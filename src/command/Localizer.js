@@ -0,0 +1,219 @@
+"use strict";
+
+// The strings used by the command framework itself, which can be translated by adding the same keys to other locales
+const BUILTIN_STRINGS = {
+    argumentError: "Invalid argument `%argument%`: %reason%. Usage: `%prefix%%label% %usage%`",
+    commandNotFound: "Command not found",
+    "help.aliases": "Aliases",
+    "help.availability": "Availability",
+    "help.category": "Category",
+    "help.clubOnly": "Clubs only",
+    "help.commands": "Commands",
+    "help.continued": "%name% (continued)",
+    "help.cooldown": "Cooldown",
+    "help.cooldownSeconds": {
+        one: "%count% second",
+        other: "%count% seconds"
+    },
+    "help.cooldownUses": {
+        one: "%count% use per %cooldown%",
+        other: "%count% uses per %cooldown%"
+    },
+    "help.description": "This help text",
+    "help.dmOnly": "Direct Messages only",
+    "help.footer": "Type %prefix%help <command> for more info on a command.",
+    "help.fullDescription": "This command is used to view information of different bot commands, including this one.",
+    "help.owner": "by %owner%",
+    "help.page": "Page %page%/%pages% • %footer%",
+    "help.permissions": "Permissions",
+    "help.roles": "Roles",
+    "help.subcommands": "Subcommands",
+    invalidUsage: "Invalid usage.",
+    invalidUsageHelp: "Invalid usage. Do `%prefix%help %label%` to view proper usage.",
+    "prompt.cancelled": "Cancelled.",
+    "prompt.failed": "Too many invalid responses.",
+    "prompt.invalid": "Invalid response: %reason%. Try again, or type `%cancel%` to cancel.",
+    "prompt.timeout": "No response was given in time."
+};
+const PLURAL_CATEGORIES = ["zero", "one", "two", "few", "many", "other"];
+
+/**
+* Resolves localized strings for the command framework. A localized value is one of:
+* - a string
+* - an object mapping plural categories (`zero`, `one`, `two`, `few`, `many` and `other`, which is required) to strings. The form is picked with the `count` parameter and the plural rules of the locale. A `zero` form, if given, is used for 0 in every locale
+* - an object mapping locales to either of the above
+* - an object with the `key` of a string in `locales`, and optionally `params` for it, e.g. `{key: "ping.description"}`
+*
+* Strings can contain `%placeholder%`s, which are replaced with the parameters of the same name
+* @prop {String} defaultLocale The locale used when a message has no locale, and the last locale to fall back on before English
+* @prop {Object} fallbacks Object mapping locales to the locale (or array of locales) to fall back on when a string is missing
+* @prop {Object} locales Object mapping locales to objects mapping string keys to localized values
+* @prop {Function?} resolver The function that resolves the locale of a message
+*/
+class Localizer {
+    /**
+    * Construct a Localizer
+    * @arg {Object} [options] Localization options
+    * @arg {String} [options.defaultLocale="en"] The locale used when a message has no locale, and the last locale to fall back on before English
+    * @arg {Object} [options.fallbacks={}] Object mapping locales to the locale (or array of locales) to fall back on when a string is missing. Regional locales (e.g. "pt-BR") always fall back on their language ("pt") after these
+    * @arg {Object} [options.locales={}] Object mapping locales to objects mapping string keys to localized values. The built-in English strings of the command framework are in the "en" locale, and can be translated or overridden with the same keys
+    * @arg {Function} [options.resolver] A function that is passed the Message object and returns (or resolves with) its locale, e.g. based on the club or user. If it returns nothing, the default locale is used
+    */
+    constructor(options = {}) {
+        this.defaultLocale = options.defaultLocale || "en";
+        this.fallbacks = options.fallbacks || {};
+        this.locales = {
+            en: Object.assign({}, BUILTIN_STRINGS)
+        };
+        this.resolver = options.resolver || null;
+        this._pluralRules = {};
+        if(options.locales) {
+            for(const locale in options.locales) {
+                this.addStrings(locale, options.locales[locale]);
+            }
+        }
+    }
+
+    /**
+    * Add (or replace) strings for a locale
+    * @arg {String} locale The locale
+    * @arg {Object} strings Object mapping string keys to localized values
+    */
+    addStrings(locale, strings) {
+        this.locales[locale] = Object.assign(this.locales[locale] || {}, strings);
+    }
+
+    /**
+    * Get the locales to look for a string in, in order
+    * @arg {String} [locale] The requested locale
+    * @returns {Array<String>}
+    */
+    getLocaleChain(locale) {
+        const chain = [];
+        const add = (cur) => {
+            if(!cur || chain.includes(cur)) {
+                return;
+            }
+            chain.push(cur);
+            const fallbacks = this.fallbacks[cur];
+            if(fallbacks) {
+                (Array.isArray(fallbacks) ? fallbacks : [fallbacks]).forEach(add);
+            }
+            if(cur.includes("-")) {
+                add(cur.substring(0, cur.indexOf("-")));
+            }
+        };
+        add(locale);
+        add(this.defaultLocale);
+        add("en");
+        return chain;
+    }
+
+    /**
+    * Check whether a value is a localized value, as described in the class description. Other objects, such as message content with an embed, are not
+    * @arg {any} value The value to check
+    * @returns {Boolean}
+    */
+    isLocalizedValue(value) {
+        if(typeof value === "string") {
+            return true;
+        }
+        if(value === null || typeof value !== "object" || Array.isArray(value)) {
+            return false;
+        }
+        if(typeof value.key === "string") {
+            return true;
+        }
+        // Locales are either known to the localizer or look like language tags (e.g. "en" or "pt-BR")
+        const isLocale = (key) => this.locales[key] !== undefined || this.fallbacks[key] !== undefined || /^[a-z]{2}(?:-[a-zA-Z0-9]+)*$/.test(key);
+        const keys = Object.keys(value);
+        return keys.length > 0 && keys.every((key) => {
+            if(typeof value[key] === "string") {
+                return PLURAL_CATEGORIES.includes(key) || isLocale(key);
+            }
+            return isLocale(key) && value[key] !== null && typeof value[key] === "object";
+        });
+    }
+
+    /**
+    * Localize a value
+    * @arg {String} [locale] The locale to localize the value for
+    * @arg {String | Object} value The localized value, as described in the class description
+    * @arg {Object} [params] The parameters to replace placeholders with. Placeholders without a parameter are kept as they are
+    * @returns {String?} The localized string, or null if the value has no string for the locale or any of its fallbacks
+    */
+    localize(locale, value, params = {}) {
+        if(value !== null && typeof value === "object" && typeof value.key === "string") {
+            return this.translate(locale, value.key, Object.assign({}, value.params, params));
+        }
+        let pluralLocale = locale || this.defaultLocale;
+        if(value !== null && typeof value === "object" && value.other === undefined) {
+            const match = this.getLocaleChain(locale).find((cur) => value[cur] !== undefined);
+            if(match === undefined) {
+                return null;
+            }
+            pluralLocale = match;
+            value = value[match];
+        }
+        if(value !== null && typeof value === "object") {
+            value = value[this._selectPlural(pluralLocale, params.count, value)];
+        }
+        if(typeof value !== "string") {
+            return null;
+        }
+        return value.replace(/%(\w+)%/g, (placeholder, name) => params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder);
+    }
+
+    /**
+    * Resolve the locale of a message with the resolver
+    * @arg {Message} msg The message
+    * @returns {Promise<String>} Resolves with the locale, or the default locale if there is no resolver or it returned nothing
+    */
+    async resolveLocale(msg) {
+        return (this.resolver && await this.resolver(msg)) || this.defaultLocale;
+    }
+
+    /**
+    * Get a localized string by its key
+    * @arg {String} [locale] The locale to get the string for
+    * @arg {String} key The key of the string
+    * @arg {Object} [params] The parameters to replace placeholders with
+    * @returns {String} The localized string, or the key if no locale in the fallback chain has it
+    */
+    translate(locale, key, params) {
+        for(const cur of this.getLocaleChain(locale)) {
+            if(this.locales[cur] && this.locales[cur][key] !== undefined) {
+                const string = this.localize(cur, this.locales[cur][key], params);
+                if(string !== null) {
+                    return string;
+                }
+            }
+        }
+        return key;
+    }
+
+    _selectPlural(locale, count, forms) {
+        if(typeof count !== "number") {
+            return "other";
+        }
+        if(count === 0 && forms.zero !== undefined) {
+            return "zero";
+        }
+        if(!this._pluralRules[locale]) {
+            try {
+                this._pluralRules[locale] = new Intl.PluralRules(locale);
+            } catch(err) {
+                // Invalid locale tags throw, so use the rules of the default locale instead
+                this._pluralRules[locale] = new Intl.PluralRules(this.defaultLocale);
+            }
+        }
+        const category = this._pluralRules[locale].select(count);
+        return forms[category] !== undefined ? category : "other";
+    }
+
+    toString() {
+        return `[Localizer ${Object.keys(this.locales).join(", ")}]`;
+    }
+}
+
+module.exports = Localizer;
@@ -0,0 +1,32 @@
+"use strict";
+
+/**
+* An error thrown when a command argument is missing or invalid
+* @prop {Object?} argument The argument or flag definition from the command's argument schema, or null if the input had more arguments than the schema allows or an unknown flag
+* @prop {Boolean} flag Whether the error is about a flag. Flag errors are shown with the invalidUsageMessage of the command
+* @prop {String?} input The input that failed to parse, or null if the argument was missing
+* @prop {String} reason Why the argument is invalid, e.g. "expected a whole number"
+*/
+class ArgumentError extends Error {
+    constructor(argument, input, reason, flag = false) {
+        super();
+
+        this.argument = argument;
+        this.flag = flag;
+        this.input = input === undefined ? null : input;
+        this.reason = reason;
+
+        Object.defineProperty(this, "message", {
+            enumerable: false,
+            value: argument ? `Invalid ${flag ? "flag" : "argument"} "${flag ? "--" : ""}${argument.name}": ${reason}` : `Unexpected ${flag ? "flag" : "argument"} "${input}": ${reason}`
+        });
+
+        Error.captureStackTrace(this, ArgumentError);
+    }
+
+    get name() {
+        return this.constructor.name;
+    }
+}
+
+module.exports = ArgumentError;
@@ -0,0 +1,26 @@
+"use strict";
+
+/**
+* An error thrown when a prompt ends without a valid response
+* @prop {String} reason Why the prompt ended. This will be "cancel" if the user cancelled it, "time" if the user didn't respond in time, or "invalid" if the user ran out of retries
+*/
+class PromptError extends Error {
+    constructor(reason) {
+        super();
+
+        this.reason = reason;
+
+        Object.defineProperty(this, "message", {
+            enumerable: false,
+            value: reason === "cancel" ? "Prompt was cancelled" : reason === "time" ? "Prompt timed out" : "Prompt ran out of retries"
+        });
+
+        Error.captureStackTrace(this, PromptError);
+    }
+
+    get name() {
+        return this.constructor.name;
+    }
+}
+
+module.exports = PromptError;
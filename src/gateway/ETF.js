@@ -0,0 +1,355 @@
+"use strict";
+
+// A pure JavaScript implementation of the subset of the Erlang External Term Format used by the gateway
+// It follows the conventions of erlpack, so it can be used in its place when erlpack is not installed
+
+const FORMAT_VERSION = 131;
+const NEW_FLOAT_EXT = 70;
+const SMALL_INTEGER_EXT = 97;
+const INTEGER_EXT = 98;
+const FLOAT_EXT = 99;
+const ATOM_EXT = 100;
+const SMALL_TUPLE_EXT = 104;
+const LARGE_TUPLE_EXT = 105;
+const NIL_EXT = 106;
+const STRING_EXT = 107;
+const LIST_EXT = 108;
+const BINARY_EXT = 109;
+const SMALL_BIG_EXT = 110;
+const LARGE_BIG_EXT = 111;
+const SMALL_ATOM_EXT = 115;
+const MAP_EXT = 116;
+const ATOM_UTF8_EXT = 118;
+const SMALL_ATOM_UTF8_EXT = 119;
+
+const INT32_MIN = -2147483648;
+const INT32_MAX = 2147483647;
+
+class Decoder {
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.offset = 0;
+    }
+
+    decode() {
+        const tag = this.read8();
+        switch(tag) {
+            case NEW_FLOAT_EXT: {
+                const value = this.buffer.readDoubleBE(this.offset);
+                this.offset += 8;
+                return value;
+            }
+            case SMALL_INTEGER_EXT: {
+                return this.read8();
+            }
+            case INTEGER_EXT: {
+                const value = this.buffer.readInt32BE(this.offset);
+                this.offset += 4;
+                return value;
+            }
+            case FLOAT_EXT: {
+                return parseFloat(this.readString(31, "latin1"));
+            }
+            case ATOM_EXT: {
+                return this.decodeAtom(this.read16(), "latin1");
+            }
+            case SMALL_ATOM_EXT: {
+                return this.decodeAtom(this.read8(), "latin1");
+            }
+            case ATOM_UTF8_EXT: {
+                return this.decodeAtom(this.read16(), "utf8");
+            }
+            case SMALL_ATOM_UTF8_EXT: {
+                return this.decodeAtom(this.read8(), "utf8");
+            }
+            case SMALL_TUPLE_EXT: {
+                return this.decodeArray(this.read8());
+            }
+            case LARGE_TUPLE_EXT: {
+                return this.decodeArray(this.read32());
+            }
+            case NIL_EXT: {
+                return [];
+            }
+            case STRING_EXT: {
+                // Lists of bytes are sent as strings, since that is almost always what they represent
+                return this.readString(this.read16(), "latin1");
+            }
+            case LIST_EXT: {
+                const list = this.decodeArray(this.read32());
+                this.decode(); // The tail, which is always an empty list for proper lists
+                return list;
+            }
+            case BINARY_EXT: {
+                return this.readString(this.read32(), "utf8");
+            }
+            case SMALL_BIG_EXT: {
+                return this.decodeBig(this.read8());
+            }
+            case LARGE_BIG_EXT: {
+                return this.decodeBig(this.read32());
+            }
+            case MAP_EXT: {
+                const length = this.read32();
+                const map = {};
+                for(let i = 0; i < length; ++i) {
+                    const key = this.decode();
+                    map[key] = this.decode();
+                }
+                return map;
+            }
+            default: {
+                throw new Error(`Unsupported ETF tag ${tag} at offset ${this.offset - 1}`);
+            }
+        }
+    }
+
+    decodeArray(length) {
+        const array = new Array(length);
+        for(let i = 0; i < length; ++i) {
+            array[i] = this.decode();
+        }
+        return array;
+    }
+
+    decodeAtom(length, encoding) {
+        const atom = this.readString(length, encoding);
+        if(atom === "nil" || atom === "null") {
+            return null;
+        }
+        if(atom === "true") {
+            return true;
+        }
+        if(atom === "false") {
+            return false;
+        }
+        return atom;
+    }
+
+    decodeBig(length) {
+        const sign = this.read8();
+        if(this.offset + length > this.buffer.length) {
+            throw new Error("ETF data ended unexpectedly");
+        }
+        const bytes = this.buffer.slice(this.offset, this.offset + length);
+        this.offset += length;
+        let value = 0;
+        for(let i = length - 1; i >= 0; --i) {
+            value = value * 256 + bytes[i];
+        }
+        // Integers that fit in a double exactly are numbers. Bigger values can't round down to the limit, so the check is exact
+        if(value <= Number.MAX_SAFE_INTEGER) {
+            return sign ? -value : value;
+        }
+        // Anything bigger (e.g. snowflakes) is returned as a string, like erlpack does, to avoid losing precision
+        const digits = [0];
+        for(let i = length - 1; i >= 0; --i) {
+            let carry = bytes[i];
+            for(let j = 0; j < digits.length; ++j) {
+                carry += digits[j] * 256;
+                digits[j] = carry % 10;
+                carry = Math.floor(carry / 10);
+            }
+            while(carry > 0) {
+                digits.push(carry % 10);
+                carry = Math.floor(carry / 10);
+            }
+        }
+        return (sign ? "-" : "") + digits.reverse().join("");
+    }
+
+    read16() {
+        if(this.offset + 2 > this.buffer.length) {
+            throw new Error("ETF data ended unexpectedly");
+        }
+        const value = this.buffer.readUInt16BE(this.offset);
+        this.offset += 2;
+        return value;
+    }
+
+    read32() {
+        if(this.offset + 4 > this.buffer.length) {
+            throw new Error("ETF data ended unexpectedly");
+        }
+        const value = this.buffer.readUInt32BE(this.offset);
+        this.offset += 4;
+        return value;
+    }
+
+    read8() {
+        if(this.offset + 1 > this.buffer.length) {
+            throw new Error("ETF data ended unexpectedly");
+        }
+        return this.buffer[this.offset++];
+    }
+
+    readString(length, encoding) {
+        if(this.offset + length > this.buffer.length) {
+            throw new Error("ETF data ended unexpectedly");
+        }
+        const value = this.buffer.toString(encoding, this.offset, this.offset + length);
+        this.offset += length;
+        return value;
+    }
+}
+
+class Encoder {
+    constructor() {
+        this.buffer = Buffer.allocUnsafe(2048);
+        this.offset = 0;
+    }
+
+    encode(value) {
+        if(value === null || value === undefined) {
+            return this.encodeAtom("nil");
+        }
+        switch(typeof value) {
+            case "boolean": {
+                return this.encodeAtom(value ? "true" : "false");
+            }
+            case "number": {
+                return this.encodeNumber(value);
+            }
+            case "bigint": {
+                return this.encodeBig(value.toString());
+            }
+            case "string": {
+                const length = Buffer.byteLength(value);
+                this.ensure(5 + length);
+                this.buffer[this.offset++] = BINARY_EXT;
+                this.buffer.writeUInt32BE(length, this.offset);
+                this.offset += 4;
+                this.offset += this.buffer.write(value, this.offset, length, "utf8");
+                return;
+            }
+            case "object": {
+                if(Array.isArray(value)) {
+                    if(value.length === 0) {
+                        this.ensure(1);
+                        this.buffer[this.offset++] = NIL_EXT;
+                        return;
+                    }
+                    this.ensure(5);
+                    this.buffer[this.offset++] = LIST_EXT;
+                    this.buffer.writeUInt32BE(value.length, this.offset);
+                    this.offset += 4;
+                    for(const item of value) {
+                        this.encode(item);
+                    }
+                    this.ensure(1);
+                    this.buffer[this.offset++] = NIL_EXT;
+                    return;
+                }
+                const keys = Object.keys(value).filter((key) => value[key] !== undefined);
+                this.ensure(5);
+                this.buffer[this.offset++] = MAP_EXT;
+                this.buffer.writeUInt32BE(keys.length, this.offset);
+                this.offset += 4;
+                for(const key of keys) {
+                    this.encode(key);
+                    this.encode(value[key]);
+                }
+                return;
+            }
+            default: {
+                throw new TypeError(`Unable to encode ${typeof value} as ETF`);
+            }
+        }
+    }
+
+    encodeAtom(atom) {
+        this.ensure(2 + atom.length);
+        this.buffer[this.offset++] = SMALL_ATOM_EXT;
+        this.buffer[this.offset++] = atom.length;
+        this.offset += this.buffer.write(atom, this.offset, atom.length, "latin1");
+    }
+
+    encodeBig(decimal) {
+        const sign = decimal[0] === "-" ? 1 : 0;
+        let digits = decimal.slice(sign).split("").map(Number);
+        const bytes = [];
+        while(digits.length > 1 || digits[0] > 0) {
+            // Divide the decimal digits by 256, keeping the remainder as the next byte
+            let remainder = 0;
+            const quotient = [];
+            for(const digit of digits) {
+                remainder = remainder * 10 + digit;
+                const next = Math.floor(remainder / 256);
+                if(quotient.length || next) {
+                    quotient.push(next);
+                }
+                remainder %= 256;
+            }
+            bytes.push(remainder);
+            digits = quotient.length ? quotient : [0];
+        }
+        this.ensure(3 + bytes.length);
+        this.buffer[this.offset++] = SMALL_BIG_EXT;
+        this.buffer[this.offset++] = bytes.length;
+        this.buffer[this.offset++] = sign;
+        for(const byte of bytes) {
+            this.buffer[this.offset++] = byte;
+        }
+    }
+
+    encodeNumber(value) {
+        if(Number.isInteger(value)) {
+            if(value >= 0 && value <= 255) {
+                this.ensure(2);
+                this.buffer[this.offset++] = SMALL_INTEGER_EXT;
+                this.buffer[this.offset++] = value;
+                return;
+            }
+            if(value >= INT32_MIN && value <= INT32_MAX) {
+                this.ensure(5);
+                this.buffer[this.offset++] = INTEGER_EXT;
+                this.buffer.writeInt32BE(value, this.offset);
+                this.offset += 4;
+                return;
+            }
+            if(Number.isSafeInteger(value)) {
+                return this.encodeBig(String(value));
+            }
+        }
+        this.ensure(9);
+        this.buffer[this.offset++] = NEW_FLOAT_EXT;
+        this.buffer.writeDoubleBE(value, this.offset);
+        this.offset += 8;
+    }
+
+    ensure(length) {
+        if(this.offset + length <= this.buffer.length) {
+            return;
+        }
+        const buffer = Buffer.allocUnsafe(Math.max(this.buffer.length * 2, this.offset + length));
+        this.buffer.copy(buffer, 0, 0, this.offset);
+        this.buffer = buffer;
+    }
+}
+
+/**
+* Encode a value in the External Term Format
+* @arg {any} value The value to encode. null and undefined are encoded as the atom "nil", booleans as atoms, strings as binaries and objects as maps
+* @returns {Buffer}
+*/
+module.exports.pack = function pack(value) {
+    const encoder = new Encoder();
+    encoder.ensure(1);
+    encoder.buffer[encoder.offset++] = FORMAT_VERSION;
+    encoder.encode(value);
+    return encoder.buffer.slice(0, encoder.offset);
+};
+
+/**
+* Decode data in the External Term Format
+* @arg {Buffer} data The data to decode
+* @returns {any} The decoded value. Integers bigger than Number.MAX_SAFE_INTEGER (like snowflakes) are decoded as strings
+*/
+module.exports.unpack = function unpack(data) {
+    const decoder = new Decoder(data);
+    const version = decoder.read8();
+    if(version !== FORMAT_VERSION) {
+        throw new Error(`Unsupported ETF version ${version}`);
+    }
+    return decoder.decode();
+};
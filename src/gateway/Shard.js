@@ -25,15 +25,13 @@ try {
     Erlpack = require("erlpack");
 } catch(err) { // eslint-disable no-empty
 }
+const ETF = require("./ETF");
 let ZlibSync;
 try {
     ZlibSync = require("zlib-sync");
-} catch(err) {
-    try {
-        ZlibSync = require("pako");
-    } catch(err) { // eslint-disable no-empty
-    }
+} catch(err) { // eslint-disable no-empty
 }
+const ZlibStream = typeof window !== "undefined" ? null : require("./ZlibStream");
 try {
     WebSocket = require("uws");
 } catch(err) { // eslint-disable no-empty
@@ -49,6 +47,7 @@ try {
 * @prop {Number} lastHeartbeatSent Last time shard sent a heartbeat, null if shard has not sent heartbeat yet
 * @prop {Number} latency The current latency between the shard and Helselia, in milliseconds
 * @prop {Boolean} ready Whether the shard is ready
+* @prop {String?} resumeURL The gateway URL of a session restored from `options.sessionState`, used when resuming it
 * @prop {String} status The status of the shard. "disconnected"/"connecting"/"handshaking"/"ready"
 */
 class Shard extends EventEmitter {
@@ -57,6 +56,7 @@ class Shard extends EventEmitter {
 
         this.id = id;
         this.client = client;
+        this._etf = client.options.gatewayEncoding === "etf" ? Erlpack || ETF : null;
 
         this.onPacket = this.onPacket.bind(this);
         this._onWSOpen = this._onWSOpen.bind(this);
@@ -269,6 +269,7 @@ class Shard extends EventEmitter {
         this.reset();
         this.seq = 0;
         this.sessionID = null;
+        this.resumeURL = null;
         this.reconnectInterval = 1000;
         this.connectAttempts = 0;
         this.ws = null;
@@ -309,14 +310,14 @@ class Shard extends EventEmitter {
     }
 
     identify() {
-        if(this.client.options.compress && !ZlibSync) {
+        if(this.client.options.compress && !ZlibSync && !ZlibStream) {
             /**
             * Fired when the shard encounters an error
             * @event Client#error
             * @prop {Error} err The error
             * @prop {Number} id The ID of the shard
             */
-            this.emit("error", new Error("pako/zlib-sync not found, cannot decompress data"));
+            this.emit("error", new Error("zlib-sync not found and zlib is unavailable, cannot decompress data"));
             return;
         }
         const identify = {
@@ -348,12 +349,24 @@ class Shard extends EventEmitter {
 
         this.status = "connecting";
         if(this.client.options.compress) {
-            this.emit("debug", "Initializing zlib-sync-based compression");
-            this._zlibSync = new ZlibSync.Inflate({
-                chunkSize: 128 * 1024
-            });
+            if(ZlibSync) {
+                this.emit("debug", "Initializing zlib-sync-based compression");
+                this._zlibSync = new ZlibSync.Inflate({
+                    chunkSize: 128 * 1024
+                });
+            } else {
+                this.emit("debug", "Initializing zlib-based compression");
+                this._zlibStream = new ZlibStream({
+                    chunkSize: 128 * 1024
+                });
+            }
         }
-        this.ws = new WebSocket(this.client.gatewayURL, this.client.options.ws);
+        let gatewayURL = this.client.gatewayURL;
+        if(this.sessionID && this.resumeURL) {
+            // Resume on the gateway the session was created on, but keep this client's encoding and compression
+            gatewayURL = this.resumeURL.split("?")[0] + gatewayURL.substring(gatewayURL.indexOf("?"));
+        }
+        this.ws = new WebSocket(gatewayURL, this.client.options.ws);
         this.ws.on("open", this._onWSOpen);
         this.ws.on("message", this._onWSMessage);
         this.ws.on("error", this._onWSError);
@@ -523,6 +536,10 @@ class Shard extends EventEmitter {
             clearTimeout(this.connectTimeout);
         }
         this.connectTimeout = null;
+        if(this._zlibStream) {
+            this._zlibStream.destroy(); // Drops any packets still being decompressed from the old connection
+        }
+        this._zlibStream = null;
     }
 
     restartClubCreateTimeout() {
@@ -564,7 +581,7 @@ class Shard extends EventEmitter {
             let waitFor = 1;
             const func = () => {
                 if(++i >= waitFor && this.ws && this.ws.readyState === WebSocket.OPEN) {
-                    const data = Erlpack ? Erlpack.pack({op: op, d: _data}) : JSON.stringify({op: op, d: _data});
+                    const data = this._etf ? this._etf.pack({op: op, d: _data}) : JSON.stringify({op: op, d: _data});
                     this.ws.send(data);
                     if(_data.token) {
                         delete _data.token;
@@ -1830,6 +1847,7 @@ class Shard extends EventEmitter {
                 }
 
                 this.sessionID = packet.d.session_id;
+                this.resumeURL = null;
 
                 packet.d.clubs.forEach((club) => {
                     if(club.unavailable) {
@@ -2105,13 +2123,30 @@ class Shard extends EventEmitter {
     _onWSMessage(data) {
         try {
             if(data instanceof ArrayBuffer) {
-                if(this.client.options.compress || Erlpack) {
+                if(this.client.options.compress || this._etf) {
                     data = Buffer.from(data);
                 }
             } else if(Array.isArray(data)) { // Fragmented messages
                 data = Buffer.concat(data); // Copyfull concat is slow, but no alternative
             }
-            if(this.client.options.compress) {
+            if(this._zlibStream) {
+                this._zlibStream.push(data, (err, result) => {
+                    if(err) {
+                        return this.disconnect({
+                            reconnect: "auto"
+                        }, new Error(`zlib error ${err.code}: ${err.message}`));
+                    }
+                    try {
+                        if(this._etf) {
+                            this.onPacket(this._etf.unpack(result));
+                        } else {
+                            this.onPacket(JSON.parse(result.toString()));
+                        }
+                    } catch(err) {
+                        this.emit("error", err, this.id);
+                    }
+                });
+            } else if(this.client.options.compress) {
                 if(data.length >= 4 && data.readUInt32BE(data.length - 4) === 0xFFFF) {
                     this._zlibSync.push(data, ZlibSync.Z_SYNC_FLUSH);
                     if(this._zlibSync.err) {
@@ -2120,16 +2155,16 @@ class Shard extends EventEmitter {
                     }
 
                     data = Buffer.from(this._zlibSync.result);
-                    if(Erlpack) {
-                        return this.onPacket(Erlpack.unpack(data));
+                    if(this._etf) {
+                        return this.onPacket(this._etf.unpack(data));
                     } else {
                         return this.onPacket(JSON.parse(data.toString()));
                     }
                 } else {
                     this._zlibSync.push(data, false);
                 }
-            } else if(Erlpack) {
-                return this.onPacket(Erlpack.unpack(data));
+            } else if(this._etf) {
+                return this.onPacket(this._etf.unpack(data));
             } else {
                 return this.onPacket(JSON.parse(data.toString()));
             }
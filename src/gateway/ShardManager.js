@@ -24,10 +24,15 @@ class ShardManager extends Collection {
         }
     }
 
-    spawn(id) {
+    spawn(id, session) {
         let shard = this.get(id);
         if(!shard) {
             shard = this.add(new Shard(id, this._client));
+            if(session) {
+                shard.sessionID = session.sessionID;
+                shard.seq = session.seq;
+                shard.resumeURL = session.gatewayURL;
+            }
             shard.on("ready", () => {
                 /**
                 * Fired when a shard turns ready
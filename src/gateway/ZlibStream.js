@@ -0,0 +1,73 @@
+"use strict";
+
+const Zlib = require("zlib");
+
+const ZLIB_SUFFIX = 0x0000FFFF;
+
+/**
+* Decompresses a zlib-stream gateway connection with Node's built-in zlib, for when zlib-sync is not installed
+* @prop {Boolean} destroyed Whether the stream has been destroyed
+*/
+class ZlibStream {
+    /**
+    * Construct a ZlibStream
+    * @arg {Object} [options] Inflate options
+    * @arg {Number} [options.chunkSize=131072] The size of the chunks the output is produced in
+    */
+    constructor(options = {}) {
+        this.destroyed = false;
+        this._callbacks = [];
+        this._chunks = [];
+        this._inflate = Zlib.createInflate({
+            chunkSize: options.chunkSize || 128 * 1024,
+            flush: Zlib.constants.Z_SYNC_FLUSH
+        });
+        this._inflate.on("data", (chunk) => this._chunks.push(chunk));
+        this._inflate.on("error", (err) => {
+            const callback = this._callbacks[0];
+            this.destroy();
+            if(callback) {
+                callback(err);
+            }
+        });
+    }
+
+    /**
+    * Destroy the stream, discarding any data that has not been decompressed yet
+    */
+    destroy() {
+        if(this.destroyed) {
+            return;
+        }
+        this.destroyed = true;
+        this._callbacks = [];
+        this._chunks = [];
+        this._inflate.destroy();
+    }
+
+    /**
+    * Add data received from the gateway. The callback is only called once a full message has been decompressed, or an error occurs. Callbacks are always called in the order data was pushed
+    * @arg {Buffer} data The compressed data
+    * @arg {Function} callback A function called with an error or the decompressed message
+    */
+    push(data, callback) {
+        if(this.destroyed) {
+            return;
+        }
+        const complete = data.length >= 4 && data.readUInt32BE(data.length - 4) === ZLIB_SUFFIX;
+        this._callbacks.push(callback);
+        this._inflate.write(data, () => {
+            if(this.destroyed) {
+                return;
+            }
+            this._callbacks.shift();
+            if(complete) {
+                const result = Buffer.concat(this._chunks);
+                this._chunks = [];
+                callback(null, result);
+            }
+        });
+    }
+}
+
+module.exports = ZlibStream;
@@ -4,9 +4,12 @@ const Base = require("../structures/Base");
 const HelseliaHTTPError = require("../errors/HelseliaHTTPError");
 const HelseliaRESTError = require("../errors/HelseliaRESTError");
 const Endpoints = require("./Endpoints");
+const FS = require("fs");
 const HTTPS = require("https");
 const MultipartData = require("../util/MultipartData");
+const Path = require("path");
 const SequentialBucket = require("../util/SequentialBucket");
+const Stream = require("stream").Stream;
 const Zlib = require("zlib");
 
 /**
@@ -30,6 +33,7 @@ class RequestHandler {
         };
         this.globalBlock = false;
         this.readyQueue = [];
+        this._consumedStreams = new WeakSet();
         if(forceQueueing) {
             this.globalBlock = true;
             this._client.once("shardPreReady", () => this.globalUnblock());
@@ -49,9 +53,12 @@ class RequestHandler {
     * @arg {String} url URL of the endpoint
     * @arg {Boolean} [auth] Whether to add the Authorization header and token or not
     * @arg {Object} [body] Request payload
-    * @arg {Object} [file] File object
-    * @arg {Buffer} file.file A buffer containing file data
+    * @arg {Object | Array<Object>} [file] A file object (or an Array of them)
+    * @arg {Buffer | ReadableStream} [file.file] A buffer or readable stream containing file data. Streams can only be read once, so a request that needs to be retried (e.g. after a 429 or 502) will be rejected instead
+    * @arg {String} [file.path] The path of a file to read the data from, if `file.file` is not set
     * @arg {String} file.name What to name the file
+    * @arg {String} [file.description] A description (alt text) for the file
+    * @arg {Boolean} [file.spoiler] Whether the file should be marked as a spoiler
     * @returns {Promise<Object>} Resolves with the returned JSON data
     */
     request(method, url, auth, body, file, _route, short) {
@@ -83,29 +90,11 @@ class RequestHandler {
                         }
                     }
                     if(file) {
-                        if(Array.isArray(file)) {
-                            data = new MultipartData();
-                            headers["Content-Type"] = "multipart/form-data; boundary=" + data.boundary;
-                            file.forEach(function(f) {
-                                if(!f.file) {
-                                    return;
-                                }
-                                data.attach(f.name, f.file, f.name);
-                            });
-                            if(body) {
-                                data.attach("payload_json", body);
-                            }
-                            data = data.finish();
-                        } else if(file.file) {
-                            data = new MultipartData();
-                            headers["Content-Type"] = "multipart/form-data; boundary=" + data.boundary;
-                            data.attach("file", file.file, file.name);
-                            if(body) {
-                                data.attach("payload_json", body);
-                            }
-                            data = data.finish();
-                        } else {
-                            throw new Error("Invalid file object");
+                        data = this._buildMultipart(body, file);
+                        headers["Content-Type"] = "multipart/form-data; boundary=" + data.boundary;
+                        data.finish();
+                        if(data.length !== null) {
+                            headers["Content-Length"] = data.length;
                         }
                     } else if(body) {
                         if(method === "GET" || method === "DELETE") {
@@ -144,6 +133,9 @@ class RequestHandler {
                 let reqError;
 
                 req.once("abort", () => {
+                    if(data instanceof MultipartData) {
+                        data.destroy();
+                    }
                     cb();
                     reqError = reqError || new Error(`Request aborted by client on ${method} ${url}`);
                     reqError.req = req;
@@ -163,8 +155,9 @@ class RequestHandler {
                          * @prop {Object} [request] The data for the request.
                          * @prop {Boolean} request.auth True if the request required an authorization token
                          * @prop {Object} [request.body] The request payload
-                         * @prop {Object} [request.file] The file object sent in the request
-                         * @prop {Buffer} request.file.file A buffer containing file data
+                         * @prop {Object | Array<Object>} [request.file] The file object (or Array of file objects) sent in the request
+                         * @prop {Buffer | ReadableStream} [request.file.file] A buffer or readable stream containing file data
+                         * @prop {String} [request.file.path] The path of the file the data was read from
                          * @prop {String} request.file.name The name of the file
                          * @prop {String} request.method Uppercase HTTP method
                          * @prop {IncomingMessage} request.resp The HTTP response to the request
@@ -330,11 +323,11 @@ class RequestHandler {
                     req.abort();
                 });
 
-                if(Array.isArray(data)) {
-                    for(const chunk of data) {
-                        req.write(chunk);
-                    }
-                    req.end();
+                if(data instanceof MultipartData) {
+                    data.pipe(req, (err) => {
+                        reqError = err;
+                        req.abort();
+                    });
                 } else {
                     req.end(data);
                 }
@@ -366,6 +359,57 @@ class RequestHandler {
         return route;
     }
 
+    _buildMultipart(body, file) {
+        const files = Array.isArray(file) ? file : [file];
+        if(!files.length || files.some((f) => !f || !(f.file || f.path))) {
+            throw new Error("Invalid file object");
+        }
+        // Everything that can fail is checked before any stream is opened or marked as consumed, so a failed call can be retried
+        const entries = files.map((f) => {
+            let name = f.name || (f.path ? Path.basename(f.path) : "file");
+            if(f.spoiler && !name.startsWith("SPOILER_")) {
+                name = "SPOILER_" + name;
+            }
+            let length;
+            if(f.file instanceof Stream) {
+                // A stream can't be rewound, so a retried request can't send it again
+                if(this._consumedStreams.has(f.file)) {
+                    throw new Error(`Unable to resend file "${name}" because its stream was already consumed`);
+                }
+            } else if(!f.file) {
+                length = FS.statSync(f.path).size;
+            }
+            return {
+                file: f,
+                length: length,
+                name: name
+            };
+        });
+        const data = new MultipartData();
+        const attachments = entries.map((entry, index) => {
+            let source = entry.file.file;
+            if(source instanceof Stream) {
+                this._consumedStreams.add(source);
+            } else if(!source) {
+                // File paths are reopened on every attempt, which keeps retries possible
+                source = FS.createReadStream(entry.file.path);
+            }
+            // A single file keeps the legacy "file" field, multiple files are numbered so they can be referenced by ID
+            data.attach(Array.isArray(file) ? `files[${index}]` : "file", source, entry.name, entry.length);
+            return {
+                id: index,
+                filename: entry.name,
+                description: entry.file.description
+            };
+        });
+        if(body || attachments.some((attachment) => attachment.description !== undefined)) {
+            data.attach("payload_json", Object.assign({}, body, {
+                attachments: body && body.attachments || attachments
+            }));
+        }
+        return data;
+    }
+
     toString() {
         return "[RequestHandler]";
     }
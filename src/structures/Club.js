@@ -66,7 +66,7 @@ class Club extends Base {
         this.joinedAt = Date.parse(data.joined_at);
         this.voiceStates = new Collection(VoiceState);
         this.channels = new Collection(ClubChannel);
-        this.members = new Collection(Member);
+        this.members = new Collection(Member, undefined, client._createCacheStore("members", this.id));
         this.memberCount = data.member_count;
         this.roles = new Collection(Role);
 
@@ -106,6 +106,7 @@ class Club extends Base {
                 this.members.add(member, this);
             }
         }
+        this.members.restore(this);
 
         if(data.presences) {
             for(const presence of data.presences) {
@@ -521,10 +522,14 @@ class Club extends Base {
 
     /**
     * Get the ban list of the club
+    * @arg {Object} [options] Options for paginating the ban list
+    * @arg {String} [options.after] Get bans after this user ID
+    * @arg {String} [options.before] Get bans before this user ID
+    * @arg {Number} [options.limit] The maximum number of bans to return (1 to 1000)
     * @returns {Promise<Array<Object>>} Resolves with an array of {reason: String, user: User}
     */
-    getBans() {
-        return this._client.getClubBans.call(this._client, this.id);
+    getBans(options) {
+        return this._client.getClubBans.call(this._client, this.id, options);
     }
 
     /**
@@ -646,6 +651,41 @@ class Club extends Base {
         return this._client.getClubWidget.call(this._client, this.id);
     }
 
+    /**
+    * Iterate over the audit log entries of the club, newest first, fetching more pages as needed
+    * @arg {Object} [options] Iteration options
+    * @arg {Number} [options.actionType] Filter entries by action type
+    * @arg {Date | Number | String} [options.after] Stop at entries created at or before this entry ID, Date or timestamp
+    * @arg {Date | Number | String} [options.before] Start from entries created before this entry ID, Date or timestamp
+    * @arg {Number} [options.limit=Infinity] The maximum number of entries to iterate over
+    * @returns {AsyncIterableIterator<ClubAuditLogEntry>}
+    */
+    iterateAuditLogs(options) {
+        return this._client.iterateClubAuditLogs.call(this._client, this.id, options);
+    }
+
+    /**
+    * Iterate over the ban list of the club, fetching more pages as needed
+    * @arg {Object} [options] Iteration options
+    * @arg {String} [options.after] Start from bans after this user ID
+    * @arg {Number} [options.limit=Infinity] The maximum number of bans to iterate over
+    * @returns {AsyncIterableIterator<Object>} Yields objects of {reason: String, user: User}
+    */
+    iterateBans(options) {
+        return this._client.iterateClubBans.call(this._client, this.id, options);
+    }
+
+    /**
+    * Iterate over the members of the club via the REST API, fetching more pages as needed. REST mode is required to use this endpoint.
+    * @arg {Object} [options] Iteration options
+    * @arg {String} [options.after] Start from members after this user ID
+    * @arg {Number} [options.limit=Infinity] The maximum number of members to iterate over
+    * @returns {AsyncIterableIterator<Member>}
+    */
+    iterateMembers(options) {
+        return this._client.iterateClubMembers.call(this._client, this.id, options);
+    }
+
     /**
     * Kick a member from the club
     * @arg {String} userID The ID of the member
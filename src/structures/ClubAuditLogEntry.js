@@ -40,7 +40,7 @@ class ClubAuditLogEntry extends Base {
 
         this.actionType = data.action_type;
         this.reason = data.reason || null;
-        this.user = club.shard.client.users.get(data.user_id);
+        this.user = club._client.users.get(data.user_id);
         this.before = null;
         this.after = null;
         if(data.changes) {
@@ -107,13 +107,13 @@ class ClubAuditLogEntry extends Base {
                 max_uses: changes.max_uses,
                 max_age: changes.max_age,
                 temporary: changes.temporary
-            }, this.club && this.club.shard.client);
+            }, this.club && this.club._client);
         } else if(this.actionType < 60) { // Webhook
             return null; // Go get the webhook yourself
         } else if(this.actionType < 70) { // Emoji
             return this.club && this.club.emojis.find((emoji) => emoji.id === this.targetID);
         } else if(this.actionType < 80) { // Message
-            return this.club && this.club.shard.client.users.get(this.targetID);
+            return this.club && this.club._client.users.get(this.targetID);
         } else if(this.actionType < 90) { // Integrations
             return null;
         } else {
@@ -3,6 +3,7 @@
 const Channel = require("./Channel");
 const Collection = require("../util/Collection");
 const Member = require("./Member");
+const PartialClub = require("./PartialClub");
 const Permission = require("./Permission");
 const {Permissions} = require("../Constants");
 const PermissionOverwrite = require("./PermissionOverwrite");
@@ -10,7 +11,7 @@ const PermissionOverwrite = require("./PermissionOverwrite");
 /**
 * Represents a club channel. You also probably want to look at CategoryChannel, NewsChannel, StoreChannel, TextChannel, and VoiceChannel. See Channel for extra properties.
 * @extends Channel
-* @prop {Club} club The club that owns the channel
+* @prop {Club | PartialClub} club The club that owns the channel. If the club is not cached (e.g. in REST mode), this will be a PartialClub
 * @prop {String} id The ID of the channel
 * @prop {String} name The name of the channel
 * @prop {Boolean} nsfw Whether the channel is an NSFW channel or not
@@ -21,9 +22,9 @@ const PermissionOverwrite = require("./PermissionOverwrite");
 class ClubChannel extends Channel {
     constructor(data, client) {
         super(data, client);
-        this.club = client.clubs.get(data.club_id) || {
+        this.club = client.clubs.get(data.club_id) || new PartialClub({
             id: data.club_id
-        };
+        }, client);
 
         this.update(data);
     }
@@ -28,7 +28,7 @@ class ClubIntegration extends Base {
         this.name = data.name;
         this.type = data.type;
         this.roleID = data.role_id;
-        this.user = club.shard.client.users.add(data.user, club.shard.client);
+        this.user = club._client.users.add(data.user, club._client);
         this.account = data.account; // not worth making a class for
         this.update(data);
     }
@@ -48,7 +48,7 @@ class ClubIntegration extends Base {
     * @returns {Promise}
     */
     delete() {
-        return this.club.shard.client.deleteClubIntegration.call(this.club.shard.client, this.club.id, this.id);
+        return this.club._client.deleteClubIntegration.call(this.club._client, this.club.id, this.id);
     }
 
     /**
@@ -60,7 +60,7 @@ class ClubIntegration extends Base {
     * @returns {Promise}
     */
     edit(options) {
-        return this.club.shard.client.editClubIntegration.call(this.club.shard.client, this.club.id, this.id, options);
+        return this.club._client.editClubIntegration.call(this.club._client, this.club.id, this.id, options);
     }
 
     /**
@@ -68,7 +68,7 @@ class ClubIntegration extends Base {
     * @returns {Promise}
     */
     sync() {
-        return this.club.shard.client.syncClubIntegration.call(this.club.shard.client, this.club.id, this.id);
+        return this.club._client.syncClubIntegration.call(this.club._client, this.club.id, this.id);
     }
 
     toJSON(props = []) {
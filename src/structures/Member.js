@@ -44,9 +44,9 @@ class Member extends Base {
             data.id = data.user.id;
         }
         if((this.club = club)) {
-            this.user = club.shard.client.users.get(data.id);
+            this.user = club._client.users.get(data.id);
             if(!this.user && data.user) {
-                this.user = club.shard.client.users.add(data.user, club.shard.client);
+                this.user = club._client.users.add(data.user, club._client);
             }
             if(!this.user) {
                 throw new Error("User associated with Member not found: " + data.id);
@@ -133,7 +133,7 @@ class Member extends Base {
     }
 
     get permission() {
-        this.club.shard.client.emit("warn", "[DEPRECATED] Member#permission is deprecated. Use Member#permissions instead");
+        this.club._client.emit("warn", "[DEPRECATED] Member#permission is deprecated. Use Member#permissions instead");
         return this.permissions;
     }
 
@@ -166,7 +166,7 @@ class Member extends Base {
     * @returns {Promise}
     */
     addRole(roleID, reason) {
-        return this.club.shard.client.addClubMemberRole.call(this.club.shard.client, this.club.id, this.id, roleID, reason);
+        return this.club._client.addClubMemberRole.call(this.club._client, this.club.id, this.id, roleID, reason);
     }
 
     /**
@@ -176,7 +176,7 @@ class Member extends Base {
     * @returns {Promise}
     */
     ban(deleteMessageDays, reason) {
-        return this.club.shard.client.banClubMember.call(this.club.shard.client, this.club.id, this.id, deleteMessageDays, reason);
+        return this.club._client.banClubMember.call(this.club._client, this.club.id, this.id, deleteMessageDays, reason);
     }
 
     /**
@@ -191,7 +191,7 @@ class Member extends Base {
     * @returns {Promise}
     */
     edit(options, reason) {
-        return this.club.shard.client.editClubMember.call(this.club.shard.client, this.club.id, this.id, options, reason);
+        return this.club._client.editClubMember.call(this.club._client, this.club.id, this.id, options, reason);
     }
 
     /**
@@ -200,7 +200,7 @@ class Member extends Base {
     * @returns {Promise}
     */
     kick(reason) {
-        return this.club.shard.client.kickClubMember.call(this.club.shard.client, this.club.id, this.id, reason);
+        return this.club._client.kickClubMember.call(this.club._client, this.club.id, this.id, reason);
     }
 
     /**
@@ -210,7 +210,7 @@ class Member extends Base {
     * @returns {Promise}
     */
     removeRole(roleID, reason) {
-        return this.club.shard.client.removeClubMemberRole.call(this.club.shard.client, this.club.id, this.id, roleID, reason);
+        return this.club._client.removeClubMemberRole.call(this.club._client, this.club.id, this.id, roleID, reason);
     }
 
     /**
@@ -219,7 +219,7 @@ class Member extends Base {
     * @returns {Promise}
     */
     unban(reason) {
-        return this.club.shard.client.unbanClubMember.call(this.club.shard.client, this.club.id, this.id, reason);
+        return this.club._client.unbanClubMember.call(this.club._client, this.club.id, this.id, reason);
     }
 
     toJSON(props = []) {
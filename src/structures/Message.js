@@ -3,6 +3,8 @@
 const Base = require("./Base");
 const Endpoints = require("../rest/Endpoints");
 const Call = require("./Call");
+const PartialChannel = require("./PartialChannel");
+const ReactionCollector = require("../util/ReactionCollector");
 const {SystemJoinMessages, MessageTypes} = require("../Constants");
 const User = require("./User");
 
@@ -12,7 +14,7 @@ const User = require("./User");
 * @prop {Object?} application The application of the activity in the message
 * @prop {Array<Object>} attachments Array of attachments
 * @prop {User} author The message author
-* @prop {PrivateChannel | TextChannel | NewsChannel} channel The channel the message is in
+* @prop {PrivateChannel | TextChannel | NewsChannel | PartialChannel} channel The channel the message is in. If the channel is not cached (e.g. in REST mode), this will be a PartialChannel
 * @prop {Array<String>} channelMentions Array of mentions channels' ids
 * @prop {String?} cleanContent Message content with mentions replaced by names. Mentions are currently escaped, but this behavior is [DEPRECATED] and will be removed soon. Use allowed mentions, the official way of avoiding unintended mentions, when creating messages.
 * @prop {Command?} command The Command used in the Message, if any (CommandClient only)
@@ -49,9 +51,10 @@ class Message extends Base {
         this._client = client;
         this.type = data.type || 0;
         this.timestamp = Date.parse(data.timestamp);
-        this.channel = client.getChannel(data.channel_id) || {
-            id: data.channel_id
-        };
+        this.channel = client.getChannel(data.channel_id) || new PartialChannel({
+            id: data.channel_id,
+            club_id: data.club_id
+        }, client);
         this.content = "";
         this.hit = !!data.hit;
         this.reactions = {};
@@ -82,6 +85,10 @@ class Message extends Base {
         if(this.channel.club) {
             if(data.member) {
                 data.member.id = this.author.id;
+                // The member has no user of its own, and the author isn't kept if the user cache is disabled
+                if(!data.member.user) {
+                    data.member.user = data.author;
+                }
                 this.member = this.channel.club.members.update(data.member, this.channel.club);
             } else if(this.channel.club.members.has(this.author.id)) {
                 this.member = this.channel.club.members.get(this.author.id);
@@ -199,6 +206,9 @@ class Message extends Base {
                 const user = client.users.add(mention, client);
                 if(mention.member && this.channel.club) {
                     mention.member.id = mention.id;
+                    if(!mention.member.user) {
+                        mention.member.user = Object.assign({}, mention, {member: undefined});
+                    }
                     this.channel.club.members.update(mention.member, this.channel.club);
                 }
                 return user;
@@ -290,7 +300,7 @@ class Message extends Base {
     }
 
     get jumpLink() {
-        return `${Endpoints.CLIENT_URL}${Endpoints.MESSAGE_LINK(this.channel.type === 1 ? "@me" : this.channel.club.id, this.channel.id, this.id)}`;
+        return `${Endpoints.CLIENT_URL}${Endpoints.MESSAGE_LINK(this.clubID || "@me", this.channel.id, this.id)}`;
     }
 
     /**
@@ -303,6 +313,19 @@ class Message extends Base {
         return this._client.addMessageReaction.call(this._client, this.channel.id, this.id, reaction, userID);
     }
 
+    /**
+    * Wait for reactions to be added to the message
+    * @arg {Function} [filter] A function called with the emoji and reactor of each new reaction. The reaction is only collected if it returns true
+    * @arg {Object} [options] Collector options
+    * @arg {Number} [options.idle] Stop waiting if no reaction is collected for this many milliseconds
+    * @arg {Number} [options.max] Stop waiting after collecting this many reactions
+    * @arg {Number} [options.time=60000] Stop waiting after this many milliseconds. There is always a time limit, so the collector can't listen forever
+    * @returns {Promise<Array<Object>>} Resolves with the collected reactions, as objects with `emoji` and `reactor` keys, once the collector stops
+    */
+    awaitReactions(filter, options) {
+        return new ReactionCollector(this, filter, Object.assign({time: 60000}, options)).awaitEnd();
+    }
+
     /**
      * Crosspost (publish) a message to subscribed channels (NewsChannel only)
      * @returns {Promise<Message>}
@@ -331,10 +354,16 @@ class Message extends Base {
     * @arg {Boolean} [content.allowedMentions.everyone] Whether or not to allow @everyone/@here.
     * @arg {Boolean | Array<String>} [content.allowedMentions.roles] Whether or not to allow all role mentions, or an array of specific role mentions to allow.
     * @arg {Boolean | Array<String>} [content.allowedMentions.users] Whether or not to allow all user mentions, or an array of specific user mentions to allow.
+    * @arg {Object | Array<Object>} [file] A file object (or an Array of them) to attach to the message
+    * @arg {Buffer | ReadableStream} [file.file] A buffer or readable stream containing file data
+    * @arg {String} [file.path] The path of a file to read the data from, if `file.file` is not set
+    * @arg {String} file.name What to name the file
+    * @arg {String} [file.description] A description (alt text) for the file
+    * @arg {Boolean} [file.spoiler] Whether the file should be marked as a spoiler
     * @returns {Promise<Message>}
     */
-    edit(content) {
-        return this._client.editMessage.call(this._client, this.channel.id, this.id, content);
+    edit(content, file) {
+        return this._client.editMessage.call(this._client, this.channel.id, this.id, content, file);
     }
 
     /**
@@ -349,6 +378,18 @@ class Message extends Base {
         return this._client.getMessageReaction.call(this._client, this.channel.id, this.id, reaction, limit, before, after);
     }
 
+    /**
+    * Iterate over the users who reacted with a specific reaction, fetching more pages as needed
+    * @arg {String} reaction The reaction (Unicode string if Unicode emoji, `emojiName:emojiID` if custom emoji)
+    * @arg {Object} [options] Iteration options
+    * @arg {String} [options.after] Start from users after this user ID
+    * @arg {Number} [options.limit=Infinity] The maximum number of users to iterate over
+    * @returns {AsyncIterableIterator<User>}
+    */
+    iterateReactions(reaction, options) {
+        return this._client.iterateMessageReaction.call(this._client, this.channel.id, this.id, reaction, options);
+    }
+
     /**
     * Pin the message
     * @returns {Promise}
@@ -0,0 +1,104 @@
+"use strict";
+
+const Base = require("./Base");
+const PartialClub = require("./PartialClub");
+
+/**
+* Represents a channel that is not cached, e.g. when using REST mode. Use PartialChannel#fetch() to get the full channel
+* @prop {Client} client The client that initialized the channel
+* @prop {Club | PartialClub} [club] The club that owns the channel, if it is a club channel
+* @prop {String} id The ID of the channel
+* @prop {String} mention A string that mentions the channel
+* @prop {Boolean} partial Always true
+*/
+class PartialChannel extends Base {
+    constructor(data, client) {
+        super(data.id);
+        this._client = client;
+        this.partial = true;
+        if(data.club_id) {
+            this.club = client.clubs.get(data.club_id) || new PartialClub({id: data.club_id}, client);
+        }
+    }
+
+    // Kept as a property for compatibility with Channel#client
+    get client() {
+        return this._client;
+    }
+
+    get mention() {
+        return `<#${this.id}>`;
+    }
+
+    /**
+    * Create a message in the channel
+    * @arg {String | Object} content A string or object. See Client.createMessage() for the full list of options
+    * @arg {Object | Array<Object>} [file] A file object (or an Array of them). See Client.createMessage() for the full list of options
+    * @returns {Promise<Message>}
+    */
+    createMessage(content, file) {
+        return this._client.createMessage.call(this._client, this.id, content, file);
+    }
+
+    /**
+    * Get the full channel, from the cache if possible or via the REST API otherwise (REST mode is required to fetch uncached channels)
+    * @returns {Promise<CategoryChannel | GroupChannel | PrivateChannel | TextChannel | VoiceChannel | NewsChannel>}
+    */
+    fetch() {
+        const channel = this._client.getChannel(this.id);
+        if(channel) {
+            return Promise.resolve(channel);
+        }
+        return this._client.getRESTChannel(this.id);
+    }
+
+    /**
+    * Get a previous message in the channel
+    * @arg {String} messageID The ID of the message
+    * @returns {Promise<Message>}
+    */
+    getMessage(messageID) {
+        return this._client.getMessage.call(this._client, this.id, messageID);
+    }
+
+    /**
+    * Get previous messages in the channel
+    * @arg {Number} [limit=50] The max number of messages to get
+    * @arg {String} [before] Get messages before this message ID
+    * @arg {String} [after] Get messages after this message ID
+    * @arg {String} [around] Get messages around this message ID (does not work with limit > 100)
+    * @returns {Promise<Array<Message>>}
+    */
+    getMessages(limit, before, after, around) {
+        return this._client.getMessages.call(this._client, this.id, limit, before, after, around);
+    }
+
+    /**
+    * Iterate over the messages in the channel, fetching more pages as needed. Messages are iterated newest first, unless only `options.after` is given, in which case they are iterated oldest first
+    * @arg {Object} [options] Iteration options
+    * @arg {Date | Number | String} [options.after] Only iterate over messages created after this message ID, Date or timestamp
+    * @arg {Date | Number | String} [options.before] Only iterate over messages created before this message ID, Date or timestamp
+    * @arg {Number} [options.limit=Infinity] The maximum number of messages to iterate over
+    * @returns {AsyncIterableIterator<Message>}
+    */
+    iterateMessages(options) {
+        return this._client.iterateMessages.call(this._client, this.id, options);
+    }
+
+    /**
+    * Send typing status in the channel
+    * @returns {Promise}
+    */
+    sendTyping() {
+        return this._client.sendChannelTyping.call(this._client, this.id);
+    }
+
+    toJSON(props = []) {
+        return super.toJSON([
+            "partial",
+            ...props
+        ]);
+    }
+}
+
+module.exports = PartialChannel;
@@ -0,0 +1,83 @@
+"use strict";
+
+const Base = require("./Base");
+const Collection = require("../util/Collection");
+const Member = require("./Member");
+const Permission = require("./Permission");
+const Role = require("./Role");
+const VoiceState = require("./VoiceState");
+const {Permissions} = require("../Constants");
+
+/**
+* Represents a club that is not cached, e.g. when using REST mode. Use PartialClub#fetch() to get the full club
+* @prop {String} id The ID of the club
+* @prop {Collection<Member>} members An empty collection of Members. Its limit is 0, so `add()` creates Members without keeping them
+* @prop {String?} ownerID The ID of the user that is the club owner, or null until the club has been fetched
+* @prop {Boolean} partial Always true
+* @prop {Collection<Role>} roles The roles of the club. Empty until the club has been fetched
+* @prop {Collection<VoiceState>} voiceStates An empty collection of voice states. Its limit is 0, so `add()` creates voice states without keeping them
+*/
+class PartialClub extends Base {
+    constructor(data, client) {
+        super(data.id);
+        this._client = client;
+        this.ownerID = null;
+        this.partial = true;
+        this.members = new Collection(Member, 0);
+        this.roles = new Collection(Role);
+        this.voiceStates = new Collection(VoiceState, 0);
+    }
+
+    /**
+    * Get the full club, from the cache if possible or via the REST API otherwise (REST mode is required to fetch uncached clubs). The owner and roles of the full club are kept, so `permissionsOf()` works afterwards
+    * @arg {Boolean} [withCounts=false] Whether the club object will have approximateMemberCount and approximatePresenceCount
+    * @returns {Promise<Club>}
+    */
+    fetch(withCounts) {
+        const cached = this._client.clubs.get(this.id);
+        return (cached ? Promise.resolve(cached) : this._client.getRESTClub(this.id, withCounts)).then((club) => {
+            this.ownerID = club.ownerID;
+            for(const role of club.roles.values()) {
+                this.roles.set(role.id, role);
+            }
+            return club;
+        });
+    }
+
+    /**
+    * Get the club permissions of a member. The club must have been fetched with `fetch()` first, since a partial club doesn't know its roles
+    * @arg {Member | Object} member The member, or an object with the member's `id` and `roles`
+    * @returns {Permission}
+    */
+    permissionsOf(member) {
+        const everyone = this.roles.get(this.id);
+        if(!everyone) {
+            throw new Error("The roles of a partial club are unknown until it has been fetched with PartialClub#fetch()");
+        }
+        if(member.id === this.ownerID) {
+            return new Permission(Permissions.all);
+        }
+        let permissions = everyone.permissions.allow;
+        for(const roleID of member.roles) {
+            const role = this.roles.get(roleID);
+            if(!role) {
+                continue;
+            }
+            if(role.permissions.allow & Permissions.administrator) {
+                permissions = Permissions.all;
+                break;
+            }
+            permissions |= role.permissions.allow;
+        }
+        return new Permission(permissions);
+    }
+
+    toJSON(props = []) {
+        return super.toJSON([
+            "partial",
+            ...props
+        ]);
+    }
+}
+
+module.exports = PartialClub;
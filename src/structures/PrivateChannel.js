@@ -4,6 +4,7 @@ const Channel = require("./Channel");
 const Collection = require("../util/Collection");
 const Endpoints = require("../rest/Endpoints");
 const Message = require("./Message");
+const MessageCollector = require("../util/MessageCollector");
 const {GatewayOPCodes, ChannelTypes} = require("../Constants");
 const User = require("./User");
 
@@ -23,7 +24,8 @@ class PrivateChannel extends Channel {
         if(this.type === ChannelTypes.DM || this.type === undefined) {
             this.recipient = new User(data.recipients[0], client);
         }
-        this.messages = new Collection(Message, client.options.messageLimit);
+        const messageStore = client._createCacheStore("messages", this.id);
+        this.messages = new Collection(Message, messageStore ? undefined : client.options.messageLimit, messageStore);
     }
 
     /**
@@ -37,6 +39,19 @@ class PrivateChannel extends Channel {
         return this.client.addMessageReaction.call(this.client, this.id, messageID, reaction, userID);
     }
 
+    /**
+    * Wait for messages to be sent in the channel
+    * @arg {Function} [filter] A function called with each new message. The message is only collected if it returns true
+    * @arg {Object} [options] Collector options
+    * @arg {Number} [options.idle] Stop waiting if no message is collected for this many milliseconds
+    * @arg {Number} [options.max] Stop waiting after collecting this many messages
+    * @arg {Number} [options.time=60000] Stop waiting after this many milliseconds. There is always a time limit, so the collector can't listen forever
+    * @returns {Promise<Array<Message>>} Resolves with the collected messages once the collector stops
+    */
+    awaitMessages(filter, options) {
+        return new MessageCollector(this, filter, Object.assign({time: 60000}, options)).awaitEnd();
+    }
+
     /**
     * Create a message in a text channel
     * Note: If you want to DM someone, the user ID is **not** the DM channel ID. use Client.getDMChannel() to get the DM channel ID for a user
@@ -48,9 +63,12 @@ class PrivateChannel extends Channel {
     * @arg {String} content.content A content string
     * @arg {Object} [content.embed] An embed object. See [the official Helselia API documentation entry](https://helselia.com/developers/docs/resources/channel#embed-object) for object structure
     * @arg {Boolean} [content.tts] Set the message TTS flag
-    * @arg {Object} [file] A file object
-    * @arg {Buffer} file.file A buffer containing file data
+    * @arg {Object | Array<Object>} [file] A file object (or an Array of them)
+    * @arg {Buffer | ReadableStream} [file.file] A buffer or readable stream containing file data
+    * @arg {String} [file.path] The path of a file to read the data from, if `file.file` is not set
     * @arg {String} file.name What to name the file
+    * @arg {String} [file.description] A description (alt text) for the file
+    * @arg {Boolean} [file.spoiler] Whether the file should be marked as a spoiler
     * @returns {Promise<Message>}
     */
     createMessage(content, file) {
@@ -79,10 +97,16 @@ class PrivateChannel extends Channel {
     * @arg {Boolean} [content.disableEveryone] Whether to filter @everyone/@here or not (overrides default)
     * @arg {Object} [content.embed] An embed object. See [the official Helselia API documentation entry](https://helselia.com/developers/docs/resources/channel#embed-object) for object structure
     * @arg {Number} [content.flags] A number representing the flags to apply to the message. See [the official Helselia API documentation entry](https://helselia.com/developers/docs/resources/channel#message-object-message-flags) for flags reference
+    * @arg {Object | Array<Object>} [file] A file object (or an Array of them) to attach to the message
+    * @arg {Buffer | ReadableStream} [file.file] A buffer or readable stream containing file data
+    * @arg {String} [file.path] The path of a file to read the data from, if `file.file` is not set
+    * @arg {String} file.name What to name the file
+    * @arg {String} [file.description] A description (alt text) for the file
+    * @arg {Boolean} [file.spoiler] Whether the file should be marked as a spoiler
     * @returns {Promise<Message>}
     */
-    editMessage(messageID, content) {
-        return this.client.editMessage.call(this.client, this.id, messageID, content);
+    editMessage(messageID, content, file) {
+        return this.client.editMessage.call(this.client, this.id, messageID, content, file);
     }
 
     /**
@@ -127,6 +151,18 @@ class PrivateChannel extends Channel {
         return this.client.getPins.call(this.client, this.id);
     }
 
+    /**
+    * Iterate over the messages in the channel, fetching more pages as needed. Messages are iterated newest first, unless only `options.after` is given, in which case they are iterated oldest first
+    * @arg {Object} [options] Iteration options
+    * @arg {Date | Number | String} [options.after] Only iterate over messages created after this message ID, Date or timestamp
+    * @arg {Date | Number | String} [options.before] Only iterate over messages created before this message ID, Date or timestamp
+    * @arg {Number} [options.limit=Infinity] The maximum number of messages to iterate over
+    * @returns {AsyncIterableIterator<Message>}
+    */
+    iterateMessages(options) {
+        return this.client.iterateMessages.call(this.client, this.id, options);
+    }
+
     /**
     * Leave the channel
     * @returns {Promise}
@@ -63,7 +63,7 @@ class Role extends Base {
     * @returns {Promise}
     */
     delete(reason) {
-        return this.club.shard.client.deleteRole.call(this.club.shard.client, this.club.id, this.id, reason);
+        return this.club._client.deleteRole.call(this.club._client, this.club.id, this.id, reason);
     }
 
     /**
@@ -78,7 +78,7 @@ class Role extends Base {
     * @returns {Promise<Role>}
     */
     edit(options, reason) {
-        return this.club.shard.client.editRole.call(this.club.shard.client, this.club.id, this.id, options, reason);
+        return this.club._client.editRole.call(this.club._client, this.club.id, this.id, options, reason);
     }
 
     /**
@@ -87,7 +87,7 @@ class Role extends Base {
     * @returns {Promise}
     */
     editPosition(position) {
-        return this.club.shard.client.editRolePosition.call(this.club.shard.client, this.club.id, this.id, position);
+        return this.club._client.editRolePosition.call(this.club._client, this.club.id, this.id, position);
     }
 
     toJSON(props = []) {
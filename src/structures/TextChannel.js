@@ -3,6 +3,7 @@
 const Collection = require("../util/Collection");
 const ClubChannel = require("./ClubChannel");
 const Message = require("./Message");
+const MessageCollector = require("../util/MessageCollector");
 
 /**
 * Represents a club text channel. See ClubChannel for more properties and methods.
@@ -16,7 +17,8 @@ const Message = require("./Message");
 class TextChannel extends ClubChannel {
     constructor(data, client, messageLimit) {
         super(data, client);
-        this.messages = new Collection(Message, messageLimit == null ? client.options.messageLimit : messageLimit);
+        const messageStore = client._createCacheStore("messages", this.id);
+        this.messages = new Collection(Message, messageStore ? undefined : messageLimit == null ? client.options.messageLimit : messageLimit, messageStore);
         this.lastMessageID = data.last_message_id || null;
         this.rateLimitPerUser = data.rate_limit_per_user == null ? null : data.rate_limit_per_user;
         this.lastPinTimestamp = data.last_pin_timestamp ? Date.parse(data.last_pin_timestamp) : null;
@@ -44,6 +46,19 @@ class TextChannel extends ClubChannel {
         return this.client.addMessageReaction.call(this.client, this.id, messageID, reaction, userID);
     }
 
+    /**
+    * Wait for messages to be sent in the channel
+    * @arg {Function} [filter] A function called with each new message. The message is only collected if it returns true
+    * @arg {Object} [options] Collector options
+    * @arg {Number} [options.idle] Stop waiting if no message is collected for this many milliseconds
+    * @arg {Number} [options.max] Stop waiting after collecting this many messages
+    * @arg {Number} [options.time=60000] Stop waiting after this many milliseconds. There is always a time limit, so the collector can't listen forever
+    * @returns {Promise<Array<Message>>} Resolves with the collected messages once the collector stops
+    */
+    awaitMessages(filter, options) {
+        return new MessageCollector(this, filter, Object.assign({time: 60000}, options)).awaitEnd();
+    }
+
     /**
     * Create an invite for the channel
     * @arg {Object} [options] Invite generation options
@@ -69,9 +84,12 @@ class TextChannel extends ClubChannel {
     * @arg {String} content.content A content string
     * @arg {Object} [content.embed] An embed object. See [the official Helselia API documentation entry](https://helselia.com/developers/docs/resources/channel#embed-object) for object structure
     * @arg {Boolean} [content.tts] Set the message TTS flag
-    * @arg {Object} [file] A file object
-    * @arg {Buffer} file.file A buffer containing file data
+    * @arg {Object | Array<Object>} [file] A file object (or an Array of them)
+    * @arg {Buffer | ReadableStream} [file.file] A buffer or readable stream containing file data
+    * @arg {String} [file.path] The path of a file to read the data from, if `file.file` is not set
     * @arg {String} file.name What to name the file
+    * @arg {String} [file.description] A description (alt text) for the file
+    * @arg {Boolean} [file.spoiler] Whether the file should be marked as a spoiler
     * @returns {Promise<Message>}
     */
     createMessage(content, file) {
@@ -122,10 +140,16 @@ class TextChannel extends ClubChannel {
     * @arg {Boolean} [content.disableEveryone] Whether to filter @everyone/@here or not (overrides default)
     * @arg {Object} [content.embed] An embed object. See [the official Helselia API documentation entry](https://helselia.com/developers/docs/resources/channel#embed-object) for object structure
     * @arg {Number} [content.flags] A number representing the flags to apply to the message. See [the official Helselia API documentation entry](https://helselia.com/developers/docs/resources/channel#message-object-message-flags) for flags reference
+    * @arg {Object | Array<Object>} [file] A file object (or an Array of them) to attach to the message
+    * @arg {Buffer | ReadableStream} [file.file] A buffer or readable stream containing file data
+    * @arg {String} [file.path] The path of a file to read the data from, if `file.file` is not set
+    * @arg {String} file.name What to name the file
+    * @arg {String} [file.description] A description (alt text) for the file
+    * @arg {Boolean} [file.spoiler] Whether the file should be marked as a spoiler
     * @returns {Promise<Message>}
     */
-    editMessage(messageID, content) {
-        return this.client.editMessage.call(this.client, this.id, messageID, content);
+    editMessage(messageID, content, file) {
+        return this.client.editMessage.call(this.client, this.id, messageID, content, file);
     }
 
     /**
@@ -186,6 +210,18 @@ class TextChannel extends ClubChannel {
         return this.client.getChannelWebhooks.call(this.client, this.id);
     }
 
+    /**
+    * Iterate over the messages in the channel, fetching more pages as needed. Messages are iterated newest first, unless only `options.after` is given, in which case they are iterated oldest first
+    * @arg {Object} [options] Iteration options
+    * @arg {Date | Number | String} [options.after] Only iterate over messages created after this message ID, Date or timestamp
+    * @arg {Date | Number | String} [options.before] Only iterate over messages created before this message ID, Date or timestamp
+    * @arg {Number} [options.limit=Infinity] The maximum number of messages to iterate over
+    * @returns {AsyncIterableIterator<Message>}
+    */
+    iterateMessages(options) {
+        return this.client.iterateMessages.call(this.client, this.id, options);
+    }
+
     /**
     * Pin a message
     * @arg {String} messageID The ID of the message
@@ -5,17 +5,20 @@
 * @extends Map
 * @prop {Class} baseObject The base class for all items
 * @prop {Number?} limit Max number of items to hold
+* @prop {MemoryStore?} store The cache store holding the items, if they are not held by the Collection itself
 */
 class Collection extends Map {
     /**
     * Construct a Collection
     * @arg {Class} baseObject The base class for all items
     * @arg {Number} [limit] Max number of items to hold
+    * @arg {MemoryStore} [store] A cache store to hold the items in instead of the Collection itself
     */
-    constructor(baseObject, limit) {
+    constructor(baseObject, limit, store) {
         super();
         this.baseObject = baseObject;
         this.limit = limit;
+        this.store = store || null;
     }
 
     /**
@@ -35,9 +38,20 @@ class Collection extends Map {
             return this.add(obj, extra, replace);
         }
         item.update(obj, extra);
+        if(this.store && obj !== item) {
+            this.store.set(item.id, item, obj instanceof this.baseObject ? undefined : obj);
+        }
         return item;
     }
 
+    get size() {
+        return this.store ? this.store.size : super.size;
+    }
+
+    [Symbol.iterator]() {
+        return this.entries();
+    }
+
     /**
     * Add an object
     * @arg {Object} obj The object data
@@ -57,11 +71,13 @@ class Collection extends Map {
         if(existing && !replace) {
             return existing;
         }
+        let raw;
         if(!(obj instanceof this.baseObject || obj.constructor.name === this.baseObject.name)) {
+            raw = obj;
             obj = new this.baseObject(obj, extra);
         }
 
-        this.set(obj.id, obj);
+        this.set(obj.id, obj, raw);
 
         if(this.limit && this.size > this.limit) {
             const iter = this.keys();
@@ -72,6 +88,30 @@ class Collection extends Map {
         return obj;
     }
 
+    /**
+    * Remove all objects
+    */
+    clear() {
+        return this.store ? this.store.clear() : super.clear();
+    }
+
+    /**
+    * Remove an object by its ID
+    * @arg {String} key The ID of the object
+    * @returns {Boolean} Whether an object was removed
+    */
+    delete(key) {
+        return this.store ? this.store.delete(key) : super.delete(key);
+    }
+
+    /**
+    * Iterate over the [ID, object] pairs in the Collection
+    * @returns {Iterator<Array>}
+    */
+    entries() {
+        return this.store ? this.store.entries() : super.entries();
+    }
+
     /**
      * Returns true if all elements satisfy the condition
      * @arg {Function} func A function that takes an object and returns true or false
@@ -115,6 +155,46 @@ class Collection extends Map {
         return undefined;
     }
 
+    /**
+    * Call a function for each object
+    * @arg {Function} func A function that takes an object, its ID and the Collection
+    * @arg {any} [thisArg] The value to use as `this` when calling the function
+    */
+    forEach(func, thisArg) {
+        if(!this.store) {
+            return super.forEach(func, thisArg);
+        }
+        for(const [key, item] of this.store.entries()) {
+            func.call(thisArg, item, key, this);
+        }
+    }
+
+    /**
+    * Get an object by its ID
+    * @arg {String} key The ID of the object
+    * @returns {Class?} The object, or undefined if it is not cached
+    */
+    get(key) {
+        return this.store ? this.store.get(key) : super.get(key);
+    }
+
+    /**
+    * Check whether an object is cached
+    * @arg {String} key The ID of the object
+    * @returns {Boolean}
+    */
+    has(key) {
+        return this.store ? this.store.has(key) : super.has(key);
+    }
+
+    /**
+    * Iterate over the IDs in the Collection
+    * @returns {Iterator<String>}
+    */
+    keys() {
+        return this.store ? this.store.keys() : super.keys();
+    }
+
     /**
     * Return an array with the results of applying the given function to each element
     * @arg {Function} func A function that takes an object and returns something
@@ -172,6 +252,38 @@ class Collection extends Map {
         return item;
     }
 
+    /**
+    * Restore objects that the cache store loaded from persistent storage, if it supports it
+    * @arg {Class} [extra] An extra parameter the constructor may need
+    */
+    restore(extra) {
+        if(!this.store || typeof this.store.load !== "function") {
+            return;
+        }
+        for(const obj of this.store.load()) {
+            try {
+                this.add(obj, extra);
+            } catch(err) {
+                // Stale data that can't be turned into an object anymore is dropped
+            }
+        }
+    }
+
+    /**
+    * Add or replace an object by its ID
+    * @arg {String} key The ID of the object
+    * @arg {Class} value The object
+    * @arg {Object} [raw] The raw data the object was created from, passed on to the cache store
+    * @returns {Collection} The Collection
+    */
+    set(key, value, raw) {
+        if(!this.store) {
+            return super.set(key, value);
+        }
+        this.store.set(key, value, raw);
+        return this;
+    }
+
     /**
      * Returns true if at least one element satisfies the condition
      * @arg {Function} func A function that takes an object and returns true or false
@@ -186,6 +298,14 @@ class Collection extends Map {
         return false;
     }
 
+    /**
+    * Iterate over the objects in the Collection
+    * @returns {Iterator<Class>}
+    */
+    values() {
+        return this.store ? this.store.values() : super.values();
+    }
+
     toString() {
         return `[Collection<${this.baseObject.name}>]`;
     }
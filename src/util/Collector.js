@@ -0,0 +1,139 @@
+"use strict";
+
+let EventEmitter;
+try {
+    EventEmitter = require("eventemitter3");
+} catch(err) {
+    EventEmitter = require("events").EventEmitter;
+}
+
+/**
+* Base class for collectors, which gather items from client events until they are stopped
+* @extends EventEmitter
+* @prop {Client} client The client the collector listens to
+* @prop {Array} collected The items collected so far
+* @prop {Boolean} ended Whether the collector has stopped
+* @prop {String?} endReason Why the collector stopped. This will be "limit", "time", "idle", "user", "error" (the filter threw), or a deletion event name such as "channelDelete"
+* @prop {Error?} error The error thrown by the filter, if it stopped the collector
+* @prop {Function?} filter The function used to decide whether an item is collected
+* @prop {Object} options The collector options
+*/
+class Collector extends EventEmitter {
+    /**
+    * Construct a Collector
+    * @arg {Client} client The client to listen to
+    * @arg {Function} [filter] A function called for each candidate item. The item is only collected if it returns true. If it throws, the collector stops with the reason "error"
+    * @arg {Object} [options] Collector options
+    * @arg {Number} [options.idle] Stop the collector if nothing is collected for this many milliseconds
+    * @arg {Number} [options.max] Stop the collector after collecting this many items
+    * @arg {Number} [options.time] Stop the collector after this many milliseconds
+    */
+    constructor(client, filter, options = {}) {
+        super();
+        this.client = client;
+        this.filter = typeof filter === "function" ? filter : null;
+        this.options = options;
+        this.collected = [];
+        this.ended = false;
+        this.endReason = null;
+        this.error = null;
+        this._listeners = [];
+        this._timeout = null;
+        this._idleTimeout = null;
+
+        if(options.time) {
+            this._timeout = setTimeout(() => this.stop("time"), options.time);
+        }
+        if(options.idle) {
+            this._idleTimeout = setTimeout(() => this.stop("idle"), options.idle);
+        }
+    }
+
+    /**
+    * Wait for the collector to stop
+    * @returns {Promise<Array>} Resolves with the collected items, or rejects with the error thrown by the filter
+    */
+    awaitEnd() {
+        if(this.ended) {
+            return this.error ? Promise.reject(this.error) : Promise.resolve(this.collected);
+        }
+        return new Promise((resolve, reject) => this.once("end", () => this.error ? reject(this.error) : resolve(this.collected)));
+    }
+
+    /**
+    * Stop the collector and remove its listeners
+    * @arg {String} [reason="user"] The reason the collector stopped
+    */
+    stop(reason = "user") {
+        if(this.ended) {
+            return;
+        }
+        this.ended = true;
+        this.endReason = reason;
+        clearTimeout(this._timeout);
+        clearTimeout(this._idleTimeout);
+        for(const [event, listener] of this._listeners) {
+            this.client.removeListener(event, listener);
+        }
+        if(this._listeners.length && this.client.setMaxListeners) {
+            this.client.setMaxListeners(Math.max(this.client.getMaxListeners() - 1, 0));
+        }
+        this._listeners = [];
+        /**
+        * Fired when the collector stops
+        * @event Collector#end
+        * @prop {Array} collected The collected items
+        * @prop {String} reason Why the collector stopped
+        */
+        this.emit("end", this.collected, reason);
+    }
+
+    _collect(item, ...args) {
+        if(this.ended) {
+            return;
+        }
+        if(this.filter) {
+            let passed;
+            try {
+                passed = this.filter(...args);
+            } catch(err) {
+                // The filter runs inside the client's event dispatch, so its errors mustn't escape
+                this.error = err;
+                this.stop("error");
+                return;
+            }
+            if(!passed) {
+                return;
+            }
+        }
+        this.collected.push(item);
+        /**
+        * Fired when an item is collected
+        * @event Collector#collect
+        * @prop {any} item The collected item
+        */
+        this.emit("collect", item);
+        if(this.options.max && this.collected.length >= this.options.max) {
+            this.stop("limit");
+        } else if(this.options.idle) {
+            clearTimeout(this._idleTimeout);
+            this._idleTimeout = setTimeout(() => this.stop("idle"), this.options.idle);
+        }
+    }
+
+    _listen(listeners) {
+        if(this.ended) {
+            return;
+        }
+        // Every collector adds a handful of listeners to the client, so raise the limit to avoid leak warnings
+        if(this.client.setMaxListeners && this.client.getMaxListeners() !== 0) {
+            this.client.setMaxListeners(this.client.getMaxListeners() + 1);
+        }
+        for(const event in listeners) {
+            this.client.on(event, listeners[event]);
+            this._listeners.push([event, listeners[event]]);
+        }
+    }
+}
+
+module.exports = Collector;
@@ -0,0 +1,113 @@
+"use strict";
+
+const FS = require("fs");
+const MemoryStore = require("./MemoryStore");
+const Path = require("path");
+
+/**
+* A cache store that keeps items in memory and persists the raw data they were created from to a JSON file, so they can be restored after a restart
+* @extends MemoryStore
+* @prop {String} path The path of the JSON file
+* @prop {Number} writeDelay How long (in ms) to wait after a change before writing the file
+*/
+class FileStore extends MemoryStore {
+    /**
+    * Construct a FileStore
+    * @arg {Object} options Store options
+    * @arg {String} options.path The path of the JSON file. Existing data in the file is loaded immediately, and the directory of the file is created if it doesn't exist
+    * @arg {Number} [options.limit] Max number of items to hold
+    * @arg {Function} [options.onError] A function called with any error that occurs while writing the file in the background
+    * @arg {Number} [options.ttl] How long (in ms) an item can go unused before it is evicted
+    * @arg {Number} [options.writeDelay=5000] How long (in ms) to wait after a change before writing the file
+    */
+    constructor(options) {
+        super(options);
+        if(!options || !options.path) {
+            throw new Error(`${this.constructor.name} requires a path`);
+        }
+        this.path = options.path;
+        this.writeDelay = options.writeDelay === undefined ? 5000 : options.writeDelay;
+        this.onError = options.onError || (() => {});
+        this._raw = {};
+        this._pending = {};
+        this._writeTimeout = null;
+
+        FS.mkdirSync(Path.dirname(this.path), {recursive: true});
+        let contents = null;
+        try {
+            contents = FS.readFileSync(this.path, "utf8");
+        } catch(err) {
+            if(err.code !== "ENOENT") {
+                throw err;
+            }
+        }
+        if(contents) {
+            this._pending = JSON.parse(contents);
+        }
+    }
+
+    delete(key) {
+        const deleted = super.delete(key);
+        if(this._raw[key] !== undefined) {
+            delete this._raw[key];
+            this._scheduleWrite();
+        }
+        return deleted;
+    }
+
+    /**
+    * Write the file immediately
+    * @returns {Promise}
+    */
+    flush() {
+        if(this._writeTimeout) {
+            clearTimeout(this._writeTimeout);
+            this._writeTimeout = null;
+        }
+        return new Promise((resolve, reject) => {
+            FS.writeFile(this.path, JSON.stringify(this._serialize()), (err) => err ? reject(err) : resolve());
+        });
+    }
+
+    /**
+    * Take the raw data loaded from the file that has not been restored yet
+    * @returns {Array<Object>} The raw data of each item
+    */
+    load() {
+        const pending = Object.keys(this._pending).map((key) => this._pending[key]);
+        this._pending = {};
+        return pending;
+    }
+
+    set(key, value, raw) {
+        super.set(key, value);
+        if(raw && this.limit !== 0 && this.has(key)) {
+            this._raw[key] = Object.assign(this._raw[key] || {}, raw);
+            this._scheduleWrite();
+        }
+        return this;
+    }
+
+    _scheduleWrite() {
+        if(this._writeTimeout) {
+            return;
+        }
+        this._writeTimeout = setTimeout(() => {
+            this._writeTimeout = null;
+            this.flush().catch(this.onError);
+        }, this.writeDelay);
+        if(this._writeTimeout.unref) {
+            this._writeTimeout.unref();
+        }
+    }
+
+    _serialize() {
+        return Object.assign({}, this._pending, this._raw);
+    }
+
+    toString() {
+        return `[FileStore ${this.path}]`;
+    }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,60 @@
+"use strict";
+
+const FileStore = require("./FileStore");
+
+/**
+* A store that keeps items in memory and persists the items themselves to a JSON file. Unlike FileStore, items must be JSON serializable, but they are available again as soon as the store is constructed, so there is nothing to `load()`. Useful for small amounts of state that must survive restarts, like command cooldowns.
+* The file is only read when the store is constructed, so it can't be shared between processes that run at the same time, such as shard processes. Changes are written after `writeDelay`, so call `flush()` before the process exits to keep the latest ones
+* @extends FileStore
+*/
+class JSONFileStore extends FileStore {
+    /**
+    * Construct a JSONFileStore
+    * @arg {Object} options Store options
+    * @arg {String} options.path The path of the JSON file. Existing items in the file are loaded immediately, and the directory of the file is created if it doesn't exist
+    * @arg {Number} [options.limit] Max number of items to hold
+    * @arg {Function} [options.onError] A function called with any error that occurs while writing the file in the background
+    * @arg {Number} [options.ttl] How long (in ms) an item can go unused before it is evicted
+    * @arg {Number} [options.writeDelay=5000] How long (in ms) to wait after a change before writing the file
+    */
+    constructor(options) {
+        super(options);
+
+        // Items are written in order of use, so restoring them in order keeps the least recently used first
+        for(const key in this._pending) {
+            this._items.set(key, this._pending[key]);
+        }
+        this._pending = {};
+        this._sweepExpired();
+    }
+
+    delete(key) {
+        const deleted = super.delete(key);
+        if(deleted) {
+            this._scheduleWrite();
+        }
+        return deleted;
+    }
+
+    set(key, value) {
+        super.set(key, value);
+        if(this.limit !== 0) {
+            this._scheduleWrite();
+        }
+        return this;
+    }
+
+    _serialize() {
+        const items = {};
+        for(const [key, item] of this._items) {
+            items[key] = item;
+        }
+        return items;
+    }
+
+    toString() {
+        return `[JSONFileStore ${this.path}]`;
+    }
+}
+
+module.exports = JSONFileStore;
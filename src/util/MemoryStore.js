@@ -0,0 +1,164 @@
+"use strict";
+
+/**
+* An in-memory cache store. Custom cache stores (e.g. backed by Redis) can be used in its place as long as they implement the same methods
+* @prop {Number?} limit Max number of items to hold. When full, the least recently used item is evicted. 0 disables caching entirely
+* @prop {Number?} ttl How long (in ms) an item can go unused before it is evicted
+*/
+class MemoryStore {
+    /**
+    * Construct a MemoryStore
+    * @arg {Object} [options] Store options
+    * @arg {Number} [options.limit] Max number of items to hold. 0 disables caching entirely
+    * @arg {Number} [options.ttl] How long (in ms) an item can go unused before it is evicted
+    */
+    constructor(options = {}) {
+        this.limit = options.limit;
+        this.ttl = options.ttl;
+        this._items = new Map();
+    }
+
+    get size() {
+        this._sweepExpired();
+        return this._items.size;
+    }
+
+    /**
+    * Remove all items
+    */
+    clear() {
+        for(const key of Array.from(this._items.keys())) {
+            this.delete(key);
+        }
+    }
+
+    /**
+    * Remove an item
+    * @arg {String} key The key of the item
+    * @returns {Boolean} Whether an item was removed
+    */
+    delete(key) {
+        return this._items.delete(key);
+    }
+
+    /**
+    * Iterate over the [key, value] pairs of unexpired items, least recently used first
+    * @returns {Iterator<Array>}
+    */
+    *entries() {
+        this._sweepExpired();
+        // Reading an item moves it to the back, so iterate over a snapshot to avoid visiting it twice
+        const items = this.limit || this.ttl ? Array.from(this._items) : this._items;
+        for(const [key, item] of items) {
+            yield [key, item.value];
+        }
+    }
+
+    /**
+    * Get an item, marking it as recently used
+    * @arg {String} key The key of the item
+    * @returns {any} The item, or undefined if it is not cached
+    */
+    get(key) {
+        const item = this._items.get(key);
+        if(!item) {
+            return undefined;
+        }
+        if(this._isExpired(item)) {
+            this.delete(key);
+            return undefined;
+        }
+        this._touch(key, item);
+        return item.value;
+    }
+
+    /**
+    * Check whether an unexpired item exists
+    * @arg {String} key The key of the item
+    * @returns {Boolean}
+    */
+    has(key) {
+        const item = this._items.get(key);
+        if(item && this._isExpired(item)) {
+            this.delete(key);
+            return false;
+        }
+        return !!item;
+    }
+
+    /**
+    * Iterate over the keys of unexpired items, least recently used first
+    * @returns {Iterator<String>}
+    */
+    *keys() {
+        for(const [key] of this.entries()) {
+            yield key;
+        }
+    }
+
+    /**
+    * Add or replace an item
+    * @arg {String} key The key of the item
+    * @arg {any} value The item
+    * @returns {MemoryStore} The store
+    */
+    set(key, value) {
+        if(this.limit === 0) {
+            return this;
+        }
+        this._items.delete(key);
+        this._items.set(key, {
+            value: value,
+            lastUsed: Date.now()
+        });
+        if(this.limit && this._items.size > this.limit) {
+            const iter = this._items.keys();
+            while(this._items.size > this.limit) {
+                this.delete(iter.next().value);
+            }
+        }
+        return this;
+    }
+
+    /**
+    * Iterate over unexpired items, least recently used first
+    * @returns {Iterator<any>}
+    */
+    *values() {
+        for(const [, value] of this.entries()) {
+            yield value;
+        }
+    }
+
+    _isExpired(item) {
+        return !!this.ttl && item.lastUsed + this.ttl <= Date.now();
+    }
+
+    _sweepExpired() {
+        if(!this.ttl) {
+            return;
+        }
+        // Items are kept in order of use, so the expired ones are always at the front
+        for(const [key, item] of this._items) {
+            if(!this._isExpired(item)) {
+                break;
+            }
+            this.delete(key);
+        }
+    }
+
+    _touch(key, item) {
+        if(!this.limit && !this.ttl) {
+            return;
+        }
+        item.lastUsed = Date.now();
+        this._items.delete(key);
+        this._items.set(key, item);
+    }
+
+    toString() {
+        return `[MemoryStore ${this._items.size}${this.limit ? "/" + this.limit : ""}]`;
+    }
+}
+
+module.exports = MemoryStore;
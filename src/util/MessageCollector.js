@@ -0,0 +1,45 @@
+"use strict";
+
+const Collector = require("./Collector");
+
+/**
+* Collects messages sent in a channel
+* @extends Collector
+* @prop {PrivateChannel | TextChannel | NewsChannel} channel The channel messages are collected from
+* @prop {Array<Message>} collected The messages collected so far
+*/
+class MessageCollector extends Collector {
+    /**
+    * Construct a MessageCollector
+    * @arg {PrivateChannel | TextChannel | NewsChannel} channel The channel to collect messages from
+    * @arg {Function} [filter] A function called with each new message. The message is only collected if it returns true
+    * @arg {Object} [options] Collector options
+    * @arg {Number} [options.idle] Stop the collector if no message is collected for this many milliseconds
+    * @arg {Number} [options.max] Stop the collector after collecting this many messages
+    * @arg {Number} [options.time] Stop the collector after this many milliseconds
+    */
+    constructor(channel, filter, options) {
+        super(channel.client, filter, options);
+        this.channel = channel;
+
+        this._listen({
+            messageCreate: (message) => {
+                if(message.channel.id === this.channel.id) {
+                    this._collect(message, message);
+                }
+            },
+            channelDelete: (deleted) => {
+                if(deleted.id === this.channel.id) {
+                    this.stop("channelDelete");
+                }
+            },
+            clubDelete: (club) => {
+                if(this.channel.club && club.id === this.channel.club.id) {
+                    this.stop("clubDelete");
+                }
+            }
+        });
+    }
+}
+
+module.exports = MessageCollector;
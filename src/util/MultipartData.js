@@ -1,12 +1,40 @@
 "use strict";
 
+const Stream = require("stream").Stream;
+
 class MultipartData {
     constructor() {
         this.boundary = "----------------Kiera";
         this.bufs = [];
+        this.streamLengths = new Map();
     }
 
-    attach(fieldName, data, filename) {
+    /**
+    * The total byte length of the body, or null if it contains a stream of unknown length
+    * @type {Number?}
+    */
+    get length() {
+        let length = 0;
+        for(const part of this.bufs) {
+            if(part instanceof Buffer) {
+                length += part.length;
+            } else if(this.streamLengths.get(part) !== undefined) {
+                length += this.streamLengths.get(part);
+            } else {
+                return null;
+            }
+        }
+        return length;
+    }
+
+    /**
+    * Attach a field to the body
+    * @arg {String} fieldName The name of the form field
+    * @arg {Buffer | ReadableStream | Object | String} data The field data
+    * @arg {String} [filename] The name of the file, if the field is a file
+    * @arg {Number} [length] The byte length of the data, if it is a stream
+    */
+    attach(fieldName, data, filename, length) {
         if(data === undefined) {
             return;
         }
@@ -16,6 +44,11 @@ class MultipartData {
         }
         if(data instanceof Buffer) {
             str +="\r\nContent-Type: application/octet-stream";
+        } else if(data instanceof Stream) {
+            str +="\r\nContent-Type: application/octet-stream";
+            if(length !== undefined) {
+                this.streamLengths.set(data, length);
+            }
         } else if(typeof data === "object") {
             str +="\r\nContent-Type: application/json";
             data = Buffer.from(JSON.stringify(data));
@@ -26,10 +59,43 @@ class MultipartData {
         this.bufs.push(data);
     }
 
+    /**
+    * Destroy any stream parts that have not been fully written
+    */
+    destroy() {
+        for(const part of this.bufs) {
+            if(part instanceof Stream && typeof part.destroy === "function") {
+                part.destroy();
+            }
+        }
+    }
+
     finish() {
         this.bufs.push(Buffer.from("\r\n--" + this.boundary + "--"));
         return this.bufs;
     }
+
+    /**
+    * Write the finished body to a writable stream, piping stream parts in order
+    * @arg {WritableStream} dest The destination stream
+    * @arg {Function} onError Called with the error if a stream part fails
+    */
+    pipe(dest, onError) {
+        const parts = this.bufs.slice();
+        const next = () => {
+            while(parts.length > 0) {
+                const part = parts.shift();
+                if(part instanceof Buffer) {
+                    dest.write(part);
+                    continue;
+                }
+                part.once("error", onError).once("end", next).pipe(dest, {end: false});
+                return;
+            }
+            dest.end();
+        };
+        next();
+    }
 }
 
 module.exports = MultipartData;
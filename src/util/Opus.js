@@ -29,3 +29,27 @@ module.exports.createOpus = function createOpus(samplingRate, channels, bitrate)
 
     throw new Error("No opus encoder found, playing non-opus audio will not work.");
 };
+
+// The frame clients send when they have nothing to say, 5 times before they stop sending
+module.exports.SILENCE_FRAME = Buffer.from([0xF8, 0xFF, 0xFE]);
+
+// Frame durations (in ms) of each Opus configuration, indexed by the top 5 bits of the TOC byte (RFC 6716 section 3.1)
+const FRAME_DURATIONS = [
+    10, 20, 40, 60, 10, 20, 40, 60, 10, 20, 40, 60, // SILK
+    10, 20, 10, 20, // Hybrid
+    2.5, 5, 10, 20, 2.5, 5, 10, 20, 2.5, 5, 10, 20, 2.5, 5, 10, 20 // CELT
+];
+
+module.exports.getPacketDuration = function getPacketDuration(packet) {
+    if(!packet || packet.length === 0) {
+        return 0;
+    }
+    const code = packet[0] & 3;
+    let frames = 1;
+    if(code === 1 || code === 2) {
+        frames = 2;
+    } else if(code === 3) {
+        frames = packet.length > 1 ? packet[1] & 0x3F : 0;
+    }
+    return FRAME_DURATIONS[packet[0] >> 3] * frames;
+};
@@ -0,0 +1,55 @@
+"use strict";
+
+const Collector = require("./Collector");
+
+/**
+* Collects reactions added to a message
+* @extends Collector
+* @prop {Array<Object>} collected The reactions collected so far, as objects with `emoji` and `reactor` keys matching the arguments of the messageReactionAdd event
+* @prop {Message} message The message reactions are collected from
+*/
+class ReactionCollector extends Collector {
+    /**
+    * Construct a ReactionCollector
+    * @arg {Message} message The message to collect reactions from
+    * @arg {Function} [filter] A function called with the emoji and reactor of each new reaction. The reaction is only collected if it returns true
+    * @arg {Object} [options] Collector options
+    * @arg {Number} [options.idle] Stop the collector if no reaction is collected for this many milliseconds
+    * @arg {Number} [options.max] Stop the collector after collecting this many reactions
+    * @arg {Number} [options.time] Stop the collector after this many milliseconds
+    */
+    constructor(message, filter, options) {
+        super(message._client, filter, options);
+        this.message = message;
+
+        this._listen({
+            messageReactionAdd: (msg, emoji, reactor) => {
+                if(msg.id === this.message.id) {
+                    this._collect({emoji, reactor}, emoji, reactor);
+                }
+            },
+            messageDelete: (msg) => {
+                if(msg.id === this.message.id) {
+                    this.stop("messageDelete");
+                }
+            },
+            messageDeleteBulk: (messages) => {
+                if(messages.some((msg) => msg.id === this.message.id)) {
+                    this.stop("messageDelete");
+                }
+            },
+            channelDelete: (channel) => {
+                if(channel.id === this.message.channel.id) {
+                    this.stop("channelDelete");
+                }
+            },
+            clubDelete: (club) => {
+                if(this.message.clubID && club.id === this.message.clubID) {
+                    this.stop("clubDelete");
+                }
+            }
+        });
+    }
+}
+
+module.exports = ReactionCollector;
@@ -0,0 +1,267 @@
+"use strict";
+
+const FFmpegPCMTransformer = require("./streams/FFmpegPCMTransformer");
+const FS = require("fs");
+const ReadableStream = require("stream").Readable;
+
+/**
+* Mixes several PCM inputs into one stream of 48kHz stereo PCM, which can be played like any other resource, e.g. `connection.play(mixer)`. It is encoded without FFmpeg.
+* The mixer keeps producing audio (silence while it has no inputs) until `close()` is called, so inputs can be added and removed while it plays. Stopping the playback destroys the mixer and its inputs
+* @extends ReadableStream
+* @prop {String} converterCommand The FFmpeg/avconv command used to decode inputs that aren't PCM
+* @prop {Number} frameDuration How much audio is mixed at a time, in milliseconds
+* @prop {Array<Object>} inputs The inputs being mixed. Their `volume`, `muted` and `duck` properties can be changed while playing
+* @prop {Boolean} realtime Whether frames are produced at the pace they would be played at, rather than as fast as they are read
+*/
+class AudioMixer extends ReadableStream {
+    /**
+    * Construct an AudioMixer
+    * @arg {Object} [options] Mixer options
+    * @arg {String} [options.converterCommand="ffmpeg"] The FFmpeg/avconv command used to decode inputs that aren't PCM
+    * @arg {Number} [options.frameDuration=20] How much audio to mix at a time, in milliseconds. Ducking and volume changes take effect from the next frame
+    * @arg {Boolean} [options.realtime=false] Produce frames at the pace they would be played at, rather than as fast as they are read. This is needed when the mix is written somewhere other than a voice connection (e.g. to a file) and its inputs are live, like received voice
+    */
+    constructor(options = {}) {
+        super({highWaterMark: 0});
+
+        this.channels = 2;
+        this.converterCommand = options.converterCommand || "ffmpeg";
+        this.frameDuration = options.frameDuration || 20;
+        this.inputs = [];
+        this.realtime = !!options.realtime;
+        this.sampleRate = 48000;
+
+        this._closed = false;
+        this._frames = 0;
+        this._readTimeout = null;
+        this._startTime = 0;
+    }
+
+    /**
+    * Add an input to the mixer
+    * @arg {ReadableStream | String} source The input, either a ReadableStream of 16 bit 48kHz stereo PCM, or a URL or file path. Non-PCM files and URLs are decoded with FFmpeg
+    * @arg {Object} [options] Input options
+    * @arg {Object} [options.duck] Lower the volume of other inputs while this input has audio, e.g. `{amount: 0.7}` to lower music by 70% while a voice clip plays
+    * @arg {Number} [options.duck.amount=0.5] How much to lower the volume of the other inputs, from 0 (not at all) to 1 (silence)
+    * @arg {Number} [options.duck.attack=50] How long it takes to lower the volume, in milliseconds
+    * @arg {Number} [options.duck.release=500] How long it takes to restore the volume once this input is quiet, in milliseconds
+    * @arg {Array<String>} [options.duck.targets] The names of the inputs to lower. If not given, all other inputs are lowered
+    * @arg {Array<String>} [options.encoderArgs] Additional encoder parameters to pass to ffmpeg/avconv (after -i)
+    * @arg {String} [options.format] The format of a URL or file path source. "pcm" is read as is, anything else is decoded with FFmpeg
+    * @arg {Array<String>} [options.inputArgs] Additional input parameters to pass to ffmpeg/avconv (before -i)
+    * @arg {Boolean} [options.muted=false] Whether the input is muted
+    * @arg {String} [options.name] A name for the input, used by the ducking rules of other inputs
+    * @arg {Number} [options.volume=1] The volume of the input. 0.0 is 0%, 1.0 is 100%, 2.0 is 200%, etc.
+    * @returns {Object} The input
+    */
+    add(source, options = {}) {
+        if(this._closed) {
+            throw new Error("Mixer is closed");
+        }
+        let owned = false;
+        if(typeof source === "string") {
+            owned = true;
+            if(options.format === "pcm" && !source.startsWith("http://") && !source.startsWith("https://")) {
+                source = FS.createReadStream(source);
+            } else {
+                source = new FFmpegPCMTransformer({
+                    command: this.converterCommand,
+                    input: source,
+                    encoderArgs: options.encoderArgs,
+                    inputArgs: options.inputArgs
+                });
+            }
+        }
+        const input = {
+            duck: options.duck ? Object.assign({amount: 0.5, attack: 50, release: 500, targets: null}, options.duck) : null,
+            muted: !!options.muted,
+            name: options.name || null,
+            source: source,
+            volume: options.volume === undefined ? 1 : options.volume,
+            _buffers: [],
+            _duckGain: 1,
+            _ended: false,
+            _gain: 0,
+            _length: 0,
+            _listeners: null,
+            _owned: owned,
+            _release: 500
+        };
+        // Keep up to a second of audio from each input, so a slow input doesn't hold up the others
+        const maxLength = this.sampleRate * this.channels * 2;
+        input._listeners = {
+            data: (chunk) => {
+                input._buffers.push(chunk);
+                if((input._length += chunk.length) >= maxLength) {
+                    source.pause();
+                }
+            },
+            end: () => {
+                input._ended = true;
+            },
+            error: (err) => {
+                this._end(input, err);
+            }
+        };
+        for(const event in input._listeners) {
+            source.on(event, input._listeners[event]);
+        }
+        this.inputs.push(input);
+        return input;
+    }
+
+    /**
+    * End the mixer stream, removing all inputs. Playback ends once the audio mixed so far has been played
+    */
+    close() {
+        if(this._closed) {
+            return;
+        }
+        this._closed = true;
+        this._clearReadTimeout();
+        this.inputs.slice().forEach((input) => this.remove(input));
+        this.push(null);
+    }
+
+    /**
+    * Remove an input from the mixer. Inputs are removed automatically once they end
+    * @arg {Object} input The input
+    * @returns {Boolean} Whether the input was in the mixer
+    */
+    remove(input) {
+        const index = this.inputs.indexOf(input);
+        if(index === -1) {
+            return false;
+        }
+        this.inputs.splice(index, 1);
+        for(const event in input._listeners) {
+            input.source.removeListener(event, input._listeners[event]);
+        }
+        // Streams created by the mixer are destroyed, streams that were passed in are left for their owner
+        if(input._owned && typeof input.source.destroy === "function") {
+            input.source.destroy();
+        }
+        input._buffers = [];
+        input._length = 0;
+        return true;
+    }
+
+    _clearReadTimeout() {
+        if(this._readTimeout) {
+            clearTimeout(this._readTimeout);
+            this._readTimeout = null;
+        }
+    }
+
+    _destroy(err, cb) {
+        this._closed = true;
+        this._clearReadTimeout();
+        this.inputs.slice().forEach((input) => this.remove(input));
+        cb(err);
+    }
+
+    _end(input, err) {
+        if(this.remove(input)) {
+            /**
+            * Fired when an input ends, or fails with an error. The input is removed from the mixer
+            * @event AudioMixer#inputEnd
+            * @prop {Object} input The input
+            * @prop {Error?} err The error, if the input failed
+            */
+            this.emit("inputEnd", input, err || null);
+        }
+    }
+
+    _mix() {
+        const samples = this.sampleRate * this.frameDuration / 1000 * this.channels;
+        const mix = new Float32Array(samples);
+
+        // Inputs that end are removed while mixing, so iterate over a copy
+        const inputs = this.inputs.slice();
+        const chunks = inputs.map((input) => this._take(input, samples * 2));
+        const active = inputs.filter((input, i) => chunks[i].length > 0 && !input.muted);
+        inputs.forEach((input, i) => {
+            // Ducking rules of the inputs that have audio in this frame set the target gain, which is approached over the attack or release time
+            let target = 1;
+            for(const ducker of active) {
+                if(ducker !== input && ducker.duck && (!ducker.duck.targets || ducker.duck.targets.includes(input.name))) {
+                    target *= 1 - Math.max(0, Math.min(1, ducker.duck.amount));
+                    input._release = ducker.duck.release;
+                    if(target < input._duckGain) {
+                        input._duckGain = Math.max(target, input._duckGain - this.frameDuration / Math.max(ducker.duck.attack, 1));
+                    }
+                }
+            }
+            if(target > input._duckGain) {
+                input._duckGain = Math.min(target, input._duckGain + this.frameDuration / Math.max(input._release, 1));
+            }
+
+            const chunk = chunks[i];
+            const gain = input.muted ? 0 : input.volume * input._duckGain;
+            const length = chunk.length / 2;
+            // Ramp from the previous gain to avoid clicks when it changes
+            for(let j = 0; j < length; ++j) {
+                mix[j] += chunk.readInt16LE(j * 2) / 32768 * (input._gain + (gain - input._gain) * j / samples);
+            }
+            input._gain = gain;
+
+            if(input._ended && input._length < 2) {
+                this._end(input);
+            }
+        });
+
+        const buf = Buffer.allocUnsafe(samples * 2);
+        for(let i = 0, num; i < samples; ++i) {
+            num = Math.round(mix[i] * 32768);
+            buf.writeInt16LE(num >= 32767 ? 32767 : num <= -32768 ? -32768 : num, i * 2);
+        }
+        ++this._frames;
+        this.push(buf);
+    }
+
+    _read() {
+        if(this._closed || this._readTimeout) {
+            return;
+        }
+        if(this.realtime) {
+            if(!this._startTime) {
+                this._startTime = Date.now();
+            }
+            // Wait until the frame is due. A reader that falls behind gets the frames it missed immediately
+            const delay = this._startTime + this._frames * this.frameDuration - Date.now();
+            if(delay > 0) {
+                this._readTimeout = setTimeout(() => {
+                    this._readTimeout = null;
+                    if(!this._closed) {
+                        this._mix();
+                    }
+                }, delay);
+                return;
+            }
+        }
+        this._mix();
+    }
+
+    _take(input, length) {
+        if(input._length === 0) {
+            return Buffer.alloc(0);
+        }
+        let chunk = input._buffers.length === 1 ? input._buffers[0] : Buffer.concat(input._buffers);
+        // Only take whole samples, so the input stays aligned
+        length = Math.min(length, chunk.length - chunk.length % 2);
+        const taken = chunk.slice(0, length);
+        chunk = chunk.slice(length);
+        input._buffers = chunk.length > 0 ? [chunk] : [];
+        input._length = chunk.length;
+        if(input._length < this.sampleRate * this.channels && input.source.isPaused && input.source.isPaused()) {
+            input.source.resume();
+        }
+        return taken;
+    }
+
+    toString() {
+        return `[AudioMixer ${this.inputs.length}]`;
+    }
+}
+
+module.exports = AudioMixer;
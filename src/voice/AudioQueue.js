@@ -0,0 +1,310 @@
+"use strict";
+
+const LOOP_MODES = ["all", "none", "one"];
+
+/**
+* A queue of tracks for a VoiceConnection or SharedStream. When a track ends, the next one starts without a gap, and once the current track has been fully read, the next track is pre-buffered so it is ready when the current one runs out.
+* The `trackStart`, `trackEnd` and `queueEnd` events are emitted by the voice connection or shared stream, not the queue.
+* Tracks with a stream source are played once even when looping, and are not pre-buffered, since a stream can't be read again
+* @prop {Object?} current The track that is currently playing
+* @prop {Number} length The number of tracks waiting in the queue, not including the current track
+* @prop {String} loop The loop mode, either "none", "one" (repeat the current track) or "all" (add tracks back to the end of the queue once they end)
+* @prop {Array<Object>} tracks The tracks waiting in the queue. Each track has its `source`, play `options` and `metadata`
+*/
+class AudioQueue {
+    /**
+    * Construct an AudioQueue
+    * @arg {VoiceConnection | SharedStream} player The voice connection or shared stream that plays the queue
+    */
+    constructor(player) {
+        this.current = null;
+        this.loop = "none";
+        this.tracks = [];
+        this._player = player;
+        this._preloaded = null;
+        this._spare = null;
+        if(player.piper) {
+            this._listen(player.piper);
+        }
+    }
+
+    get length() {
+        return this.tracks.length;
+    }
+
+    /**
+    * Remove all waiting tracks from the queue. The current track keeps playing
+    */
+    clear() {
+        this.tracks = [];
+        this._preloadNext();
+    }
+
+    /**
+    * Add a track to the end of the queue. If nothing is playing, the track starts playing immediately
+    * @arg {ReadableStream | String} source The audio or video resource, either a ReadableStream, URL, or file path
+    * @arg {Object} [options] Music options, as in `VoiceConnection#play()`
+    * @arg {any} [metadata] Any data to keep with the track, e.g. its title. It is included in the track events
+    * @returns {Object} The track
+    */
+    enqueue(source, options, metadata) {
+        return this.insert(this.tracks.length, source, options, metadata);
+    }
+
+    /**
+    * Add a track to the queue at a specific position. If nothing is playing, the first track in the queue starts playing immediately
+    * @arg {Number} index The position to insert the track at. 0 is the next track to play
+    * @arg {ReadableStream | String} source The audio or video resource, either a ReadableStream, URL, or file path
+    * @arg {Object} [options] Music options, as in `VoiceConnection#play()`
+    * @arg {any} [metadata] Any data to keep with the track, e.g. its title. It is included in the track events
+    * @returns {Object} The track
+    */
+    insert(index, source, options = {}, metadata = null) {
+        const track = {
+            metadata,
+            options,
+            source
+        };
+        this.tracks.splice(index, 0, track);
+        if(this._player.playing) {
+            this._preloadNext();
+        } else {
+            this._advance("skipped");
+        }
+        return track;
+    }
+
+    /**
+    * Remove a waiting track from the queue
+    * @arg {Number | Object} track The position of the track, or the track itself
+    * @returns {Object?} The removed track, or null if it was not in the queue
+    */
+    remove(track) {
+        const index = typeof track === "number" ? track : this.tracks.indexOf(track);
+        if(index < 0 || index >= this.tracks.length) {
+            return null;
+        }
+        const removed = this.tracks.splice(index, 1)[0];
+        this._preloadNext();
+        return removed;
+    }
+
+    /**
+    * Set the loop mode
+    * @arg {String} mode The loop mode, either "none", "one" (repeat the current track) or "all" (add tracks back to the end of the queue once they end)
+    */
+    setLoop(mode) {
+        if(!LOOP_MODES.includes(mode)) {
+            throw new Error(`Invalid loop mode "${mode}"`);
+        }
+        this.loop = mode;
+        this._preloadNext();
+    }
+
+    /**
+    * Shuffle the waiting tracks
+    */
+    shuffle() {
+        for(let i = this.tracks.length - 1; i > 0; --i) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [this.tracks[i], this.tracks[j]] = [this.tracks[j], this.tracks[i]];
+        }
+        this._preloadNext();
+    }
+
+    /**
+    * Stop the current track and play the next one. The current track is not repeated when looping one track. If nothing is playing, this starts playing the queue
+    * @returns {Object?} The track that is now playing, or null if the queue ended
+    */
+    skip() {
+        this._advance("skipped");
+        return this.current;
+    }
+
+    _advance(reason) {
+        const player = this._player;
+        const previous = this.current;
+        if(player.playing) {
+            if(player.current && player.current.timeout) {
+                clearTimeout(player.current.timeout);
+                player.current.timeout = null;
+            }
+            // Drop the packets before stopping, so the piper stopping doesn't pre-buffer the track after the current one
+            player.piper.resetPackets();
+            player.piper.stop();
+        }
+        if(previous) {
+            /**
+            * Fired when a queued track ends. This is also emitted by SharedStream
+            * @event VoiceConnection#trackEnd
+            * @prop {Object} track The track
+            * @prop {String} reason Why the track ended, either "finished" (including when it timed out waiting for data), "skipped" or "stopped"
+            */
+            player.emit("trackEnd", previous, reason);
+        }
+
+        let track = this._next(reason === "skipped");
+        while(track && !this._start(track)) {
+            // Tracks that can't be played are dropped, even when looping
+            this.current = null;
+            track = this._next(true);
+        }
+        if(!track && player.playing) {
+            player.stopPlaying();
+            if(previous) {
+                /**
+                * Fired when the last track in the queue ends. This is also emitted by SharedStream
+                * @event VoiceConnection#queueEnd
+                */
+                player.emit("queueEnd");
+            }
+        }
+    }
+
+    _encode(track) {
+        const player = this._player;
+        const piper = this._spare || this._listen(player._createPiper());
+        player._prepareOptions(track.options);
+        piper.setVolume(player.volume);
+        if(!piper.encode(track.source, track.options)) {
+            this._spare = piper;
+            return null;
+        }
+        this._spare = null;
+        return piper;
+    }
+
+    _listen(piper) {
+        piper.on("stop", () => {
+            // Once the current track has been fully read, start reading the next one while the rest of the current one plays
+            if(piper === this._player.piper && piper.dataPacketCount > 0) {
+                this._preloadNext();
+            }
+        });
+        return piper;
+    }
+
+    _next(skip) {
+        const previous = this.current;
+        const replayable = previous && typeof previous.source === "string";
+        if(replayable && this.loop === "one" && !skip) {
+            return previous;
+        }
+        if(replayable && this.loop === "all") {
+            this.tracks.push(previous);
+        }
+        return (this.current = this.tracks.shift() || null);
+    }
+
+    _peek() {
+        const replayable = this.current && typeof this.current.source === "string";
+        if(replayable && this.loop === "one") {
+            return this.current;
+        }
+        return this.tracks[0] || (replayable && this.loop === "all" ? this.current : null);
+    }
+
+    _preloadNext() {
+        const player = this._player;
+        if(!player.playing || player.ended || player.piper.encoding) {
+            return;
+        }
+        const track = this._peek();
+        if(this._preloaded && this._preloaded.track === track) {
+            return;
+        }
+        this._resetPreload();
+        if(track && typeof track.source === "string") {
+            this._preloaded = {
+                piper: this._encode(track),
+                track: track
+            };
+        }
+    }
+
+    _resetPreload() {
+        if(!this._preloaded) {
+            return;
+        }
+        const piper = this._preloaded.piper;
+        if(piper) {
+            piper.stop();
+            piper.resetPackets();
+            this._spare = piper;
+        }
+        this._preloaded = null;
+    }
+
+    _start(track) {
+        const player = this._player;
+        if(!player.playing) {
+            try {
+                player.play(track.source, track.options);
+            } catch(err) {
+                // Put the track back, e.g. if the voice connection isn't ready yet
+                this.current = null;
+                this.tracks.unshift(track);
+                throw err;
+            }
+            if(!player.playing) {
+                return false;
+            }
+        } else {
+            let piper;
+            if(this._preloaded && this._preloaded.track === track) {
+                piper = this._preloaded.piper;
+                this._preloaded = null;
+            } else {
+                this._resetPreload();
+                piper = this._encode(track);
+            }
+            if(!piper) {
+                return false;
+            }
+            // The pre-buffered piper might have been started before the volume was last changed
+            piper.setVolume(player.volume);
+            this._spare = player.piper;
+            player.piper = piper;
+
+            const paused = !!player.current.pausedTimestamp;
+            player.current = {
+                startTime: 0, // later
+                playTime: 0,
+                pausedTimestamp: paused ? Date.now() : 0,
+                pausedTime: 0,
+                bufferingTicks: 0,
+                options: track.options,
+                timeout: null,
+                buffer: null
+            };
+            if(!paused) {
+                player.setSpeaking(true);
+                player._send();
+            }
+        }
+
+        /**
+        * Fired when a queued track starts playing. This is also emitted by SharedStream
+        * @event VoiceConnection#trackStart
+        * @prop {Object} track The track
+        */
+        player.emit("trackStart", track);
+        this._preloadNext();
+        return true;
+    }
+
+    _stop() {
+        this._resetPreload();
+        const track = this.current;
+        if(track) {
+            this.current = null;
+            this._player.emit("trackEnd", track, "stopped");
+        }
+    }
+
+    toString() {
+        return `[AudioQueue ${this.tracks.length}]`;
+    }
+}
+
+module.exports = AudioQueue;
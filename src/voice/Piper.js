@@ -1,8 +1,10 @@
 "use strict";
 
+const AudioMixer = require("./AudioMixer");
 const DCAOpusTransformer = require("./streams/DCAOpusTransformer");
 const FFmpegOggTransformer = require("./streams/FFmpegOggTransformer");
 const FFmpegPCMTransformer = require("./streams/FFmpegPCMTransformer");
+const FilterTransformer = require("./streams/FilterTransformer");
 const FS = require("fs");
 const HTTP = require("http");
 const HTTPS = require("https");
@@ -12,6 +14,7 @@ const PCMOpusTransformer = require("./streams/PCMOpusTransformer");
 const Stream = require("stream").Stream;
 const VolumeTransformer = require("./streams/VolumeTransformer");
 const WebmOpusTransformer = require("./streams/WebmOpusTransformer");
+const {getPacketDuration} = require("../util/Opus");
 
 let EventEmitter;
 try {
@@ -38,6 +41,13 @@ class Piper extends EventEmitter {
 
         this.volumeLevel = 1;
 
+        this.position = 0;
+        this._history = null;
+        this._historyStart = 0;
+        this._options = null;
+        this._seekPosition = null;
+        this._source = null;
+
         this._retransformer = [];
 
         this.addDataPacket = this.addDataPacket.bind(this);
@@ -66,6 +76,14 @@ class Piper extends EventEmitter {
             return false;
         }
 
+        const original = source;
+        const mixed = source instanceof AudioMixer;
+        if(mixed) {
+            // Mixers output PCM, which is encoded directly instead of through FFmpeg
+            options = Object.assign({}, options, {format: "pcm"});
+        }
+        const inputArgs = options.seek ? ["-ss", "" + options.seek / 1000].concat(options.inputArgs || []) : options.inputArgs;
+
         if(typeof source === "string") {
             if(options.format === "dca" || options.format === "ogg" || options.format === "webm" || options.format === "pcm") {
                 if(source.startsWith("http://") || source.startsWith("https://")) {
@@ -105,13 +123,13 @@ class Piper extends EventEmitter {
 
         if(options.format === "opusPackets") { // eslint-disable no-empty
         } else if(options.format === "dca") {
-            this.streams.push(source.pipe(new DCAOpusTransformer()).once("error", (e) => this.stop(e)));
+            this.streams.push(source.pipe(new DCAOpusTransformer({seek: options.seek})).once("error", (e) => this.stop(e)));
         } else if(options.format === "ogg") {
-            this.streams.push(source.pipe(new OggOpusTransformer()).once("error", (e) => this.stop(e)));
+            this.streams.push(source.pipe(new OggOpusTransformer({seek: options.seek})).once("error", (e) => this.stop(e)));
         } else if(options.format === "webm") {
-            this.streams.push(source.pipe(new WebmOpusTransformer()).once("error", (e) => this.stop(e)));
+            this.streams.push(source.pipe(new WebmOpusTransformer({seek: options.seek})).once("error", (e) => this.stop(e)));
         } else if(!options.format || options.format === "pcm") {
-            if(options.inlineVolume) {
+            if(options.inlineVolume || options.filters || mixed) {
                 if(!options.format) {
                     if(!this.converterCommand) {
                         this.emit("error", new Error("FFmpeg/avconv was not found on this system. Playback of this audio format is impossible"));
@@ -123,24 +141,31 @@ class Piper extends EventEmitter {
                             command: this.converterCommand,
                             input: source,
                             encoderArgs: options.encoderArgs,
-                            inputArgs: options.inputArgs
+                            inputArgs: inputArgs
                         }).once("error", (e) => this.stop(e)));
                     } else {
                         this.streams.push(source = source.pipe(new FFmpegPCMTransformer({
                             command: this.converterCommand,
                             encoderArgs: options.encoderArgs,
-                            inputArgs: options.inputArgs
+                            inputArgs: inputArgs
                         })).once("error", (e) => this.stop(e)));
                     }
                 }
-                this.streams.push(this.volume = source = source.pipe(new VolumeTransformer()).once("error", (e) => this.stop(e)));
-                this.volume.setVolume(this.volumeLevel);
-                this.streams.push(this.volume.pipe(new PCMOpusTransformer({
+                if(options.filters) {
+                    this.streams.push(source = source.pipe(new FilterTransformer({
+                        filters: options.filters
+                    })).once("error", (e) => this.stop(e)));
+                }
+                if(options.inlineVolume) {
+                    this.streams.push(this.volume = source = source.pipe(new VolumeTransformer()).once("error", (e) => this.stop(e)));
+                    this.volume.setVolume(this.volumeLevel);
+                }
+                this.streams.push(source.pipe(new PCMOpusTransformer({
                     opusFactory: this.opusFactory,
                     frameSize: options.frameSize,
                     pcmSize: options.pcmSize
                 })).once("error", (e) => this.stop(e)));
-                this._dataPacketMax = 1; // Live volume updating
+                this._dataPacketMax = 1; // Live volume and filter updating
                 this._dataPacketMin = 4;
             } else {
                 if(this.libopus) {
@@ -149,7 +174,7 @@ class Piper extends EventEmitter {
                             command: this.converterCommand,
                             input: source,
                             encoderArgs: options.encoderArgs,
-                            inputArgs: options.inputArgs,
+                            inputArgs: inputArgs,
                             format: options.format,
                             frameDuration: options.frameDuration
                         }).once("error", (e) => this.stop(e)));
@@ -157,7 +182,7 @@ class Piper extends EventEmitter {
                         this.streams.push(source = source.pipe(new FFmpegOggTransformer({
                             command: this.converterCommand,
                             encoderArgs: options.encoderArgs,
-                            inputArgs: options.inputArgs,
+                            inputArgs: inputArgs,
                             format: options.format,
                             frameDuration: options.frameDuration
                         })).once("error", (e) => this.stop(e)));
@@ -169,13 +194,13 @@ class Piper extends EventEmitter {
                             command: this.converterCommand,
                             input: source,
                             encoderArgs: options.encoderArgs,
-                            inputArgs: options.inputArgs
+                            inputArgs: inputArgs
                         }).once("error", (e) => this.stop(e)));
                     } else {
                         this.streams.push(source = source.pipe(new FFmpegPCMTransformer({
                             command: this.converterCommand,
                             encoderArgs: options.encoderArgs,
-                            inputArgs: options.inputArgs
+                            inputArgs: inputArgs
                         })).once("error", (e) => this.stop(e)));
                     }
                     this.streams.push(source.pipe(new PCMOpusTransformer({
@@ -191,6 +216,15 @@ class Piper extends EventEmitter {
             return false;
         }
 
+        // FFmpeg and the DCA/Ogg/WebM transformers start their output at the seek position. Packets of other formats are dropped until it is reached
+        const seekPacketed = options.format === "opusPackets" || options.format === "pcm" && (options.inlineVolume || options.filters || mixed);
+        this.position = options.seek && !seekPacketed ? options.seek : 0;
+        this._seekPosition = options.seek && seekPacketed ? options.seek : null;
+        this._history = options.seekBuffer && typeof original !== "string" ? [] : null;
+        this._historyStart = this.position;
+        this._options = options;
+        this._source = original;
+
         this._endStream = this.streams[this.streams.length - 1];
         if(this._endStream.hasOwnProperty("manualCB")) {
             this._endStream.manualCB = true;
@@ -208,15 +242,26 @@ class Piper extends EventEmitter {
         if(this._dataPackets.length < this._dataPacketMin && this._endStream && this._endStream.manualCB) {
             this._endStream.transformCB();
         }
-        if(this._retransformer.length === 0) {
-            return this._dataPackets.shift();
+        let packet;
+        while((packet = this._dataPackets.shift())) {
+            if(this._history) {
+                this._history.push(packet);
+            }
+            this.position += getPacketDuration(packet);
+            if(this._seekPosition === null || this.position > this._seekPosition) {
+                this._seekPosition = null;
+                break;
+            }
+        }
+        if(!packet || this._retransformer.length === 0) {
+            return packet;
         } else {
             // If we don't have an opus instance yet, create one.
             if(!this.opus) {
                 this.opus = this.opusFactory();
             }
 
-            const packet = this.opus.decode(this._dataPackets.shift());
+            packet = this.opus.decode(packet);
             for(let i = 0, num; i < packet.length - 1; i += 2) {
                 num = ~~(this._retransformer.shift() * packet.readInt16LE(i));
                 packet.writeInt16LE(num >= 32767 ? 32767 : num <= -32767 ? -32767 : num, i);
@@ -248,6 +293,33 @@ class Piper extends EventEmitter {
             this.opus = null;
         }
         this._dataPackets = [];
+        this._history = null;
+    }
+
+    seek(position) {
+        if(!this._source) {
+            this.emit("error", new Error("Nothing to seek"));
+            return false;
+        }
+        if(typeof this._source === "string") {
+            // File paths and URLs can be opened again, so restart the source at the position
+            const source = this._source;
+            const options = Object.assign({}, this._options, {seek: position});
+            this.resetPackets();
+            this.stop();
+            return this.encode(source, options);
+        }
+        if(position < this.position) {
+            if(!this._history) {
+                this.emit("error", new Error("Cannot seek backwards in a stream played without seekBuffer"));
+                return false;
+            }
+            this._dataPackets = this._history.concat(this._dataPackets);
+            this._history = [];
+            this.position = this._historyStart;
+        }
+        this._seekPosition = position;
+        return true;
     }
 
     setVolume(volume) {
@@ -1,5 +1,6 @@
 "use strict";
 
+const AudioQueue = require("./AudioQueue");
 const Piper = require("./Piper");
 const VoiceConnection = require("./VoiceConnection");
 const Collection = require("../util/Collection");
@@ -18,6 +19,8 @@ try {
 * @prop {Object?} current The current stream
 * @prop {Boolean} ended Whether the stream ended
 * @prop {Boolean} playing Whether the voice connection is playing something
+* @prop {Number} position The position in the current stream, in milliseconds. Only audio that has been sent counts, so pauses, gaps while waiting for data and skipped audio are left out
+* @prop {AudioQueue} queue The queue of tracks to play. Queued tracks play one after another without gaps
 * @prop {Boolean} speaking Whether someone is speaking
 * @prop {Number} volume The current volume level of the connection
 */
@@ -37,11 +40,8 @@ class SharedStream extends EventEmitter {
             VoiceConnection._converterCommand.pickCommand();
         }
 
-        this.piper = new Piper(VoiceConnection._converterCommand.cmd, () => createOpus(this.samplingRate, this.channels, this.bitrate));
-        this.piper.on("error", (e) => this.emit("error", e));
-        if(!VoiceConnection._converterCommand.libopus) {
-            this.piper.libopus = false;
-        }
+        this.piper = this._createPiper();
+        this.queue = new AudioQueue(this);
 
         this.ended = true;
         this.playing = false;
@@ -50,6 +50,10 @@ class SharedStream extends EventEmitter {
         this._send = this._send.bind(this);
     }
 
+    get position() {
+        return this.current ? this.piper.position : 0;
+    }
+
     get volume() {
         return this.piper.volumeLevel;
     }
@@ -72,28 +76,22 @@ class SharedStream extends EventEmitter {
 
     /**
     * Play an audio or video resource. If playing from a non-opus resource, FFMPEG should be compiled with --enable-libopus for best performance. If playing from HTTPS, FFMPEG must be compiled with --enable-openssl
-    * @arg {ReadableStream | String} resource The audio or video resource, either a ReadableStream, URL, or file path
+    * @arg {ReadableStream | String} resource The audio or video resource, either a ReadableStream, URL, or file path. An AudioMixer can be played to play several resources at once
     * @arg {Object} [options] Music options
     * @arg {Array<String>} [options.encoderArgs] Additional encoder parameters to pass to ffmpeg/avconv (after -i)
+    * @arg {Array<AudioFilter>} [options.filters] Filters to apply to the audio, in order, e.g. an EqualizerFilter. Like inlineVolume, this requires decoding the resource to PCM, so it only works with the "pcm" format or FFmpeg. The filters and the array can be changed while playing
     * @arg {String} [options.format] The format of the resource. If null, FFmpeg will attempt to guess and play the format. Available options: "dca", "ogg", "webm", "pcm", null
     * @arg {Number} [options.frameDuration=60] The resource opus frame duration (required for DCA/Ogg)
     * @arg {Number} [options.frameSize=2880] The resource opus frame size
     * @arg {Boolean} [options.inlineVolume=false] Whether to enable on-the-fly volume changing. Note that enabling this leads to increased CPU usage
     * @arg {Array<String>} [options.inputArgs] Additional input parameters to pass to ffmpeg/avconv (before -i)
     * @arg {Number} [options.sampleRate=48000] The resource audio sampling rate
+    * @arg {Number} [options.seek] The position to start playing the resource at, in milliseconds
+    * @arg {Boolean} [options.seekBuffer=false] Whether to keep the played data of a stream resource in memory, so `seek()` can go back in the stream
     * @arg {Number} [options.voiceDataTimeout=2000] Timeout when waiting for voice data (-1 for no timeout)
     */
     play(source, options = {}) {
-        options.format = options.format || null;
-        options.voiceDataTimeout = !isNaN(options.voiceDataTimeout) ? options.voiceDataTimeout : 2000;
-        options.inlineVolume = !!options.inlineVolume;
-        options.inputArgs = options.inputArgs || [];
-        options.encoderArgs = options.encoderArgs || [];
-
-        options.samplingRate = options.samplingRate || this.samplingRate;
-        options.frameDuration = options.frameDuration || this.frameDuration;
-        options.frameSize = options.frameSize || options.samplingRate * options.frameDuration / 1000;
-        options.pcmSize = options.pcmSize || options.frameSize * 2 * this.channels;
+        this._prepareOptions(options);
 
         if(!this.piper.encode(source, options)) {
             this.emit("error", new Error("Unable to encode source"));
@@ -131,6 +129,17 @@ class SharedStream extends EventEmitter {
         return this.voiceConnections.remove(connection);
     }
 
+    /**
+    * Seek to a position in the current stream. File paths and URLs are opened again at the position. Streams are skipped forward as their data arrives, and can only go back if they were played with `seekBuffer`
+    * @arg {Number} position The position to seek to, in milliseconds
+    */
+    seek(position) {
+        if(!this.current) {
+            throw new Error("Not playing anything");
+        }
+        this.piper.seek(position);
+    }
+
     setSpeaking(value) {
         if((value = !!value) != this.speaking) {
             this.speaking = value;
@@ -161,6 +170,7 @@ class SharedStream extends EventEmitter {
             this.current.timeout = null;
         }
         this.current = null;
+        this.queue._stop();
         this.piper.stop();
         this.piper.resetPackets();
 
@@ -173,6 +183,15 @@ class SharedStream extends EventEmitter {
         this.emit("end");
     }
 
+    _createPiper() {
+        const piper = new Piper(VoiceConnection._converterCommand.cmd, () => createOpus(this.samplingRate, this.channels, this.bitrate));
+        piper.on("error", (e) => this.emit("error", e));
+        if(!VoiceConnection._converterCommand.libopus) {
+            piper.libopus = false;
+        }
+        return piper;
+    }
+
     _incrementSequences() {
         for(const vc of this.voiceConnections.values()) {
             vc.sequence++;
@@ -191,9 +210,23 @@ class SharedStream extends EventEmitter {
         }
     }
 
+    _prepareOptions(options) {
+        options.format = options.format || null;
+        options.voiceDataTimeout = !isNaN(options.voiceDataTimeout) ? options.voiceDataTimeout : 2000;
+        options.inlineVolume = !!options.inlineVolume;
+        options.inputArgs = options.inputArgs || [];
+        options.encoderArgs = options.encoderArgs || [];
+
+        options.samplingRate = options.samplingRate || this.samplingRate;
+        options.frameDuration = options.frameDuration || this.frameDuration;
+        options.frameSize = options.frameSize || options.samplingRate * options.frameDuration / 1000;
+        options.pcmSize = options.pcmSize || options.frameSize * 2 * this.channels;
+        return options;
+    }
+
     _send() {
         if(!this.piper.encoding && this.piper.dataPacketCount === 0) {
-            return this.stopPlaying();
+            return this.queue._advance("finished");
         }
 
         this._incrementTimestamps(this.current.options.frameSize);
@@ -218,7 +251,7 @@ class SharedStream extends EventEmitter {
                 return;
             }
         } else {
-            return this.stopPlaying();
+            return this.queue._advance("finished");
         }
 
         this.voiceConnections.forEach((connection) => {
@@ -0,0 +1,206 @@
+"use strict";
+
+const ReadableStream = require("stream").Readable;
+const {SILENCE_FRAME, createOpus, getPacketDuration} = require("../util/Opus");
+
+// Longer runs of missing packets are treated as the user's client restarting the sequence, not as loss
+const MAX_LOST_PACKETS = 50;
+
+/**
+* A readable stream of the voice of one user, created by `VoiceDataStream#user()`.
+* Packets are held for a short time and put back in order by their RTP sequence number, so audio that arrived out of order plays in order. Lost packets are replaced with silence, and late packets are dropped.
+* Streams of "pcm" data emit 16 bit 48kHz stereo PCM. Streams of "opus" data emit one Opus packet per chunk
+* @extends ReadableStream
+* @prop {Boolean} fillSilence Whether the time the user was silent is filled with silence
+* @prop {Number} jitterBuffer How long (in ms) packets are held to put them back in order
+* @prop {String} type The voice data type of the stream, either "opus" or "pcm"
+* @prop {String} userID The ID of the user
+*/
+class UserVoiceStream extends ReadableStream {
+    /**
+    * Construct a UserVoiceStream
+    * @arg {String} userID The ID of the user
+    * @arg {String} type The voice data type of the stream, either "opus" or "pcm"
+    * @arg {Object} [options] Stream options
+    * @arg {Boolean} [options.fillSilence=false] Fill the time the user was silent with silence, so the stream keeps time with the voice channel. Otherwise, only lost packets are filled, and the stream pauses while the user is silent
+    * @arg {Number} [options.jitterBuffer=60] How long (in ms) to hold packets to put them back in order. Higher values handle worse connections, at the cost of more delay
+    */
+    constructor(userID, type, options = {}) {
+        super({objectMode: type === "opus"});
+
+        this.fillSilence = !!options.fillSilence;
+        this.jitterBuffer = options.jitterBuffer === undefined ? 60 : options.jitterBuffer;
+        this.type = type;
+        this.userID = userID;
+
+        this._closed = false;
+        this._last = null;
+        this._opus = null;
+        this._packets = [];
+        this._ssrc = null;
+        this._timeout = null;
+    }
+
+    /**
+    * End the stream. Packets that are still being held are emitted first
+    */
+    close() {
+        if(this._closed) {
+            return;
+        }
+        this._flush();
+        this._close();
+        this.push(null);
+    }
+
+    _close() {
+        this._closed = true;
+        if(this._timeout) {
+            clearTimeout(this._timeout);
+            this._timeout = null;
+        }
+        if(this._opus && this._opus.delete) {
+            this._opus.delete();
+        }
+        this._opus = null;
+    }
+
+    _destroy(err, cb) {
+        this._close();
+        cb(err);
+    }
+
+    _emitPacket(packet) {
+        const last = this._last;
+        let missing = 0;
+        let silence = 0;
+        if(last) {
+            const lost = (packet.sequence - last.sequence - 1) & 0xFFFF;
+            if(lost > 0 && lost <= MAX_LOST_PACKETS) {
+                missing = lost * last.duration;
+            } else if(this.fillSilence) {
+                // Clients keep the RTP clock running while they don't send anything, but don't trust it beyond the time that actually passed
+                const expected = (last.timestamp + last.duration) >>> 0;
+                const skipped = (packet.timestamp - expected) >>> 0;
+                silence = Math.min(skipped, Math.max(0, packet.receivedAt - last.receivedAt) * 48);
+            }
+        }
+        this._pushSilence(missing + silence);
+
+        const duration = getPacketDuration(packet.data) * 48 || 960;
+        this._last = {
+            duration: duration,
+            receivedAt: packet.receivedAt,
+            sequence: packet.sequence,
+            timestamp: packet.timestamp
+        };
+        if(this.type === "opus") {
+            this.push(packet.data);
+            return;
+        }
+        if(!this._opus) {
+            this._opus = createOpus(48000, 2, 64000);
+        }
+        let data;
+        try {
+            data = this._opus.decode(packet.data, 960);
+        } catch(err) {
+            data = null;
+        }
+        // Undecodable packets still take up their time
+        this.push(data || Buffer.alloc(duration * 4));
+    }
+
+    _flush() {
+        if(this._timeout) {
+            clearTimeout(this._timeout);
+            this._timeout = null;
+        }
+        while(this._packets.length > 0) {
+            this._emitPacket(this._packets.shift());
+        }
+    }
+
+    _pushSilence(samples) {
+        if(samples < 960) {
+            return;
+        }
+        if(this.type === "opus") {
+            for(let i = Math.floor(samples / 960); i > 0; --i) {
+                this.push(SILENCE_FRAME);
+            }
+        } else {
+            this.push(Buffer.alloc(samples * 4));
+        }
+    }
+
+    _read() {
+        // Packets are pushed as they are received
+    }
+
+    _receive(data, timestamp, sequence, ssrc) {
+        if(this._closed) {
+            return;
+        }
+        // The sequence numbers start over when the user reconnects, and sometimes when their client restarts its encoder
+        const behind = this._last ? (this._last.sequence - sequence) & 0xFFFF : 0;
+        if(ssrc !== this._ssrc || (behind > MAX_LOST_PACKETS && behind < 0x8000)) {
+            this._flush();
+            this._last = null;
+            this._ssrc = ssrc;
+        }
+        const packet = {
+            data: data,
+            receivedAt: Date.now(),
+            sequence: sequence,
+            timestamp: timestamp
+        };
+        // Sequence numbers wrap around, so packets are ordered by how far they are from the last emitted one. Before any packet is emitted, packets from a bit earlier than the first one held can still be put in front of it
+        let ref = sequence - 1;
+        if(this._last) {
+            ref = this._last.sequence;
+        } else if(this._packets.length > 0) {
+            ref = this._packets[0].sequence - MAX_LOST_PACKETS;
+        }
+        const offset = (sequence - ref) & 0xFFFF;
+        if(offset === 0 || offset >= 0x8000) {
+            // Already emitted, or too late
+            return;
+        }
+        let index = this._packets.length;
+        while(index > 0 && ((this._packets[index - 1].sequence - ref) & 0xFFFF) > offset) {
+            --index;
+        }
+        if(index > 0 && this._packets[index - 1].sequence === sequence) {
+            return;
+        }
+        this._packets.splice(index, 0, packet);
+        this._release();
+    }
+
+    _release() {
+        if(this._timeout) {
+            clearTimeout(this._timeout);
+            this._timeout = null;
+        }
+        const now = Date.now();
+        while(this._packets.length > 0) {
+            const packet = this._packets[0];
+            // Emit the next packet in the sequence right away, and give up on missing packets once the packet after them has been held long enough. The first packet is always held, in case packets from before it are still on their way
+            if((!this._last || packet.sequence !== ((this._last.sequence + 1) & 0xFFFF)) && packet.receivedAt + this.jitterBuffer > now) {
+                this._timeout = setTimeout(() => {
+                    this._timeout = null;
+                    this._release();
+                }, packet.receivedAt + this.jitterBuffer - now);
+                return;
+            }
+            this._emitPacket(this._packets.shift());
+        }
+    }
+
+    toString() {
+        return `[UserVoiceStream ${this.userID}]`;
+    }
+}
+
+module.exports = UserVoiceStream;
@@ -1,12 +1,13 @@
 "use strict";
 
+const AudioQueue = require("./AudioQueue");
 const Base = require("../structures/Base");
 const ChildProcess = require("child_process");
 const {VoiceOPCodes, GatewayOPCodes} = require("../Constants");
 const Dgram = require("dgram");
 const Piper = require("./Piper");
 const VoiceDataStream = require("./VoiceDataStream");
-const {createOpus} = require("../util/Opus");
+const {SILENCE_FRAME, createOpus} = require("../util/Opus");
 
 let WebSocket = typeof window !== "undefined" ? require("../util/BrowserWebSocket") : require("ws");
 
@@ -33,6 +34,10 @@ try {
 }
 
 const MAX_FRAME_SIZE = 1276 * 3;
+// How long (in ms) a user can go without sending audio before they are considered to have stopped speaking
+const SPEAKING_TIMEOUT = 200;
+// SPEAKING events come just before the audio, so they get longer for it to arrive
+const SPEAKING_START_TIMEOUT = 1000;
 const ENCRYPTION_MODE = "xsalsa20_poly1305";
 
 const converterCommand = {
@@ -82,6 +87,8 @@ converterCommand.pickCommand = function pickCommand() {
 * @prop {String} id The ID of the voice connection (club ID)
 * @prop {Boolean} paused Whether the voice connection is paused
 * @prop {Boolean} playing Whether the voice connection is playing something
+* @prop {Number} position The position in the current stream, in milliseconds. Only audio that has been sent counts, so pauses, gaps while waiting for data and skipped audio are left out
+* @prop {AudioQueue} queue The queue of tracks to play. Queued tracks play one after another without gaps
 * @prop {Boolean} ready Whether the voice connection is ready
 * @prop {Number} volume The current volume level of the connection
 */
@@ -118,6 +125,7 @@ class VoiceConnection extends EventEmitter {
         this.sequence = 0;
         this.timestamp = 0;
         this.ssrcUserMap = {};
+        this._speakingTimeouts = {};
 
         this.nonce = Buffer.alloc(24);
 
@@ -130,21 +138,17 @@ class VoiceConnection extends EventEmitter {
                 converterCommand.pickCommand();
             }
 
-            this.piper = new Piper(converterCommand.cmd, () => createOpus(this.samplingRate, this.channels, this.bitrate));
-            /**
-            * Fired when the voice connection encounters an error. This event should be handled by users
-            * @event VoiceConnection#error
-            * @prop {Error} err The error object
-            */
-            this.piper.on("error", (e) => this.emit("error", e));
-            if(!converterCommand.libopus) {
-                this.piper.libopus = false;
-            }
+            this.piper = this._createPiper();
         }
+        this.queue = new AudioQueue(this);
 
         this._send = this._send.bind(this);
     }
 
+    get position() {
+        return this.current ? this.piper.position : 0;
+    }
+
     get volume() {
         return this.piper.volumeLevel;
     }
@@ -292,17 +296,8 @@ class VoiceConnection extends EventEmitter {
                 }
                 case VoiceOPCodes.SPEAKING: {
                     this.ssrcUserMap[packet.d.ssrc] = packet.d.user_id;
-                    /**
-                    * Fired when a user begins speaking
-                    * @event VoiceConnection#speakingStart
-                    * @prop {String} userID The ID of the user that began speaking
-                    */
-                    /**
-                    * Fired when a user stops speaking
-                    * @event VoiceConnection#speakingStop
-                    * @prop {String} userID The ID of the user that stopped speaking
-                    */
-                    this.emit(packet.d.speaking ? "speakingStart" : "speakingStop", packet.d.user_id);
+                    // Without received audio to go by, users are speaking until the voice server says otherwise
+                    this._setUserSpeaking(packet.d.user_id, !!packet.d.speaking, this.receiveStreamOpus || this.receiveStreamPCM ? SPEAKING_START_TIMEOUT : 0);
                     break;
                 }
                 case VoiceOPCodes.DISCONNECT: {
@@ -314,6 +309,7 @@ class VoiceConnection extends EventEmitter {
 
                         delete this.opus[packet.d.user_id];
                     }
+                    this._setUserSpeaking(packet.d.user_id, false);
 
                     /**
                     * Fired when a user disconnects from the voice server
@@ -364,6 +360,9 @@ class VoiceConnection extends EventEmitter {
         } else {
             this.stopPlaying();
         }
+        for(const userID in this._speakingTimeouts) {
+            this._setUserSpeaking(userID, false);
+        }
         if(this.heartbeatInterval) {
             clearInterval(this.heartbeatInterval);
             this.heartbeatInterval = null;
@@ -425,15 +424,18 @@ class VoiceConnection extends EventEmitter {
 
     /**
     * Play an audio or video resource. If playing from a non-opus resource, FFMPEG should be compiled with --enable-libopus for best performance. If playing from HTTPS, FFMPEG must be compiled with --enable-openssl
-    * @arg {ReadableStream | String} resource The audio or video resource, either a ReadableStream, URL, or file path
+    * @arg {ReadableStream | String} resource The audio or video resource, either a ReadableStream, URL, or file path. An AudioMixer can be played to play several resources at once
     * @arg {Object} [options] Music options
     * @arg {Array<String>} [options.encoderArgs] Additional encoder parameters to pass to ffmpeg/avconv (after -i)
+    * @arg {Array<AudioFilter>} [options.filters] Filters to apply to the audio, in order, e.g. an EqualizerFilter. Like inlineVolume, this requires decoding the resource to PCM, so it only works with the "pcm" format or FFmpeg. The filters and the array can be changed while playing
     * @arg {String} [options.format] The format of the resource. If null, FFmpeg will attempt to guess and play the format. Available options: "dca", "ogg", "webm", "pcm", null
     * @arg {Number} [options.frameDuration=20] The resource opus frame duration (required for DCA/Ogg)
     * @arg {Number} [options.frameSize=2880] The resource opus frame size
     * @arg {Boolean} [options.inlineVolume=false] Whether to enable on-the-fly volume changing. Note that enabling this leads to increased CPU usage
     * @arg {Array<String>} [options.inputArgs] Additional input parameters to pass to ffmpeg/avconv (before -i)
     * @arg {Number} [options.sampleRate=48000] The resource audio sampling rate
+    * @arg {Number} [options.seek] The position to start playing the resource at, in milliseconds
+    * @arg {Boolean} [options.seekBuffer=false] Whether to keep the played data of a stream resource in memory, so `seek()` can go back in the stream
     * @arg {Number} [options.voiceDataTimeout=2000] Timeout when waiting for voice data (-1 for no timeout)
     */
     play(source, options = {}) {
@@ -444,16 +446,7 @@ class VoiceConnection extends EventEmitter {
             throw new Error("Not ready yet");
         }
 
-        options.format = options.format || null;
-        options.voiceDataTimeout = !isNaN(options.voiceDataTimeout) ? options.voiceDataTimeout : 2000;
-        options.inlineVolume = !!options.inlineVolume;
-        options.inputArgs = options.inputArgs || [];
-        options.encoderArgs = options.encoderArgs || [];
-
-        options.samplingRate = options.samplingRate || this.samplingRate;
-        options.frameDuration = options.frameDuration || this.frameDuration;
-        options.frameSize = options.frameSize || options.samplingRate * options.frameDuration / 1000;
-        options.pcmSize = options.pcmSize || options.frameSize * 2 * this.channels;
+        this._prepareOptions(options);
 
         if(!this.piper.encode(source, options)) {
             this.emit("error", new Error("Unable to encode source"));
@@ -542,6 +535,13 @@ class VoiceConnection extends EventEmitter {
                 }
                 data = data.slice(index);
             }
+            const ssrc = nonce.readUIntBE(8, 4);
+            const userID = this.ssrcUserMap[ssrc];
+            const timestamp = nonce.readUIntBE(4, 4);
+            const sequence = nonce.readUIntBE(2, 2);
+            if(!SILENCE_FRAME.equals(data)) {
+                this._setUserSpeaking(userID, true);
+            }
             if(this.receiveStreamOpus) {
                 /**
                 * Fired when a voice data packet is received
@@ -551,10 +551,15 @@ class VoiceConnection extends EventEmitter {
                 * @prop {Number} timestamp The intended timestamp of the packet
                 * @prop {Number} sequence The intended sequence number of the packet
                 */
-                this.receiveStreamOpus.emit("data", data, this.ssrcUserMap[nonce.readUIntBE(8, 4)], nonce.readUIntBE(4, 4), nonce.readUIntBE(2, 2));
+                this.receiveStreamOpus.emit("data", data, userID, timestamp, sequence);
+                this.receiveStreamOpus._receive(data, userID, timestamp, sequence, ssrc);
             }
             if(this.receiveStreamPCM) {
-                const userID = this.ssrcUserMap[nonce.readUIntBE(8, 4)];
+                // User streams decode the packets themselves, once they are back in order, so packets are only decoded here for `data` listeners
+                this.receiveStreamPCM._receive(data, userID, timestamp, sequence, ssrc);
+                if(this.receiveStreamPCM.listenerCount("data") === 0) {
+                    return;
+                }
                 if(!this.opus[userID]) {
                     this.opus[userID] = createOpus(this.samplingRate, this.channels, this.bitrate);
                 }
@@ -563,7 +568,7 @@ class VoiceConnection extends EventEmitter {
                 if(!data) {
                     return this.emit("warn", "Failed to decode received packet");
                 }
-                this.receiveStreamPCM.emit("data", data, userID, nonce.readUIntBE(4, 4), nonce.readUIntBE(2, 2));
+                this.receiveStreamPCM.emit("data", data, userID, timestamp, sequence);
             }
         });
     }
@@ -583,6 +588,17 @@ class VoiceConnection extends EventEmitter {
         }
     }
 
+    /**
+    * Seek to a position in the current stream. File paths and URLs are opened again at the position. Streams are skipped forward as their data arrives, and can only go back if they were played with `seekBuffer`
+    * @arg {Number} position The position to seek to, in milliseconds
+    */
+    seek(position) {
+        if(!this.current) {
+            throw new Error("Not playing anything");
+        }
+        this.piper.seek(position);
+    }
+
     sendWS(op, data) {
         if(this.ws && this.ws.readyState === WebSocket.OPEN) {
             data = JSON.stringify({op: op, d: data});
@@ -623,6 +639,7 @@ class VoiceConnection extends EventEmitter {
             this.current.timeout = null;
         }
         this.current = null;
+        this.queue._stop();
         if(this.piper) {
             this.piper.stop();
             this.piper.resetPackets();
@@ -707,6 +724,20 @@ class VoiceConnection extends EventEmitter {
         return this.packetBuffer.slice(0, 12 + length);
     }
 
+    _createPiper() {
+        const piper = new Piper(converterCommand.cmd, () => createOpus(this.samplingRate, this.channels, this.bitrate));
+        /**
+        * Fired when the voice connection encounters an error. This event should be handled by users
+        * @event VoiceConnection#error
+        * @prop {Error} err The error object
+        */
+        piper.on("error", (e) => this.emit("error", e));
+        if(!converterCommand.libopus) {
+            piper.libopus = false;
+        }
+        return piper;
+    }
+
     _destroy() {
         if(this.opus) {
             for(const key in this.opus) {
@@ -716,18 +747,34 @@ class VoiceConnection extends EventEmitter {
         }
         delete this.piper;
         if(this.receiveStreamOpus) {
+            this.receiveStreamOpus._end();
             this.receiveStreamOpus.removeAllListeners();
             this.receiveStreamOpus = null;
         }
         if(this.receiveStreamPCM) {
+            this.receiveStreamPCM._end();
             this.receiveStreamPCM.removeAllListeners();
             this.receiveStreamPCM = null;
         }
     }
 
+    _prepareOptions(options) {
+        options.format = options.format || null;
+        options.voiceDataTimeout = !isNaN(options.voiceDataTimeout) ? options.voiceDataTimeout : 2000;
+        options.inlineVolume = !!options.inlineVolume;
+        options.inputArgs = options.inputArgs || [];
+        options.encoderArgs = options.encoderArgs || [];
+
+        options.samplingRate = options.samplingRate || this.samplingRate;
+        options.frameDuration = options.frameDuration || this.frameDuration;
+        options.frameSize = options.frameSize || options.samplingRate * options.frameDuration / 1000;
+        options.pcmSize = options.pcmSize || options.frameSize * 2 * this.channels;
+        return options;
+    }
+
     _send() {
         if(!this.piper.encoding && this.piper.dataPacketCount === 0) {
-            return this.stopPlaying();
+            return this.queue._advance("finished");
         }
 
         this.timestamp += this.current.options.frameSize;
@@ -759,7 +806,7 @@ class VoiceConnection extends EventEmitter {
             this.current.timeout = setTimeout(this._send, 4 * this.current.options.frameDuration);
             return;
         } else {
-            return this.stopPlaying();
+            return this.queue._advance("finished");
         }
 
         this._sendPacket(this._createPacket(this.current.buffer));
@@ -777,6 +824,35 @@ class VoiceConnection extends EventEmitter {
         }
     }
 
+    _setUserSpeaking(userID, speaking, timeout = SPEAKING_TIMEOUT) {
+        if(!userID) {
+            return;
+        }
+        const wasSpeaking = !!this._speakingTimeouts[userID];
+        clearTimeout(this._speakingTimeouts[userID]);
+        if(speaking) {
+            this._speakingTimeouts[userID] = timeout > 0 ? setTimeout(() => this._setUserSpeaking(userID, false), timeout) : true;
+            if(!wasSpeaking) {
+                /**
+                * Fired when a user begins speaking. This is based on the SPEAKING events of the voice server, and on the audio received if `receive()` has been called, so it is only fired once until the user stops speaking
+                * @event VoiceConnection#speakingStart
+                * @prop {String} userID The ID of the user that began speaking
+                */
+                this.emit("speakingStart", userID);
+            }
+        } else {
+            delete this._speakingTimeouts[userID];
+            if(wasSpeaking) {
+                /**
+                * Fired when a user stops speaking, either when the voice server says so, or when the user stops sending audio (if `receive()` has been called)
+                * @event VoiceConnection#speakingStop
+                * @prop {String} userID The ID of the user that stopped speaking
+                */
+                this.emit("speakingStop", userID);
+            }
+        }
+    }
+
     toString() {
         return `[VoiceConnection ${this.channelID}]`;
     }
@@ -1,5 +1,9 @@
 "use strict";
 
+const AudioMixer = require("./AudioMixer");
+const UserVoiceStream = require("./UserVoiceStream");
+const VoiceRecorder = require("./VoiceRecorder");
+
 let EventEmitter;
 try {
     EventEmitter = require("eventemitter3");
@@ -8,7 +12,7 @@ try {
 }
 
 /**
-* Represents a voice data stream
+* Represents a voice data stream. `data` events are emitted for every packet as it is received, from every user. For audio that is in order and split by user, use `user()`, `mix()` or `record()`
 * @extends EventEmitter
 * @prop {String} type The targeted voice data type for the stream, either "opus" or "pcm"
 */
@@ -16,6 +20,93 @@ class VoiceDataStream extends EventEmitter {
     constructor(type) {
         super();
         this.type = type;
+        this._mixers = [];
+        this._userStreams = [];
+    }
+
+    /**
+    * Get a stream of everyone in the channel mixed together, as 16 bit 48kHz stereo PCM. The mix keeps time with the voice channel, so it has silence while nobody is speaking. Users are added to the mix once they start speaking. Call `close()` on the mixer to end it
+    * @arg {Object} [options] Mix options
+    * @arg {Number} [options.frameDuration=20] How much audio to mix at a time, in milliseconds
+    * @arg {Number} [options.jitterBuffer=60] How long (in ms) to hold packets to put them back in order, as in `user()`
+    * @returns {AudioMixer}
+    */
+    mix(options = {}) {
+        if(this.type !== "pcm") {
+            throw new Error("Mixing needs a pcm receive stream");
+        }
+        const mixer = new AudioMixer({
+            frameDuration: options.frameDuration,
+            realtime: true
+        });
+        this._mixers.push({
+            jitterBuffer: options.jitterBuffer,
+            mixer: mixer,
+            streams: {}
+        });
+        return mixer;
+    }
+
+    /**
+    * Record the channel, or one user, to an Ogg/Opus or WAV file
+    * @arg {String} path The path of the file. An existing file is overwritten
+    * @arg {Object} [options] Recording options, as in the VoiceRecorder constructor
+    * @returns {VoiceRecorder}
+    */
+    record(path, options) {
+        return new VoiceRecorder(this, path, options);
+    }
+
+    /**
+    * Get a stream of the voice of one user. Packets are put back in order, and lost packets are filled with silence. Call `close()` on the stream to stop receiving
+    * @arg {String} userID The ID of the user
+    * @arg {Object} [options] Stream options
+    * @arg {Boolean} [options.fillSilence=false] Fill the time the user was silent with silence, so the stream keeps time with the voice channel. Otherwise, only lost packets are filled, and the stream pauses while the user is silent
+    * @arg {Number} [options.jitterBuffer=60] How long (in ms) to hold packets to put them back in order. Higher values handle worse connections, at the cost of more delay
+    * @returns {UserVoiceStream}
+    */
+    user(userID, options) {
+        const stream = new UserVoiceStream(userID, this.type, options);
+        this._userStreams.push(stream);
+        return stream;
+    }
+
+    _end() {
+        this._mixers.forEach((entry) => entry.mixer.close());
+        this._mixers = [];
+        this._userStreams.forEach((stream) => stream.close());
+        this._userStreams = [];
+    }
+
+    _receive(data, userID, timestamp, sequence, ssrc) {
+        if(!userID) {
+            // Packets can arrive before the SPEAKING event that says who they are from
+            return;
+        }
+        this._mixers = this._mixers.filter((entry) => {
+            if(entry.mixer._closed) {
+                for(const id in entry.streams) {
+                    entry.streams[id].close();
+                }
+                return false;
+            }
+            const stream = entry.streams[userID];
+            if(!stream || stream._closed) {
+                entry.streams[userID] = this.user(userID, {
+                    jitterBuffer: entry.jitterBuffer
+                });
+                entry.mixer.add(entry.streams[userID], {
+                    name: userID
+                });
+            }
+            return true;
+        });
+        this._userStreams = this._userStreams.filter((stream) => !stream._closed);
+        for(const stream of this._userStreams) {
+            if(stream.userID === userID) {
+                stream._receive(data, timestamp, sequence, ssrc);
+            }
+        }
     }
 }
 
@@ -0,0 +1,120 @@
+"use strict";
+
+const FS = require("fs");
+const OpusOggTransformer = require("./streams/OpusOggTransformer");
+const PCMOpusTransformer = require("./streams/PCMOpusTransformer");
+const PCMWAVTransformer = require("./streams/PCMWAVTransformer");
+const Stream = require("stream");
+const {createOpus} = require("../util/Opus");
+
+/**
+* Records received voice to an Ogg/Opus or WAV file, without FFmpeg. Either one user is recorded, including the time they are silent, or every user in the channel is mixed together.
+* Audio received with an "opus" receive stream is written to Ogg files as it is. Everything else is decoded, so WAV recordings and recordings of the whole channel need a "pcm" receive stream
+* @prop {String} format The format of the file, either "ogg" or "wav"
+* @prop {String} path The path of the file
+* @prop {UserVoiceStream | AudioMixer} source The stream being recorded
+* @prop {Number} startTime The timestamp of the start of the recording
+* @prop {String?} userID The ID of the user being recorded, or null if the whole channel is recorded
+*/
+class VoiceRecorder {
+    /**
+    * Construct a VoiceRecorder. Recording starts immediately
+    * @arg {VoiceDataStream} receiveStream The receive stream to record, from `VoiceConnection#receive()`
+    * @arg {String} path The path of the file. An existing file is overwritten
+    * @arg {Object} [options] Recording options
+    * @arg {String} [options.format] The format of the file, either "ogg" or "wav". Defaults to "wav" if the path ends with ".wav", and "ogg" otherwise
+    * @arg {Number} [options.jitterBuffer=60] How long (in ms) to hold packets to put them back in order, as in `VoiceDataStream#user()`
+    * @arg {String} [options.userID] The ID of the user to record. If not given, every user in the channel is recorded
+    */
+    constructor(receiveStream, path, options = {}) {
+        this.format = options.format || (path.toLowerCase().endsWith(".wav") ? "wav" : "ogg");
+        if(this.format !== "ogg" && this.format !== "wav") {
+            throw new Error(`Unsupported recording format: ${this.format}`);
+        }
+        this.path = path;
+        this.userID = options.userID || null;
+        if(receiveStream.type === "opus" && (this.format === "wav" || !this.userID)) {
+            throw new Error("WAV recordings and recordings of the whole channel need a pcm receive stream");
+        }
+
+        // Create the encoders first, so a missing Opus encoder doesn't leave the source open
+        const streams = [];
+        if(this.format === "wav") {
+            streams.push(new PCMWAVTransformer());
+        } else {
+            if(receiveStream.type === "pcm") {
+                streams.push(new PCMOpusTransformer({
+                    opusFactory: () => createOpus(48000, 2, 64000),
+                    frameSize: 960,
+                    pcmSize: 3840
+                }));
+            }
+            streams.push(new OpusOggTransformer());
+        }
+        if(this.userID) {
+            this.source = receiveStream.user(this.userID, {
+                fillSilence: true,
+                jitterBuffer: options.jitterBuffer
+            });
+        } else {
+            this.source = receiveStream.mix({
+                jitterBuffer: options.jitterBuffer
+            });
+        }
+        streams.unshift(this.source);
+        streams.push(FS.createWriteStream(path));
+        this.startTime = Date.now();
+
+        this._done = new Promise((resolve, reject) => {
+            Stream.pipeline(...streams, (err) => {
+                if(err) {
+                    reject(err);
+                } else if(this.format === "wav") {
+                    this._writeWAVLength().then(resolve, reject);
+                } else {
+                    resolve();
+                }
+            });
+        });
+        // Errors are surfaced by stop()
+        this._done.catch(() => {});
+    }
+
+    /**
+    * Stop recording. The recording also stops when the voice connection is destroyed
+    * @returns {Promise} Resolves once the file has been completely written, or rejects with the error that stopped the recording
+    */
+    stop() {
+        this.source.close();
+        return this._done;
+    }
+
+    _writeWAVLength() {
+        // The header was written before the length was known, so write it again with the length
+        return new Promise((resolve, reject) => {
+            FS.stat(this.path, (err, stats) => {
+                if(err) {
+                    return reject(err);
+                }
+                const header = PCMWAVTransformer.createHeader(2, 48000, Math.min(stats.size - 44, 0xFFFFFFFF - 36));
+                FS.open(this.path, "r+", (err, fd) => {
+                    if(err) {
+                        return reject(err);
+                    }
+                    FS.write(fd, header, 0, header.length, 0, (writeErr) => {
+                        FS.close(fd, (closeErr) => {
+                            const error = writeErr || closeErr;
+                            return error ? reject(error) : resolve();
+                        });
+                    });
+                });
+            });
+        });
+    }
+
+    toString() {
+        return `[VoiceRecorder ${this.path}]`;
+    }
+}
+
+module.exports = VoiceRecorder;
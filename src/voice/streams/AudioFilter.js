@@ -0,0 +1,34 @@
+"use strict";
+
+/**
+* A filter for PCM audio played with the `filters` play option. Custom filters extend this class and implement `process()`.
+* Filters can be changed while they are playing, and take effect from the next chunk of audio
+* @prop {Number} channels The number of interleaved channels in the audio
+* @prop {Boolean} enabled Whether the filter is applied. Disabled filters let the audio through unchanged
+* @prop {Number} sampleRate The sampling rate of the audio
+*/
+class AudioFilter {
+    /**
+    * Construct an AudioFilter
+    * @arg {Object} [options] Filter options
+    * @arg {Number} [options.channels=2] The number of interleaved channels in the audio
+    * @arg {Boolean} [options.enabled=true] Whether the filter is applied
+    * @arg {Number} [options.sampleRate=48000] The sampling rate of the audio
+    */
+    constructor(options = {}) {
+        this.channels = options.channels || 2;
+        this.enabled = options.enabled !== false;
+        this.sampleRate = options.sampleRate || 48000;
+    }
+
+    /**
+    * Process a chunk of audio
+    * @arg {Float32Array} samples The interleaved samples, from -1 to 1. They can be changed in place
+    * @returns {Float32Array} The processed samples. Filters that change the speed of the audio can return a different number of samples
+    */
+    process(samples) {
+        return samples;
+    }
+}
+
+module.exports = AudioFilter;
@@ -0,0 +1,114 @@
+"use strict";
+
+// Biquad filters as described in the Audio EQ Cookbook by Robert Bristow-Johnson
+class Biquad {
+    constructor(channels, options) {
+        this.channels = channels;
+        this._state = new Float64Array(channels * 4);
+        this.setOptions(options);
+    }
+
+    process(samples) {
+        const {b0, b1, b2, a1, a2} = this;
+        const state = this._state;
+        for(let channel = 0; channel < this.channels; ++channel) {
+            const s = channel * 4;
+            let x1 = state[s], x2 = state[s + 1], y1 = state[s + 2], y2 = state[s + 3];
+            for(let i = channel; i < samples.length; i += this.channels) {
+                const x = samples[i];
+                const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+                x2 = x1;
+                x1 = x;
+                y2 = y1;
+                y1 = y;
+                samples[i] = y;
+            }
+            state[s] = x1;
+            state[s + 1] = x2;
+            state[s + 2] = y1;
+            state[s + 3] = y2;
+        }
+        return samples;
+    }
+
+    setOptions(options) {
+        const A = Math.pow(10, (options.gain || 0) / 40);
+        const w0 = 2 * Math.PI * options.frequency / options.sampleRate;
+        const cos = Math.cos(w0);
+        const alpha = Math.sin(w0) / (2 * (options.q || Math.SQRT1_2));
+        const shelf = 2 * Math.sqrt(A) * alpha;
+        let b0, b1, b2, a0, a1, a2;
+        switch(options.type) {
+            case "lowpass": {
+                b0 = b2 = (1 - cos) / 2;
+                b1 = 1 - cos;
+                a0 = 1 + alpha;
+                a1 = -2 * cos;
+                a2 = 1 - alpha;
+                break;
+            }
+            case "highpass": {
+                b0 = b2 = (1 + cos) / 2;
+                b1 = -(1 + cos);
+                a0 = 1 + alpha;
+                a1 = -2 * cos;
+                a2 = 1 - alpha;
+                break;
+            }
+            case "bandpass": {
+                b0 = alpha;
+                b1 = 0;
+                b2 = -alpha;
+                a0 = 1 + alpha;
+                a1 = -2 * cos;
+                a2 = 1 - alpha;
+                break;
+            }
+            case "notch": {
+                b0 = b2 = 1;
+                b1 = -2 * cos;
+                a0 = 1 + alpha;
+                a1 = -2 * cos;
+                a2 = 1 - alpha;
+                break;
+            }
+            case "lowshelf": {
+                b0 = A * ((A + 1) - (A - 1) * cos + shelf);
+                b1 = 2 * A * ((A - 1) - (A + 1) * cos);
+                b2 = A * ((A + 1) - (A - 1) * cos - shelf);
+                a0 = (A + 1) + (A - 1) * cos + shelf;
+                a1 = -2 * ((A - 1) + (A + 1) * cos);
+                a2 = (A + 1) + (A - 1) * cos - shelf;
+                break;
+            }
+            case "highshelf": {
+                b0 = A * ((A + 1) + (A - 1) * cos + shelf);
+                b1 = -2 * A * ((A - 1) + (A + 1) * cos);
+                b2 = A * ((A + 1) + (A - 1) * cos - shelf);
+                a0 = (A + 1) - (A - 1) * cos + shelf;
+                a1 = 2 * ((A - 1) - (A + 1) * cos);
+                a2 = (A + 1) - (A - 1) * cos - shelf;
+                break;
+            }
+            case "peaking": {
+                b0 = 1 + alpha * A;
+                b1 = -2 * cos;
+                b2 = 1 - alpha * A;
+                a0 = 1 + alpha / A;
+                a1 = -2 * cos;
+                a2 = 1 - alpha / A;
+                break;
+            }
+            default: {
+                throw new Error(`Invalid filter type "${options.type}"`);
+            }
+        }
+        this.b0 = b0 / a0;
+        this.b1 = b1 / a0;
+        this.b2 = b2 / a0;
+        this.a1 = a1 / a0;
+        this.a2 = a2 / a0;
+    }
+}
+
+module.exports = Biquad;
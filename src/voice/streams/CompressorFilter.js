@@ -0,0 +1,79 @@
+"use strict";
+
+const AudioFilter = require("./AudioFilter");
+
+/**
+* A compressor that lowers the volume of audio that is louder than a threshold, with a soft knee. The channels are compressed together, so the stereo image is kept.
+* With a ratio of Infinity and a short attack, it works as a soft limiter to prevent clipping
+* @extends AudioFilter
+* @prop {Number} attack How quickly the compressor reacts to loud audio, in milliseconds
+* @prop {Number} knee The width of the soft knee around the threshold, in dB. 0 is a hard knee
+* @prop {Number} makeupGain The gain applied after compression, in dB
+* @prop {Number} ratio The compression ratio. A ratio of 4 turns 4dB above the threshold into 1dB
+* @prop {Number} reduction The current gain reduction, in dB
+* @prop {Number} release How quickly the compressor recovers once the audio is quieter, in milliseconds
+* @prop {Number} threshold The level at which compression starts, in dBFS
+*/
+class CompressorFilter extends AudioFilter {
+    /**
+    * Construct a CompressorFilter
+    * @arg {Object} [options] Filter options, including the AudioFilter options
+    * @arg {Number} [options.attack=5] How quickly the compressor reacts to loud audio, in milliseconds
+    * @arg {Number} [options.knee=6] The width of the soft knee around the threshold, in dB. 0 is a hard knee
+    * @arg {Number} [options.makeupGain=0] The gain applied after compression, in dB
+    * @arg {Number} [options.ratio=4] The compression ratio. Use Infinity for a limiter
+    * @arg {Number} [options.release=100] How quickly the compressor recovers once the audio is quieter, in milliseconds
+    * @arg {Number} [options.threshold=-12] The level at which compression starts, in dBFS
+    */
+    constructor(options = {}) {
+        super(options);
+        this.attack = options.attack === undefined ? 5 : options.attack;
+        this.knee = options.knee === undefined ? 6 : options.knee;
+        this.makeupGain = options.makeupGain || 0;
+        this.ratio = options.ratio || 4;
+        this.reduction = 0;
+        this.release = options.release === undefined ? 100 : options.release;
+        this.threshold = options.threshold === undefined ? -12 : options.threshold;
+    }
+
+    process(samples) {
+        const channels = this.channels;
+        const attack = this._coefficient(this.attack);
+        const release = this._coefficient(this.release);
+        const makeupGain = this.makeupGain;
+        let reduction = this.reduction;
+        for(let i = 0; i < samples.length; i += channels) {
+            let peak = 0;
+            for(let channel = 0; channel < channels; ++channel) {
+                peak = Math.max(peak, Math.abs(samples[i + channel]));
+            }
+            const target = peak > 0 ? this._computeGain(20 * Math.log10(peak)) : 0;
+            const coefficient = target < reduction ? attack : release;
+            reduction = coefficient * reduction + (1 - coefficient) * target;
+            const gain = Math.pow(10, (reduction + makeupGain) / 20);
+            for(let channel = 0; channel < channels; ++channel) {
+                samples[i + channel] *= gain;
+            }
+        }
+        this.reduction = reduction;
+        return samples;
+    }
+
+    _coefficient(time) {
+        return time > 0 ? Math.exp(-1000 / (time * this.sampleRate)) : 0;
+    }
+
+    _computeGain(level) {
+        const over = level - this.threshold;
+        const slope = 1 / this.ratio - 1;
+        if(2 * over < -this.knee) {
+            return 0;
+        }
+        if(this.knee > 0 && 2 * Math.abs(over) <= this.knee) {
+            return slope * Math.pow(over + this.knee / 2, 2) / (2 * this.knee);
+        }
+        return slope * over;
+    }
+}
+
+module.exports = CompressorFilter;
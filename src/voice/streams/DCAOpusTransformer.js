@@ -1,12 +1,15 @@
 "use strict";
 
 const BaseTransformer = require("./BaseTransformer");
+const {getPacketDuration} = require("../../util/Opus");
 
 class DCAOpusTransformer extends BaseTransformer {
     constructor(options = {}) {
         super(options);
 
         this._remainder = null;
+        this._position = 0;
+        this._seek = options.seek || 0;
     }
 
     process(buffer) {
@@ -22,7 +25,16 @@ class DCAOpusTransformer extends BaseTransformer {
         }
 
         buffer._index += opusLen;
-        this.push(buffer.slice(buffer._index - opusLen, buffer._index));
+        const packet = buffer.slice(buffer._index - opusLen, buffer._index);
+        if(this._seek > 0) {
+            // DCA has no timestamps, so the position is the total duration of the packets so far
+            this._position += getPacketDuration(packet);
+            if(this._position <= this._seek) {
+                return;
+            }
+            this._seek = 0;
+        }
+        this.push(packet);
     }
 
     _transform(chunk, enc, cb) {
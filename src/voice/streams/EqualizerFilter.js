@@ -0,0 +1,57 @@
+"use strict";
+
+const AudioFilter = require("./AudioFilter");
+const Biquad = require("./Biquad");
+
+/**
+* An equalizer made of biquad filter bands, applied one after another. For example, a bass boost is a "lowshelf" band around 100Hz with a positive gain
+* @extends AudioFilter
+* @prop {Array<Object>} bands The bands of the equalizer. Use `setBand()` or `setBands()` to change them
+*/
+class EqualizerFilter extends AudioFilter {
+    /**
+    * Construct an EqualizerFilter
+    * @arg {Object} [options] Filter options, including the AudioFilter options
+    * @arg {Array<Object>} [options.bands=[]] The bands of the equalizer
+    * @arg {Number} options.bands[].frequency The center (or cutoff, for pass and shelf filters) frequency of the band, in Hz
+    * @arg {Number} [options.bands[].gain=0] The gain of the band, in dB. Only used by "peaking", "lowshelf" and "highshelf" bands
+    * @arg {Number} [options.bands[].q=0.7071] The quality factor of the band. Higher values make the band narrower
+    * @arg {String} options.bands[].type The type of the band, either "lowpass", "highpass", "bandpass", "notch", "peaking", "lowshelf" or "highshelf"
+    */
+    constructor(options = {}) {
+        super(options);
+        this.setBands(options.bands || []);
+    }
+
+    process(samples) {
+        for(const filter of this._filters) {
+            filter.process(samples);
+        }
+        return samples;
+    }
+
+    /**
+    * Change a band of the equalizer. The band keeps its current values for any options that are not given
+    * @arg {Number} index The index of the band
+    * @arg {Object} band The band options, as in the constructor
+    */
+    setBand(index, band) {
+        if(!this.bands[index]) {
+            throw new Error(`No band at index ${index}`);
+        }
+        band = Object.assign({}, this.bands[index], band);
+        this._filters[index].setOptions(Object.assign({sampleRate: this.sampleRate}, band));
+        this.bands[index] = band;
+    }
+
+    /**
+    * Replace all bands of the equalizer
+    * @arg {Array<Object>} bands The bands, as in the constructor
+    */
+    setBands(bands) {
+        this._filters = bands.map((band) => new Biquad(this.channels, Object.assign({sampleRate: this.sampleRate}, band)));
+        this.bands = bands.map((band) => Object.assign({}, band));
+    }
+}
+
+module.exports = EqualizerFilter;
@@ -0,0 +1,84 @@
+"use strict";
+
+const AudioFilter = require("./AudioFilter");
+
+/**
+* Fades the audio in or out
+* @extends AudioFilter
+* @prop {Number} gain The current gain, from 0 (silent) to 1 (unchanged)
+*/
+class FadeFilter extends AudioFilter {
+    /**
+    * Construct a FadeFilter
+    * @arg {Object} [options] Filter options, including the AudioFilter options
+    * @arg {Number} [options.fadeIn] If given, the audio starts silent and fades in over this long, in milliseconds
+    */
+    constructor(options = {}) {
+        super(options);
+        this.gain = 1;
+        this._step = 0;
+        this._target = 1;
+        if(options.fadeIn) {
+            this.fadeIn(options.fadeIn);
+        }
+    }
+
+    /**
+    * Start silent and fade in to the full volume
+    * @arg {Number} duration How long the fade lasts, in milliseconds
+    */
+    fadeIn(duration) {
+        this.gain = 0;
+        this.fadeTo(1, duration);
+    }
+
+    /**
+    * Fade out to silence from the current gain
+    * @arg {Number} duration How long the fade lasts, in milliseconds
+    */
+    fadeOut(duration) {
+        this.fadeTo(0, duration);
+    }
+
+    /**
+    * Fade from the current gain to another gain
+    * @arg {Number} gain The gain to fade to, from 0 (silent) to 1 (unchanged)
+    * @arg {Number} duration How long the fade lasts, in milliseconds
+    */
+    fadeTo(gain, duration) {
+        this._target = gain;
+        const frames = duration * this.sampleRate / 1000;
+        if(frames < 1) {
+            this.gain = gain;
+            this._step = 0;
+        } else {
+            this._step = (gain - this.gain) / frames;
+        }
+    }
+
+    process(samples) {
+        if(this._step === 0) {
+            if(this.gain !== 1) {
+                for(let i = 0; i < samples.length; ++i) {
+                    samples[i] *= this.gain;
+                }
+            }
+            return samples;
+        }
+        for(let i = 0; i < samples.length; i += this.channels) {
+            if(this._step !== 0) {
+                this.gain += this._step;
+                if(this._step > 0 ? this.gain >= this._target : this.gain <= this._target) {
+                    this.gain = this._target;
+                    this._step = 0;
+                }
+            }
+            for(let channel = 0; channel < this.channels; ++channel) {
+                samples[i + channel] *= this.gain;
+            }
+        }
+        return samples;
+    }
+}
+
+module.exports = FadeFilter;
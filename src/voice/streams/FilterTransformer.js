@@ -0,0 +1,55 @@
+"use strict";
+
+const BaseTransformer = require("./BaseTransformer");
+
+class FilterTransformer extends BaseTransformer {
+    constructor(options = {}) {
+        super(options);
+
+        this.channels = options.channels || 2;
+        this.filters = options.filters || [];
+
+        this._remainder = null;
+    }
+
+    _transform(chunk, enc, cb) {
+        if(this._remainder) {
+            chunk = Buffer.concat([this._remainder, chunk]);
+            this._remainder = null;
+        }
+
+        // Only whole frames (a 16 bit sample for each channel) are filtered
+        const length = chunk.length - chunk.length % (2 * this.channels);
+        if(length < chunk.length) {
+            this._remainder = chunk.slice(length);
+        }
+        if(length === 0) {
+            return cb();
+        }
+
+        let samples = new Float32Array(length / 2);
+        for(let i = 0; i < samples.length; ++i) {
+            samples[i] = chunk.readInt16LE(i * 2) / 32768;
+        }
+
+        // The filters are read for every chunk, so they can be added, removed or changed while playing
+        for(const filter of this.filters) {
+            if(filter.enabled) {
+                samples = filter.process(samples);
+            }
+        }
+
+        const buf = Buffer.allocUnsafe(samples.length * 2);
+        for(let i = 0, num; i < samples.length; ++i) {
+            num = Math.round(samples[i] * 32768);
+            buf.writeInt16LE(num >= 32767 ? 32767 : num <= -32768 ? -32768 : num, i * 2);
+        }
+
+        if(buf.length > 0) {
+            this.push(buf);
+        }
+        this.setTransformCB(cb);
+    }
+}
+
+module.exports = FilterTransformer;
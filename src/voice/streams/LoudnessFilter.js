@@ -0,0 +1,115 @@
+"use strict";
+
+const AudioFilter = require("./AudioFilter");
+const Biquad = require("./Biquad");
+
+const ABSOLUTE_GATE = -70;
+const HISTOGRAM_MAX = 5;
+const HISTOGRAM_STEP = 0.1;
+
+/**
+* Normalizes the loudness of the audio to a target, measured as in EBU R128 (ITU-R BS.1770): the gated integrated loudness of K-weighted 400ms blocks.
+* The loudness is measured while playing, so the gain settles over the first seconds of a track. Call `reset()` between tracks
+* @extends AudioFilter
+* @prop {Number} gain The current gain, in dB
+* @prop {Number} loudness The integrated loudness measured so far, in LUFS, or -Infinity if nothing loud enough has played yet
+* @prop {Number} maxGain The maximum gain, in dB, so quiet audio and noise aren't amplified too much
+* @prop {Number} target The target loudness, in LUFS
+*/
+class LoudnessFilter extends AudioFilter {
+    /**
+    * Construct a LoudnessFilter
+    * @arg {Object} [options] Filter options, including the AudioFilter options
+    * @arg {Number} [options.maxGain=12] The maximum gain, in dB
+    * @arg {Number} [options.target=-23] The target loudness, in LUFS. EBU R128 recommends -23
+    */
+    constructor(options = {}) {
+        super(options);
+        this.maxGain = options.maxGain === undefined ? 12 : options.maxGain;
+        this.target = options.target === undefined ? -23 : options.target;
+        this.reset();
+    }
+
+    process(samples) {
+        const channels = this.channels;
+        const weighted = samples.slice();
+        this._shelf.process(weighted);
+        this._highpass.process(weighted);
+
+        // The gain moves towards its target with a time constant of half a second
+        const smoothing = 1 - Math.exp(-2 / this.sampleRate);
+        let gain = this._linearGain;
+        for(let i = 0; i < samples.length; i += channels) {
+            for(let channel = 0; channel < channels; ++channel) {
+                this._power += weighted[i + channel] * weighted[i + channel];
+            }
+            if(++this._frames === this._blockFrames) {
+                this._addSubBlock();
+            }
+            gain += (this._targetGain - gain) * smoothing;
+            for(let channel = 0; channel < channels; ++channel) {
+                samples[i + channel] *= gain;
+            }
+        }
+        this._linearGain = gain;
+        return samples;
+    }
+
+    /**
+    * Forget the measured loudness and reset the gain, e.g. when a new track starts
+    */
+    reset() {
+        this.gain = 0;
+        this.loudness = -Infinity;
+        // The K-weighting pre-filter from ITU-R BS.1770
+        this._shelf = new Biquad(this.channels, {frequency: 1681.97, gain: 4, q: 0.7072, sampleRate: this.sampleRate, type: "highshelf"});
+        this._highpass = new Biquad(this.channels, {frequency: 38.14, q: 0.5003, sampleRate: this.sampleRate, type: "highpass"});
+        // Blocks are 400ms long and overlap by 75%, so they are made of four 100ms sub-blocks
+        this._blockFrames = Math.round(this.sampleRate / 10);
+        this._frames = 0;
+        this._linearGain = 1;
+        this._power = 0;
+        this._subBlocks = [];
+        this._targetGain = 1;
+        this._histogram = new Float64Array(Math.ceil((HISTOGRAM_MAX - ABSOLUTE_GATE) / HISTOGRAM_STEP) + 1);
+        this._histogramPower = new Float64Array(this._histogram.length);
+    }
+
+    _addSubBlock() {
+        this._subBlocks.push(this._power / this._frames);
+        this._frames = 0;
+        this._power = 0;
+        if(this._subBlocks.length < 4) {
+            return;
+        }
+        if(this._subBlocks.length > 4) {
+            this._subBlocks.shift();
+        }
+        const power = (this._subBlocks[0] + this._subBlocks[1] + this._subBlocks[2] + this._subBlocks[3]) / 4;
+        const loudness = -0.691 + 10 * Math.log10(power);
+        if(loudness <= ABSOLUTE_GATE) {
+            return;
+        }
+        // Block powers are kept in a histogram, so the gating doesn't need every block of the track
+        const bin = Math.min(this._histogram.length - 1, Math.floor((loudness - ABSOLUTE_GATE) / HISTOGRAM_STEP));
+        ++this._histogram[bin];
+        this._histogramPower[bin] += power;
+
+        const relativeGate = this._gatedLoudness(0) - 10;
+        this.loudness = this._gatedLoudness(Math.max(0, Math.floor((relativeGate - ABSOLUTE_GATE) / HISTOGRAM_STEP)));
+        this.gain = Math.min(this.maxGain, this.target - this.loudness);
+        this._targetGain = Math.pow(10, this.gain / 20);
+    }
+
+    _gatedLoudness(startBin) {
+        let count = 0;
+        let power = 0;
+        for(let bin = startBin; bin < this._histogram.length; ++bin) {
+            count += this._histogram[bin];
+            power += this._histogramPower[bin];
+        }
+        return count > 0 ? -0.691 + 10 * Math.log10(power / count) : -Infinity;
+    }
+}
+
+module.exports = LoudnessFilter;
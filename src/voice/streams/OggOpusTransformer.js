@@ -1,6 +1,7 @@
 "use strict";
 
 const BaseTransformer = require("./BaseTransformer");
+const {getPacketDuration} = require("../../util/Opus");
 
 class OggOpusTransformer extends BaseTransformer {
     constructor(options = {}) {
@@ -8,6 +9,9 @@ class OggOpusTransformer extends BaseTransformer {
 
         this._remainder = null;
         this._bitstream = null;
+        this._preSkip = 0;
+        // Granule positions are always in 48kHz samples
+        this._seek = options.seek ? options.seek * 48 : 0;
     }
 
     process(buffer) {
@@ -24,6 +28,7 @@ class OggOpusTransformer extends BaseTransformer {
             return new Error("OGG continued page not supported");
         }
 
+        const granulePosition = buffer.readUInt32LE(buffer._index + 6) + buffer.readUInt32LE(buffer._index + 10) * 4294967296;
         const bitstream = buffer.readUInt32BE(buffer._index + 14);
 
         buffer._index += 26;
@@ -55,6 +60,7 @@ class OggOpusTransformer extends BaseTransformer {
             return true;
         }
 
+        const packets = [];
         for(let segment of segments) {
             buffer._index += segment;
             byte = (segment = buffer.slice(buffer._index - segment, buffer._index)).toString("utf8", 0, 8);
@@ -62,15 +68,41 @@ class OggOpusTransformer extends BaseTransformer {
                 if(byte === "OpusTags") {
                     this.emit("debug", segment.toString());
                 } else if(bitstream === this._bitstream) {
-                    this.push(segment);
+                    packets.push(segment);
                 }
             } else if(byte === "OpusHead") {
                 this._bitstream = bitstream;
+                this._preSkip = segment.readUInt16LE(10);
                 this.emit("debug", (this.head = segment.toString()));
             } else {
                 this.emit("debug", "Invalid codec: " + byte);
             }
         }
+
+        if(this._seek > 0 && packets.length > 0) {
+            this.skipPackets(packets, granulePosition);
+        }
+        for(const packet of packets) {
+            this.push(packet);
+        }
+    }
+
+    skipPackets(packets, granulePosition) {
+        // A granule position of -1 means no packet ends on the page
+        if(granulePosition === 0xFFFFFFFFFFFFFFFF) {
+            return;
+        }
+        const target = this._seek + this._preSkip;
+        if(granulePosition <= target) {
+            packets.length = 0;
+            return;
+        }
+        // The page ends after the seek position, so only drop the packets that end before it
+        let position = granulePosition - packets.reduce((sum, packet) => sum + getPacketDuration(packet) * 48, 0);
+        while(packets.length > 0 && position + getPacketDuration(packets[0]) * 48 <= target) {
+            position += getPacketDuration(packets.shift()) * 48;
+        }
+        this._seek = 0;
     }
 
     _final() {
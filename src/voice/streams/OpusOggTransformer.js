@@ -0,0 +1,110 @@
+"use strict";
+
+const BaseTransformer = require("./BaseTransformer");
+const {getPacketDuration} = require("../../util/Opus");
+
+// Ogg uses CRC-32 with polynomial 0x04C11DB7, without reflection
+const CRC_TABLE = new Uint32Array(256);
+for(let i = 0; i < 256; ++i) {
+    let crc = i << 24;
+    for(let j = 0; j < 8; ++j) {
+        crc = crc & 0x80000000 ? (crc << 1) ^ 0x04C11DB7 : crc << 1;
+    }
+    CRC_TABLE[i] = crc >>> 0;
+}
+
+// Pages are flushed after about a second of audio, so a recording that is cut off loses little
+const PACKETS_PER_PAGE = 50;
+
+class OpusOggTransformer extends BaseTransformer {
+    constructor(options = {}) {
+        super(options);
+
+        this.channels = options.channels || 2;
+
+        this._granulePosition = 0;
+        this._packets = [];
+        this._pageSequence = 0;
+        this._serial = Math.floor(Math.random() * 0xFFFFFFFF);
+        this._started = false;
+    }
+
+    writeHeaders() {
+        const head = Buffer.alloc(19);
+        head.write("OpusHead", 0);
+        head.writeUInt8(1, 8); // Version
+        head.writeUInt8(this.channels, 9);
+        head.writeUInt16LE(0, 10); // Pre-skip
+        head.writeUInt32LE(48000, 12); // Input sample rate
+        head.writeInt16LE(0, 16); // Output gain
+        head.writeUInt8(0, 18); // Channel mapping family
+        this.writePage([head], 0x02);
+
+        const vendor = Buffer.from("kiera");
+        const tags = Buffer.alloc(8 + 4 + vendor.length + 4);
+        tags.write("OpusTags", 0);
+        tags.writeUInt32LE(vendor.length, 8);
+        vendor.copy(tags, 12);
+        tags.writeUInt32LE(0, 12 + vendor.length); // User comment list length
+        this.writePage([tags], 0);
+        this._started = true;
+    }
+
+    writePage(packets, flags) {
+        const segments = [];
+        for(const packet of packets) {
+            let length = packet.length;
+            while(length >= 255) {
+                segments.push(255);
+                length -= 255;
+            }
+            segments.push(length);
+        }
+        const header = Buffer.alloc(27 + segments.length);
+        header.write("OggS", 0);
+        header.writeUInt8(flags, 5);
+        header.writeUInt32LE(this._granulePosition % 4294967296, 6);
+        header.writeUInt32LE(Math.floor(this._granulePosition / 4294967296), 10);
+        header.writeUInt32LE(this._serial, 14);
+        header.writeUInt32LE(this._pageSequence++, 18);
+        header.writeUInt8(segments.length, 26);
+        Buffer.from(segments).copy(header, 27);
+
+        const page = Buffer.concat([header].concat(packets));
+        let crc = 0;
+        for(let i = 0; i < page.length; ++i) {
+            crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ page[i]) & 0xFF]) >>> 0;
+        }
+        page.writeUInt32LE(crc, 22);
+        this.push(page);
+    }
+
+    _flush(cb) {
+        if(!this._started) {
+            this.writeHeaders();
+        }
+        // The last page marks the end of the stream, even if it has no packets
+        this.writePage(this._packets, 0x04);
+        this._packets = [];
+        cb();
+    }
+
+    _transform(chunk, enc, cb) {
+        if(!this._started) {
+            this.writeHeaders();
+        }
+
+        // A page can hold up to 255 segments
+        const segmentCount = this._packets.reduce((sum, packet) => sum + Math.floor(packet.length / 255) + 1, 0);
+        if(this._packets.length >= PACKETS_PER_PAGE || segmentCount + Math.floor(chunk.length / 255) + 1 > 255) {
+            this.writePage(this._packets, 0);
+            this._packets = [];
+        }
+        this._packets.push(chunk);
+        this._granulePosition += getPacketDuration(chunk) * 48;
+
+        this.setTransformCB(cb);
+    }
+}
+
+module.exports = OpusOggTransformer;
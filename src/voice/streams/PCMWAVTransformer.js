@@ -0,0 +1,52 @@
+"use strict";
+
+const BaseTransformer = require("./BaseTransformer");
+
+class PCMWAVTransformer extends BaseTransformer {
+    constructor(options = {}) {
+        super(options);
+
+        this.channels = options.channels || 2;
+        this.sampleRate = options.sampleRate || 48000;
+
+        this._started = false;
+    }
+
+    // The length of the data isn't known while streaming, so it defaults to the maximum, which players read as "until the end of the file"
+    static createHeader(channels, sampleRate, dataLength = 0xFFFFFFFF - 36) {
+        const header = Buffer.alloc(44);
+        header.write("RIFF", 0);
+        header.writeUInt32LE(dataLength + 36, 4);
+        header.write("WAVE", 8);
+        header.write("fmt ", 12);
+        header.writeUInt32LE(16, 16); // fmt chunk length
+        header.writeUInt16LE(1, 20); // PCM
+        header.writeUInt16LE(channels, 22);
+        header.writeUInt32LE(sampleRate, 24);
+        header.writeUInt32LE(sampleRate * channels * 2, 28); // Byte rate
+        header.writeUInt16LE(channels * 2, 32); // Block align
+        header.writeUInt16LE(16, 34); // Bits per sample
+        header.write("data", 36);
+        header.writeUInt32LE(dataLength, 40);
+        return header;
+    }
+
+    _flush(cb) {
+        if(!this._started) {
+            this.push(PCMWAVTransformer.createHeader(this.channels, this.sampleRate, 0));
+        }
+        cb();
+    }
+
+    _transform(chunk, enc, cb) {
+        if(!this._started) {
+            this._started = true;
+            this.push(PCMWAVTransformer.createHeader(this.channels, this.sampleRate));
+        }
+        this.push(chunk);
+
+        this.setTransformCB(cb);
+    }
+}
+
+module.exports = PCMWAVTransformer;
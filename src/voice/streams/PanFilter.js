@@ -0,0 +1,47 @@
+"use strict";
+
+const AudioFilter = require("./AudioFilter");
+
+/**
+* Moves stereo audio to the left or right by lowering the volume of the other channel. Changes to the pan are smoothed over one chunk of audio to avoid clicks
+* @extends AudioFilter
+* @prop {Number} pan The pan, from -1 (left only) to 1 (right only)
+*/
+class PanFilter extends AudioFilter {
+    /**
+    * Construct a PanFilter
+    * @arg {Object} [options] Filter options, including the AudioFilter options
+    * @arg {Number} [options.pan=0] The pan, from -1 (left only) to 1 (right only)
+    */
+    constructor(options = {}) {
+        super(options);
+        this.pan = options.pan || 0;
+        this._gains = this._getGains();
+    }
+
+    process(samples) {
+        if(this.channels !== 2) {
+            return samples;
+        }
+        const [startLeft, startRight] = this._gains;
+        const [endLeft, endRight] = this._gains = this._getGains();
+        const frames = samples.length / 2;
+        for(let frame = 0; frame < frames; ++frame) {
+            const progress = frame / frames;
+            samples[frame * 2] *= startLeft + (endLeft - startLeft) * progress;
+            samples[frame * 2 + 1] *= startRight + (endRight - startRight) * progress;
+        }
+        return samples;
+    }
+
+    _getGains() {
+        const pan = Math.max(-1, Math.min(1, this.pan));
+        // Equal power: the quieter channel is at -3dB at half pan
+        return [
+            pan > 0 ? Math.cos(pan * Math.PI / 2) : 1,
+            pan < 0 ? Math.cos(-pan * Math.PI / 2) : 1
+        ];
+    }
+}
+
+module.exports = PanFilter;
@@ -0,0 +1,51 @@
+"use strict";
+
+const AudioFilter = require("./AudioFilter");
+
+/**
+* Changes the speed and pitch of the audio together by resampling it with linear interpolation, e.g. a rate of 1.25 gives a "nightcore" effect.
+* The playback position of the voice connection counts the audio that was sent, so it no longer matches the position in the source
+* @extends AudioFilter
+* @prop {Number} rate The playback rate. 1 is unchanged, higher is faster and higher pitched, lower is slower and lower pitched
+*/
+class ResampleFilter extends AudioFilter {
+    /**
+    * Construct a ResampleFilter
+    * @arg {Object} [options] Filter options, including the AudioFilter options
+    * @arg {Number} [options.rate=1] The playback rate. 1 is unchanged, higher is faster and higher pitched, lower is slower and lower pitched
+    */
+    constructor(options = {}) {
+        super(options);
+        this.rate = options.rate || 1;
+        this._last = new Float32Array(this.channels);
+        // The position of the next output frame, relative to the start of the next chunk. -1 is the last frame of the previous chunk
+        this._position = 0;
+    }
+
+    process(samples) {
+        const channels = this.channels;
+        const frames = samples.length / channels;
+        const rate = this.rate > 0 ? this.rate : 1;
+        if(rate === 1 && this._position === 0) {
+            this._last = samples.slice(samples.length - channels);
+            return samples;
+        }
+        const output = new Float32Array((Math.ceil((frames - this._position) / rate) + 1) * channels);
+        let length = 0;
+        let position = this._position;
+        for(; position < frames - 1; position += rate) {
+            const index = Math.floor(position);
+            const fraction = position - index;
+            for(let channel = 0; channel < channels; ++channel) {
+                const start = index < 0 ? this._last[channel] : samples[index * channels + channel];
+                const end = samples[(index + 1) * channels + channel];
+                output[length++] = start + (end - start) * fraction;
+            }
+        }
+        this._position = position - frames;
+        this._last = samples.slice(samples.length - channels);
+        return output.subarray(0, length);
+    }
+}
+
+module.exports = ResampleFilter;
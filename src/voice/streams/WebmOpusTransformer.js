@@ -1,6 +1,7 @@
 "use strict";
 
 const BaseTransformer = require("./BaseTransformer");
+const {getPacketDuration} = require("../../util/Opus");
 
 // EBML VInt max value is (2 ^ 56 - 2), but JS only supports 2^53
 // 45 = 53 - 8 - check before last 8 bytes
@@ -22,6 +23,9 @@ class WebmOpusTransformer extends BaseTransformer {
         this._tag_stack = [];
         this._state = STATE_TAG;
         this._total = 0;
+        this._clusterTimecode = 0;
+        this._seek = options.seek || 0;
+        this._timecodeScale = 1000000;
     }
 
     getVIntLength(buffer, index) {
@@ -44,7 +48,24 @@ class WebmOpusTransformer extends BaseTransformer {
     process(type, info) {
         if(type === TAG_TYPE_TAG) {
             if(info.name === "SimpleBlock" && (info.data.readUInt8(0) & 0xF) === this.firstAudioTrack.TrackNumber) {
-                this.push(info.data.slice(4));
+                const packet = info.data.slice(4);
+                if(this._seek > 0) {
+                    // Block timecodes are relative to their cluster, and both are in units of the timecode scale (in ns)
+                    const time = (this._clusterTimecode + info.data.readInt16BE(1)) * this._timecodeScale / 1000000;
+                    if(time + getPacketDuration(packet) <= this._seek) {
+                        return;
+                    }
+                    this._seek = 0;
+                }
+                this.push(packet);
+                return;
+            }
+            if(info.name === "Timecode") {
+                this._clusterTimecode = info.data.length > 0 ? info.data.readUIntBE(0, info.data.length) : 0;
+                return;
+            }
+            if(info.name === "TimecodeScale") {
+                this._timecodeScale = info.data.length > 0 ? info.data.readUIntBE(0, info.data.length) : 1000000;
                 return;
             }
             if(info.name === "CodecPrivate") {
@@ -254,5 +275,13 @@ const schema = {
     "1f43b675": {
         name: "Cluster",
         type: "m"
+    },
+    e7: {
+        name: "Timecode",
+        type: "u"
+    },
+    "2ad7b1": {
+        name: "TimecodeScale",
+        type: "u"
     }
 };
@@ -0,0 +1,180 @@
+"use strict";
+
+// Runs gateway events through a shard with each cache disabled, to check that nothing relies on an object having been cached
+
+const Assert = require("assert");
+const Client = require("../src/Client");
+const ExtendedUser = require("../src/structures/ExtendedUser");
+const Shard = require("../src/gateway/Shard");
+
+const CLUB_ID = "100";
+const CHANNEL_ID = "200";
+const VOICE_CHANNEL_ID = "201";
+const BOT = {id: "1", username: "bot", discriminator: "0001", avatar: null, bot: true};
+const AUTHOR = {id: "2", username: "author", discriminator: "0002", avatar: null};
+const MENTIONED = {id: "3", username: "mentioned", discriminator: "0003", avatar: null};
+
+const packets = [{
+    t: "CLUB_CREATE",
+    d: {
+        id: CLUB_ID,
+        name: "club",
+        owner_id: BOT.id,
+        roles: [{id: CLUB_ID, name: "@everyone", permissions: 0, position: 0}],
+        channels: [{id: CHANNEL_ID, type: 0, name: "text"}, {id: VOICE_CHANNEL_ID, type: 2, name: "voice"}],
+        members: [{user: BOT, roles: []}],
+        presences: [{user: {id: BOT.id}, status: "online"}],
+        voice_states: []
+    }
+}, {
+    t: "MESSAGE_CREATE",
+    d: {
+        id: "300",
+        channel_id: CHANNEL_ID,
+        club_id: CLUB_ID,
+        author: AUTHOR,
+        member: {roles: [], nick: null},
+        content: "hello <@3>",
+        mentions: [Object.assign({member: {roles: []}}, MENTIONED)],
+        mention_roles: [],
+        attachments: [],
+        embeds: [],
+        timestamp: new Date().toISOString()
+    }
+}, {
+    t: "MESSAGE_UPDATE",
+    d: {
+        id: "300",
+        channel_id: CHANNEL_ID,
+        club_id: CLUB_ID,
+        author: AUTHOR,
+        member: {roles: []},
+        content: "edited",
+        mentions: [],
+        mention_roles: [],
+        attachments: [],
+        embeds: [],
+        edited_timestamp: new Date().toISOString()
+    }
+}, {
+    t: "MESSAGE_REACTION_ADD",
+    d: {
+        user_id: AUTHOR.id,
+        channel_id: CHANNEL_ID,
+        club_id: CLUB_ID,
+        message_id: "300",
+        emoji: {id: null, name: "👍"},
+        member: {user: AUTHOR, roles: []}
+    }
+}, {
+    t: "MESSAGE_REACTION_REMOVE",
+    d: {
+        user_id: AUTHOR.id,
+        channel_id: CHANNEL_ID,
+        club_id: CLUB_ID,
+        message_id: "300",
+        emoji: {id: null, name: "👍"}
+    }
+}, {
+    t: "TYPING_START",
+    d: {
+        user_id: AUTHOR.id,
+        channel_id: CHANNEL_ID,
+        club_id: CLUB_ID,
+        timestamp: Math.floor(Date.now() / 1000),
+        member: {user: AUTHOR, roles: []}
+    }
+}, {
+    t: "PRESENCE_UPDATE",
+    d: {
+        user: AUTHOR,
+        club_id: CLUB_ID,
+        status: "idle",
+        activities: [],
+        client_status: {desktop: "idle"}
+    }
+}, {
+    t: "VOICE_STATE_UPDATE",
+    d: {
+        user_id: AUTHOR.id,
+        club_id: CLUB_ID,
+        channel_id: VOICE_CHANNEL_ID,
+        session_id: "session",
+        member: {user: AUTHOR, roles: []}
+    }
+}, {
+    t: "CLUB_MEMBER_ADD",
+    d: {
+        club_id: CLUB_ID,
+        user: MENTIONED,
+        roles: [],
+        joined_at: new Date().toISOString()
+    }
+}, {
+    t: "CLUB_MEMBER_UPDATE",
+    d: {
+        club_id: CLUB_ID,
+        user: MENTIONED,
+        roles: [],
+        nick: "nick"
+    }
+}, {
+    t: "MESSAGE_DELETE",
+    d: {
+        id: "300",
+        channel_id: CHANNEL_ID,
+        club_id: CLUB_ID
+    }
+}, {
+    t: "CLUB_MEMBER_REMOVE",
+    d: {
+        club_id: CLUB_ID,
+        user: MENTIONED
+    }
+}];
+
+function run(cache) {
+    const client = new Client("Bot token", {cache});
+    const shard = new Shard(0, client);
+    shard.ready = true;
+    client.shards.set(shard.id, shard);
+    client.bot = true;
+    client.user = client.users.update(new ExtendedUser(BOT, client), client);
+    const errors = [];
+    const events = [];
+    client.on("error", (err) => errors.push(err));
+    client.on("typingStart", () => {});
+    const emit = client.emit;
+    client.emit = function(event, ...args) {
+        events.push(event);
+        return emit.call(this, event, ...args);
+    };
+    for(const packet of packets) {
+        shard.wsEvent(JSON.parse(JSON.stringify(packet)));
+    }
+    Assert.deepStrictEqual(errors, []);
+    if(cache.clubs === "none") {
+        // Club channels are only reachable through their club, so only the club itself is seen
+        Assert.ok(events.includes("clubCreate"), "clubCreate was not emitted");
+        return;
+    }
+    for(const event of ["clubCreate", "messageCreate", "messageUpdate", "messageReactionAdd", "messageReactionRemove", "typingStart", "presenceUpdate", "voiceChannelJoin", "clubMemberAdd", "clubMemberUpdate", "messageDelete", "clubMemberRemove"]) {
+        Assert.ok(events.includes(event), `${event} was not emitted`);
+    }
+}
+
+const caches = [{}, {clubs: "none"}, {members: "none"}, {messages: "none"}, {users: "none"}, {clubs: "none", members: "none", messages: "none", users: "none"}];
+let failed = 0;
+for(const cache of caches) {
+    try {
+        run(cache);
+    } catch(err) {
+        ++failed;
+        console.error(`FAIL ${JSON.stringify(cache)}\n${err.stack}`);
+    }
+}
+
+console.log(`${caches.length - failed}/${caches.length} cache configurations passed`);
+if(failed > 0) {
+    process.exitCode = 1;
+}
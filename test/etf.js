@@ -0,0 +1,25 @@
+"use strict";
+
+// Checks the built-in ETF codec against recorded payloads. Each fixture has the hex of a packed term and the value it decodes to:
+// - "erlpack.pack" fixtures were packed and unpacked by erlpack, the reference implementation
+// - "gateway" fixtures are terms as the gateway writes them (atoms, STRING_EXT, bignums), encoded by hand from the ETF spec
+
+const Assert = require("assert");
+const ETF = require("../src/gateway/ETF");
+const fixtures = require("./fixtures/etf.json");
+
+let failed = 0;
+for(const fixture of fixtures) {
+    try {
+        Assert.deepStrictEqual(ETF.unpack(Buffer.from(fixture.hex, "hex")), fixture.value);
+        Assert.deepStrictEqual(ETF.unpack(ETF.pack(fixture.value)), fixture.value);
+    } catch(err) {
+        ++failed;
+        console.error(`FAIL ${fixture.name} (${fixture.source})\n${err.message}`);
+    }
+}
+
+console.log(`${fixtures.length - failed}/${fixtures.length} ETF fixtures passed`);
+if(failed > 0) {
+    process.exitCode = 1;
+}